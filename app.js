@@ -9,13 +9,20 @@ const { sequelize } = require("./config/database")
 const logger = require("./utils/logger")
 const { errorHandler, notFound } = require("./middleware/errorMiddleware")
 const stockUpdateJob = require("./utils/stockUpdateJob")
+const viewCounter = require("./utils/viewCounter")
+const rankingUpdater = require("./utils/rankingUpdater")
+const achievementEngine = require("./utils/achievementEngine")
 const cacheManager = require("./utils/cacheManager")
+const marketData = require("./utils/marketData")
 
 // 路由导入
 const userRoutes = require("./routes/userRoutes")
 const stockRoutes = require("./routes/stockRoutes")
 const recommendRoutes = require("./routes/recommendRoutes")
 const rankingRoutes = require("./routes/rankingRoutes")
+const contestRoutes = require("./routes/contestRoutes")
+const portfolioRoutes = require("./routes/portfolioRoutes")
+const feedRoutes = require("./routes/feedRoutes")
 const testRoutes = require("./routes/testRoutes")
 
 const app = express()
@@ -84,6 +91,7 @@ app.get("/health", async (req, res) => {
   // 检查定时任务状态
   healthcheck.data.jobs = stockUpdateJob.isRunning ? "running" : "stopped"
   healthcheck.data.lastStockUpdate = stockUpdateJob.lastUpdateTime
+  healthcheck.data.marketData = marketData.getStatus()
 
   res.json(healthcheck)
 })
@@ -93,6 +101,9 @@ app.use("/api/user", userRoutes)
 app.use("/api/stock", stockRoutes)
 app.use("/api/recommend", recommendRoutes)
 app.use("/api/ranking", rankingRoutes)
+app.use("/api/contest", contestRoutes)
+app.use("/api/portfolio", portfolioRoutes)
+app.use("/api/feed", feedRoutes)
 
 // 开发环境测试路由
 if (process.env.NODE_ENV === "development") {
@@ -150,6 +161,12 @@ const startServer = async () => {
     await cacheManager.init()
     logger.info("缓存系统初始化完成")
 
+    // 推荐结算后增量更新排行
+    rankingUpdater.init()
+
+    // 推荐结算和排行计算后评估成就
+    achievementEngine.init()
+
     // 启动定时任务（仅在生产环境或指定启用时）
     if (process.env.ENABLE_CRON === "true") {
       stockUpdateJob.init()
@@ -179,6 +196,9 @@ const startServer = async () => {
           logger.info("定时任务已停止")
         }
 
+        // 写入缓冲中的查看计数
+        await viewCounter.flush()
+
         // 关闭缓存连接
         await cacheManager.close()
         logger.info("缓存连接已关闭")
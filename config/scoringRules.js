@@ -0,0 +1,61 @@
+// 默认积分规则（版本 1，与最初写死在代码中的规则一致；
+// 提前平仓奖励只作用于设置了止盈止损的推荐，作者提前平仓倍数只作用于主动平仓的推荐）
+// 数据库中没有启用的规则版本时使用
+const DEFAULT_RULES = {
+  // 基础积分：成功加分，失败扣分（只扣当前积分，不影响总积分）
+  success_points: 10,
+  failure_points: -5,
+
+  // 连胜奖励：达到连胜次数后累加
+  streak_bonuses: [
+    { streak: 3, points: 20 },
+    { streak: 5, points: 50 },
+  ],
+
+  // 预测准确度：准确度 = 100 - |实际涨跌幅 - 预期涨跌幅|
+  // 方向正确且准确度达到 success_threshold 才算成功，达到 high_threshold 额外奖励
+  accuracy: {
+    success_threshold: 50,
+    high_threshold: 80,
+    high_bonus: 0,
+  },
+
+  // 信心指数权重（同时作用于加分和扣分）
+  confidence_weights: {
+    1: 1,
+    2: 1,
+    3: 1,
+    4: 1,
+    5: 1,
+  },
+
+  // 持有期倍数（只作用于加分）
+  hold_period_multipliers: {
+    "1week": 1,
+    "2weeks": 1,
+    "1month": 1,
+    "3months": 1,
+  },
+
+  // 提前平仓：触发止盈且判定成功时额外加分，触发止损且判定失败时减少扣分
+  // scale_by_remaining 为 true 时按触发时剩余持有期比例折算（越早触发越多）
+  early_close: {
+    target_bonus: 5,
+    stop_loss_relief: 2,
+    scale_by_remaining: true,
+  },
+
+  // 作者提前平仓：成功加分按已持有期比例折算，不低于 min_multiplier；
+  // 失败扣分乘以 failure_multiplier（大于 1 时加重处罚）
+  author_close: {
+    min_multiplier: 0.2,
+    failure_multiplier: 1,
+  },
+}
+
+const DEFAULT_VERSION = 1
+
+module.exports = {
+  DEFAULT_RULES,
+  DEFAULT_VERSION,
+}
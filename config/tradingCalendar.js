@@ -0,0 +1,168 @@
+// 交易所休市安排（北京时间）
+// 仅列出工作日休市日期，周末默认休市；每年根据交易所公告更新
+// 未收录年份按「工作日即交易日」处理
+
+// 交易时段（距 00:00 的分钟数）
+const SESSIONS = {
+  CN: {
+    full: [
+      [9 * 60 + 30, 11 * 60 + 30],
+      [13 * 60, 15 * 60],
+    ],
+  },
+  HK: {
+    full: [
+      [9 * 60 + 30, 12 * 60],
+      [13 * 60, 16 * 60],
+    ],
+    // 港股半日市只有早市
+    half: [[9 * 60 + 30, 12 * 60]],
+  },
+}
+
+// 市场对应的交易日历，未列出的市场沿用 A 股日历
+const MARKET_CALENDARS = {
+  SH: "CN",
+  SZ: "CN",
+  HK: "HK",
+}
+
+const HOLIDAYS = {
+  // 上交所 / 深交所
+  CN: {
+    2024: [
+      "2024-01-01",
+      "2024-02-09",
+      "2024-02-12",
+      "2024-02-13",
+      "2024-02-14",
+      "2024-02-15",
+      "2024-02-16",
+      "2024-04-04",
+      "2024-04-05",
+      "2024-05-01",
+      "2024-05-02",
+      "2024-05-03",
+      "2024-06-10",
+      "2024-09-16",
+      "2024-09-17",
+      "2024-10-01",
+      "2024-10-02",
+      "2024-10-03",
+      "2024-10-04",
+      "2024-10-07",
+    ],
+    2025: [
+      "2025-01-01",
+      "2025-01-28",
+      "2025-01-29",
+      "2025-01-30",
+      "2025-01-31",
+      "2025-02-03",
+      "2025-02-04",
+      "2025-04-04",
+      "2025-05-01",
+      "2025-05-02",
+      "2025-05-05",
+      "2025-06-02",
+      "2025-10-01",
+      "2025-10-02",
+      "2025-10-03",
+      "2025-10-06",
+      "2025-10-07",
+      "2025-10-08",
+    ],
+    2026: [
+      "2026-01-01",
+      "2026-01-02",
+      "2026-02-16",
+      "2026-02-17",
+      "2026-02-18",
+      "2026-02-19",
+      "2026-02-20",
+      "2026-02-23",
+      "2026-04-06",
+      "2026-05-01",
+      "2026-05-04",
+      "2026-05-05",
+      "2026-06-19",
+      "2026-09-25",
+      "2026-10-01",
+      "2026-10-02",
+      "2026-10-05",
+      "2026-10-06",
+      "2026-10-07",
+    ],
+  },
+
+  // 港交所
+  HK: {
+    2024: [
+      "2024-01-01",
+      "2024-02-12",
+      "2024-02-13",
+      "2024-03-29",
+      "2024-04-01",
+      "2024-04-04",
+      "2024-05-01",
+      "2024-05-15",
+      "2024-06-10",
+      "2024-07-01",
+      "2024-09-18",
+      "2024-10-01",
+      "2024-10-11",
+      "2024-12-25",
+      "2024-12-26",
+    ],
+    2025: [
+      "2025-01-01",
+      "2025-01-29",
+      "2025-01-30",
+      "2025-01-31",
+      "2025-04-04",
+      "2025-04-18",
+      "2025-04-21",
+      "2025-05-01",
+      "2025-05-05",
+      "2025-07-01",
+      "2025-10-01",
+      "2025-10-07",
+      "2025-10-29",
+      "2025-12-25",
+      "2025-12-26",
+    ],
+    2026: [
+      "2026-01-01",
+      "2026-02-17",
+      "2026-02-18",
+      "2026-02-19",
+      "2026-04-03",
+      "2026-04-06",
+      "2026-04-07",
+      "2026-05-01",
+      "2026-05-25",
+      "2026-06-19",
+      "2026-07-01",
+      "2026-10-01",
+      "2026-10-19",
+      "2026-12-25",
+    ],
+  },
+}
+
+// 半日市（圣诞前夕、除夕、农历年三十）
+const HALF_DAYS = {
+  CN: {},
+  HK: {
+    2024: ["2024-02-09", "2024-12-24", "2024-12-31"],
+    2025: ["2025-01-28", "2025-12-24", "2025-12-31"],
+    2026: ["2026-02-16", "2026-12-24", "2026-12-31"],
+  },
+}
+
+module.exports = {
+  SESSIONS,
+  MARKET_CALENDARS,
+  HOLIDAYS,
+  HALF_DAYS,
+}
@@ -0,0 +1,312 @@
+const { sequelize, Contest, ContestEntry, Ranking, User } = require("../models")
+const { ApiError } = require("../middleware/errorMiddleware")
+const { validationResult } = require("express-validator")
+const logger = require("../utils/logger")
+
+// 获取比赛列表
+const getContestList = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query
+
+    const offset = (page - 1) * limit
+
+    const { count, rows } = await Contest.getList(
+      status,
+      parseInt(limit),
+      offset
+    )
+
+    res.json({
+      code: 200,
+      message: "获取成功",
+      data: {
+        contests: rows.map((contest) => contest.toJSON()),
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(count / limit),
+        },
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// 获取比赛详情
+const getContestDetail = async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const contest = await Contest.findByPk(id)
+    if (!contest) {
+      throw new ApiError("比赛不存在", 404)
+    }
+
+    const result = contest.toJSON()
+
+    // 登录用户返回报名状态
+    if (req.user) {
+      const entry = await ContestEntry.findEntry(contest.id, req.user.userId)
+      result.my_entry = entry ? entry.toJSON() : null
+    }
+
+    res.json({
+      code: 200,
+      message: "获取成功",
+      data: result,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// 创建比赛（管理员功能）
+const createContest = async (req, res, next) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      throw new ApiError(
+        `输入验证失败: ${errors
+          .array()
+          .map((e) => e.msg)
+          .join(", ")}`,
+        400
+      )
+    }
+
+    const {
+      name,
+      description,
+      startDate,
+      endDate,
+      eligibleMarkets,
+      maxActivePicks,
+      entryRules = {},
+      successRule = "direction",
+      scoreMode = "points",
+      prizeTiers = [],
+    } = req.body
+
+    if (new Date(endDate) <= new Date(startDate)) {
+      throw new ApiError("结束时间必须晚于开始时间", 400)
+    }
+
+    const contest = await Contest.create({
+      name,
+      description,
+      start_date: startDate,
+      end_date: endDate,
+      eligible_markets: eligibleMarkets,
+      max_active_picks: maxActivePicks,
+      entry_rules: entryRules,
+      success_rule: successRule,
+      score_mode: scoreMode,
+      prize_tiers: prizeTiers,
+      status: new Date(startDate) <= new Date() ? "active" : "upcoming",
+      created_by: req.user.userId,
+    })
+
+    logger.info(`管理员创建比赛: ${contest.id} ${name}`)
+
+    res.status(201).json({
+      code: 201,
+      message: "创建成功",
+      data: contest.toJSON(),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// 报名参加比赛
+const enrollContest = async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const userId = req.user.userId
+
+    const contest = await Contest.findByPk(id)
+    if (!contest) {
+      throw new ApiError("比赛不存在", 404)
+    }
+
+    const user = await User.findByPk(userId)
+    if (!user) {
+      throw new ApiError("用户不存在", 404)
+    }
+
+    const existing = await ContestEntry.findEntry(contest.id, userId)
+    if (existing && existing.status === "enrolled") {
+      throw new ApiError("您已经报名了这个比赛", 400)
+    }
+
+    const reason = contest.checkEligibility(user)
+    if (reason) {
+      throw new ApiError(reason, 400)
+    }
+
+    const entry = await sequelize.transaction(async (transaction) => {
+      let record
+      if (existing) {
+        record = await existing.update(
+          { status: "enrolled", enrolled_at: new Date() },
+          { transaction }
+        )
+      } else {
+        record = await ContestEntry.create(
+          { contest_id: contest.id, user_id: userId },
+          { transaction }
+        )
+      }
+
+      await contest.increment("participant_count", { transaction })
+      return record
+    })
+
+    logger.info(`用户 ${userId} 报名比赛 ${contest.id}`)
+
+    res.status(201).json({
+      code: 201,
+      message: "报名成功",
+      data: entry.toJSON(),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// 退出比赛（仅限比赛开始前）
+const withdrawContest = async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const userId = req.user.userId
+
+    const contest = await Contest.findByPk(id)
+    if (!contest) {
+      throw new ApiError("比赛不存在", 404)
+    }
+
+    const entry = await ContestEntry.findEntry(contest.id, userId)
+    if (!entry || entry.status !== "enrolled") {
+      throw new ApiError("您没有报名这个比赛", 400)
+    }
+
+    if (contest.status !== "upcoming") {
+      throw new ApiError("比赛已开始，不能退出", 400)
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await entry.update({ status: "withdrawn" }, { transaction })
+      await contest.decrement("participant_count", { transaction })
+    })
+
+    logger.info(`用户 ${userId} 退出比赛 ${contest.id}`)
+
+    res.json({
+      code: 200,
+      message: "已退出比赛",
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// 获取比赛排行榜（比赛结束后返回冻结的最终排名）
+const getContestLeaderboard = async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const { page = 1, limit = 50 } = req.query
+
+    const offset = (page - 1) * limit
+
+    const contest = await Contest.findByPk(id)
+    if (!contest) {
+      throw new ApiError("比赛不存在", 404)
+    }
+
+    let standings
+    let count
+
+    if (contest.status === "closed") {
+      const result = await ContestEntry.getStandings(
+        contest.id,
+        parseInt(limit),
+        offset
+      )
+      count = result.count
+      standings = result.rows.map((entry) => entry.toJSON())
+    } else {
+      const result = await Ranking.getRankingList(
+        "contest",
+        contest.getPeriod(),
+        parseInt(limit),
+        offset
+      )
+      count = result.count
+      standings = result.rows.map((ranking) => ({
+        ...ranking.toJSON(),
+        prize: contest.getPrizeForRank(ranking.rank),
+      }))
+    }
+
+    res.json({
+      code: 200,
+      message: "获取成功",
+      data: {
+        contest: contest.toJSON(),
+        is_final: contest.status === "closed",
+        standings,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(count / limit),
+        },
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// 结束比赛并冻结排名（管理员功能）
+const closeContest = async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const contest = await Contest.findByPk(id)
+    if (!contest) {
+      throw new ApiError("比赛不存在", 404)
+    }
+
+    if (contest.status === "closed") {
+      throw new ApiError("比赛已结束", 400)
+    }
+
+    const rankings = await contest.close()
+
+    logger.info(`管理员结束比赛: ${contest.id}`)
+
+    res.json({
+      code: 200,
+      message: "比赛已结束",
+      data: {
+        contest: contest.toJSON(),
+        participants: rankings.length,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+module.exports = {
+  getContestList,
+  getContestDetail,
+  createContest,
+  enrollContest,
+  withdrawContest,
+  getContestLeaderboard,
+  closeContest,
+}
@@ -0,0 +1,36 @@
+const { ApiError } = require("../middleware/errorMiddleware")
+const feedService = require("../utils/feedService")
+const pagination = require("../utils/pagination")
+
+// 获取关注动态（关注用户的新推荐和推荐结算）
+const getFeed = async (req, res, next) => {
+  try {
+    const { cursor, limit = 20 } = req.query
+    const userId = req.user.userId
+
+    if (cursor && !pagination.decodeCursor(cursor)) {
+      throw new ApiError("游标无效", 400)
+    }
+
+    const { items, nextCursor } = await feedService.getTimeline(
+      userId,
+      cursor,
+      limit
+    )
+
+    res.json({
+      code: 200,
+      message: "获取成功",
+      data: {
+        items,
+        next_cursor: nextCursor,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+module.exports = {
+  getFeed,
+}
@@ -0,0 +1,123 @@
+const { Portfolio, Follow, Recommend, Stock, User } = require("../models")
+
+// 获取模拟账户概况（资金、市值、净值、盈亏）
+const getPortfolio = async (req, res, next) => {
+  try {
+    const userId = req.user.userId
+
+    const portfolio = await Portfolio.getOrCreate(userId)
+    const summary = await portfolio.getSummary()
+
+    res.json({
+      code: 200,
+      message: "获取成功",
+      data: summary,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// 获取当前持仓
+const getPositions = async (req, res, next) => {
+  try {
+    const userId = req.user.userId
+
+    const positions = await Follow.getPositions(userId)
+
+    res.json({
+      code: 200,
+      message: "获取成功",
+      data: positions,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// 获取已平仓记录和按推荐人汇总的盈亏
+const getPnl = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query
+    const userId = req.user.userId
+
+    const offset = (page - 1) * limit
+
+    const { count, rows } = await Follow.findAndCountAll({
+      where: {
+        user_id: userId,
+        follow_type: "recommend",
+        status: ["completed", "cancelled"],
+      },
+      include: [
+        {
+          model: Recommend,
+          as: "recommend",
+          attributes: ["id", "user_id", "stock_code", "status"],
+          include: [
+            {
+              model: Stock,
+              as: "stock",
+              attributes: ["name"],
+            },
+            {
+              model: User,
+              as: "user",
+              attributes: ["id", "nickname", "avatar"],
+            },
+          ],
+        },
+      ],
+      order: [["completed_at", "DESC"]],
+      limit: parseInt(limit),
+      offset,
+    })
+
+    // 按推荐人汇总
+    const byRecommender = await Follow.getPnlByRecommender(userId)
+    const recommenders = await User.findAll({
+      where: { id: byRecommender.map((r) => r.recommender_id) },
+      attributes: ["id", "nickname", "avatar"],
+    })
+    const recommenderMap = {}
+    recommenders.forEach((user) => {
+      recommenderMap[user.id] = user.toJSON()
+    })
+
+    res.json({
+      code: 200,
+      message: "获取成功",
+      data: {
+        trades: rows.map((follow) => follow.toJSON()),
+        by_recommender: byRecommender.map((r) => {
+          const cost = parseFloat(r.cost_amount) || 0
+          const pnl = parseFloat(r.realized_pnl) || 0
+          return {
+            recommender: recommenderMap[r.recommender_id] || {
+              id: r.recommender_id,
+            },
+            trades: parseInt(r.trades) || 0,
+            cost_amount: cost,
+            proceeds: parseFloat(r.proceeds) || 0,
+            realized_pnl: pnl,
+            return_rate: cost ? parseFloat(((pnl / cost) * 100).toFixed(4)) : 0,
+          }
+        }),
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(count / limit),
+        },
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+module.exports = {
+  getPortfolio,
+  getPositions,
+  getPnl,
+}
@@ -1,33 +1,82 @@
-const { Ranking, User } = require("../models")
+const { Ranking, User, ScoringRule } = require("../models")
 const { ApiError } = require("../middleware/errorMiddleware")
+const { validationResult } = require("express-validator")
 const logger = require("../utils/logger")
+const scoringEngine = require("../utils/scoringEngine")
+const leaderboard = require("../utils/leaderboard")
+
+const RANKING_TYPES = ["weekly", "monthly", "total"]
+
+// 校验排行榜类型，返回要查询的周期
+const resolvePeriod = (type, period) => {
+  if (!RANKING_TYPES.includes(type)) {
+    throw new ApiError("排行榜类型无效", 400)
+  }
+  return type === "total" ? "total" : period || Ranking.getCurrentPeriod(type)
+}
+
+// 为排名记录附加用户信息，过滤已注销的用户
+const attachUsers = async (entries) => {
+  const users = await User.findAll({
+    where: { id: entries.map((entry) => entry.user_id), status: "active" },
+    attributes: ["id", "nickname", "avatar", "level", "status"],
+    raw: true,
+  })
+  const userMap = {}
+  users.forEach((user) => {
+    userMap[user.id] = user
+  })
+
+  return entries
+    .filter((entry) => userMap[entry.user_id])
+    .map((entry) => ({ ...entry, user: userMap[entry.user_id] }))
+}
+
+// 读取一页排行：优先使用实时排行榜，排行榜不可用时查询 MySQL 快照
+const getBoardPage = async (type, period, page, limit) => {
+  const offset = (page - 1) * limit
+
+  const total = await leaderboard.ensureLoaded(type, period)
+  if (total > 0) {
+    const entries = await leaderboard.getPage(type, period, offset, limit)
+    return { count: total, rankings: await attachUsers(entries) }
+  }
+
+  const { count, rows } = await Ranking.getRankingList(
+    type,
+    period,
+    limit,
+    offset
+  )
+  return { count, rankings: rows.map((ranking) => ranking.toJSON()) }
+}
 
 // 获取周排行榜
 const getWeeklyRanking = async (req, res, next) => {
   try {
     const { page = 1, limit = 50, period } = req.query
 
-    const offset = (page - 1) * limit
-
-    const { count, rows } = await Ranking.getRankingList(
+    const currentPeriod = resolvePeriod("weekly", period)
+    const { count, rankings } = await getBoardPage(
       "weekly",
-      period,
-      parseInt(limit),
-      offset
+      currentPeriod,
+      parseInt(page),
+      parseInt(limit)
     )
 
     res.json({
       code: 200,
       message: "获取成功",
       data: {
-        rankings: rows.map((ranking) => ranking.toJSON()),
+        rankings,
         pagination: {
           total: count,
           page: parseInt(page),
           limit: parseInt(limit),
           pages: Math.ceil(count / limit),
         },
-        currentPeriod: period || Ranking.getCurrentPeriod("weekly"),
+        currentPeriod,
+        rankMode: Ranking.getRankMode(),
       },
     })
   } catch (error) {
@@ -40,27 +89,27 @@ const getMonthlyRanking = async (req, res, next) => {
   try {
     const { page = 1, limit = 50, period } = req.query
 
-    const offset = (page - 1) * limit
-
-    const { count, rows } = await Ranking.getRankingList(
+    const currentPeriod = resolvePeriod("monthly", period)
+    const { count, rankings } = await getBoardPage(
       "monthly",
-      period,
-      parseInt(limit),
-      offset
+      currentPeriod,
+      parseInt(page),
+      parseInt(limit)
     )
 
     res.json({
       code: 200,
       message: "获取成功",
       data: {
-        rankings: rows.map((ranking) => ranking.toJSON()),
+        rankings,
         pagination: {
           total: count,
           page: parseInt(page),
           limit: parseInt(limit),
           pages: Math.ceil(count / limit),
         },
-        currentPeriod: period || Ranking.getCurrentPeriod("monthly"),
+        currentPeriod,
+        rankMode: Ranking.getRankMode(),
       },
     })
   } catch (error) {
@@ -73,26 +122,25 @@ const getTotalRanking = async (req, res, next) => {
   try {
     const { page = 1, limit = 50 } = req.query
 
-    const offset = (page - 1) * limit
-
-    const { count, rows } = await Ranking.getRankingList(
+    const { count, rankings } = await getBoardPage(
       "total",
       "total",
-      parseInt(limit),
-      offset
+      parseInt(page),
+      parseInt(limit)
     )
 
     res.json({
       code: 200,
       message: "获取成功",
       data: {
-        rankings: rows.map((ranking) => ranking.toJSON()),
+        rankings,
         pagination: {
           total: count,
           page: parseInt(page),
           limit: parseInt(limit),
           pages: Math.ceil(count / limit),
         },
+        rankMode: Ranking.getRankMode(),
       },
     })
   } catch (error) {
@@ -134,16 +182,112 @@ const getUserRanking = async (req, res, next) => {
   }
 }
 
+// 获取我在排行榜中的实时名次（需要登录）
+const getMyLeaderboardRank = async (req, res, next) => {
+  try {
+    const { type } = req.params
+    const period = resolvePeriod(type, req.query.period)
+
+    const total = await leaderboard.ensureLoaded(type, period)
+    const me =
+      total > 0
+        ? await leaderboard.getRank(type, period, req.user.userId)
+        : null
+
+    res.json({
+      code: 200,
+      message: "获取成功",
+      data: { me, total, period },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// 获取用户前后的排名（未指定用户时为当前登录用户）
+const getLeaderboardAround = async (req, res, next) => {
+  try {
+    const { type } = req.params
+    const { radius = 5 } = req.query
+    const userId = req.query.userId || (req.user && req.user.userId)
+    const period = resolvePeriod(type, req.query.period)
+
+    if (!userId) {
+      throw new ApiError("用户ID不能为空", 400)
+    }
+
+    const total = await leaderboard.ensureLoaded(type, period)
+    const result =
+      total > 0
+        ? await leaderboard.getAround(type, period, userId, parseInt(radius))
+        : null
+
+    res.json({
+      code: 200,
+      message: "获取成功",
+      data: {
+        me: result ? result.me : null,
+        around: result ? await attachUsers(result.around) : [],
+        total,
+        period,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// 按积分区间获取排名
+const getLeaderboardByScore = async (req, res, next) => {
+  try {
+    const { type } = req.params
+    const { page = 1, limit = 50 } = req.query
+    const min = parseFloat(req.query.min)
+    const max = parseFloat(req.query.max)
+    const period = resolvePeriod(type, req.query.period)
+
+    if (isNaN(min) || isNaN(max) || min > max) {
+      throw new ApiError("积分区间无效", 400)
+    }
+
+    await leaderboard.ensureLoaded(type, period)
+    const entries = await leaderboard.getByScoreRange(
+      type,
+      period,
+      min,
+      max,
+      (page - 1) * limit,
+      parseInt(limit)
+    )
+
+    res.json({
+      code: 200,
+      message: "获取成功",
+      data: {
+        rankings: await attachUsers(entries),
+        period,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
 // 手动计算排名（管理员功能）
 const calculateRankings = async (req, res, next) => {
   try {
-    const { type = "all", period } = req.body
+    const { type = "all", period, scoreMode } = req.body
 
+    const options = scoreMode ? { scoreMode } : {}
     const results = {}
 
     if (type === "all" || type === "weekly") {
       try {
-        const weeklyResult = await Ranking.calculateRankings("weekly", period)
+        const weeklyResult = await Ranking.calculateRankings(
+          "weekly",
+          period,
+          options
+        )
         results.weekly = {
           success: true,
           count: weeklyResult.length,
@@ -159,7 +303,11 @@ const calculateRankings = async (req, res, next) => {
 
     if (type === "all" || type === "monthly") {
       try {
-        const monthlyResult = await Ranking.calculateRankings("monthly", period)
+        const monthlyResult = await Ranking.calculateRankings(
+          "monthly",
+          period,
+          options
+        )
         results.monthly = {
           success: true,
           count: monthlyResult.length,
@@ -175,7 +323,11 @@ const calculateRankings = async (req, res, next) => {
 
     if (type === "all" || type === "total") {
       try {
-        const totalResult = await Ranking.calculateRankings("total", "total")
+        const totalResult = await Ranking.calculateRankings(
+          "total",
+          "total",
+          options
+        )
         results.total = {
           success: true,
           count: totalResult.length,
@@ -373,13 +525,125 @@ const getUserRankingTrend = async (req, res, next) => {
   }
 }
 
+// 获取积分规则（当前启用版本和历史版本）
+const getScoringRules = async (req, res, next) => {
+  try {
+    const active = await scoringEngine.getActiveRuleSet()
+    const versions = await ScoringRule.findAll({
+      order: [["version", "DESC"]],
+    })
+
+    res.json({
+      code: 200,
+      message: "获取成功",
+      data: {
+        active,
+        default: scoringEngine.getDefaultRuleSet(),
+        versions: versions.map((rule) => rule.toJSON()),
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// 创建积分规则版本（管理员功能）
+const createScoringRule = async (req, res, next) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      throw new ApiError(
+        `输入验证失败: ${errors
+          .array()
+          .map((e) => e.msg)
+          .join(", ")}`,
+        400
+      )
+    }
+
+    const { name, rules, description, activate = false } = req.body
+
+    // 保存完整规则，避免默认值变化影响历史版本
+    const scoringRule = await ScoringRule.create({
+      version: await ScoringRule.getNextVersion(),
+      name,
+      rules: scoringEngine.normalizeRules(rules),
+      description,
+      created_by: req.user.userId,
+    })
+
+    if (activate) {
+      await scoringRule.activate()
+      await scoringEngine.invalidate()
+    }
+
+    logger.info(`管理员创建积分规则版本: ${scoringRule.version}`)
+
+    res.status(201).json({
+      code: 201,
+      message: "创建成功",
+      data: scoringRule.toJSON(),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// 启用积分规则版本（管理员功能）
+const activateScoringRule = async (req, res, next) => {
+  try {
+    const version = parseInt(req.params.version)
+
+    // 版本 1 为内置默认规则：停用所有数据库版本即恢复默认
+    if (version === scoringEngine.getDefaultRuleSet().version) {
+      await ScoringRule.update(
+        { is_active: false },
+        { where: { is_active: true } }
+      )
+      await scoringEngine.invalidate()
+
+      logger.info("管理员恢复默认积分规则")
+
+      return res.json({
+        code: 200,
+        message: "启用成功",
+        data: scoringEngine.getDefaultRuleSet(),
+      })
+    }
+
+    const scoringRule = await ScoringRule.getByVersion(version)
+    if (!scoringRule) {
+      throw new ApiError("积分规则版本不存在", 404)
+    }
+
+    await scoringRule.activate()
+    await scoringEngine.invalidate()
+
+    logger.info(`管理员启用积分规则版本: ${version}`)
+
+    res.json({
+      code: 200,
+      message: "启用成功",
+      data: scoringRule.toJSON(),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
 module.exports = {
   getWeeklyRanking,
   getMonthlyRanking,
   getTotalRanking,
   getUserRanking,
+  getMyLeaderboardRank,
+  getLeaderboardAround,
+  getLeaderboardByScore,
   calculateRankings,
   getRankingHistory,
   getRankingStats,
   getUserRankingTrend,
+  getScoringRules,
+  createScoringRule,
+  activateScoringRule,
 }
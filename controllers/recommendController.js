@@ -1,7 +1,39 @@
-const { Recommend, User, Stock, Follow } = require("../models")
+const { Op } = require("sequelize")
+const {
+  sequelize,
+  Recommend,
+  User,
+  Stock,
+  Follow,
+  Settlement,
+  Contest,
+  ContestEntry,
+  Portfolio,
+  RecommendRevision,
+  RecommendLike,
+  RecommendComment,
+} = require("../models")
 const { ApiError } = require("../middleware/errorMiddleware")
 const { validationResult } = require("express-validator")
 const logger = require("../utils/logger")
+const tradingCalendar = require("../utils/tradingCalendar")
+const benchmark = require("../utils/benchmark")
+const quoteStore = require("../utils/quoteStore")
+const viewCounter = require("../utils/viewCounter")
+const trendingService = require("../utils/trendingService")
+const pagination = require("../utils/pagination")
+
+// 创建后锁定的请求字段
+const LOCKED_FIELDS = {
+  stockCode: "股票",
+  direction: "方向",
+  predictChange: "预期涨跌幅",
+  holdPeriod: "持有期",
+  confidence: "信心指数",
+  targetPrice: "止盈价",
+  stopLoss: "止损价",
+  entryPrice: "建仓价格",
+}
 
 // 创建推荐
 const createRecommend = async (req, res, next) => {
@@ -21,13 +53,27 @@ const createRecommend = async (req, res, next) => {
     const {
       stockCode,
       stockName,
-      currentPrice,
       predictChange,
       reason,
       holdPeriod,
       confidence = 3,
       tags = [],
+      contestId,
     } = req.body
+    const targetPrice = req.body.targetPrice
+      ? parseFloat(req.body.targetPrice)
+      : null
+    const stopLoss = req.body.stopLoss ? parseFloat(req.body.stopLoss) : null
+
+    // 持仓方向：未指定时按预期涨跌幅推断，指定时须与预期方向一致
+    const direction =
+      req.body.direction || (parseFloat(predictChange) < 0 ? "short" : "long")
+    if (direction === "long" && parseFloat(predictChange) <= 0) {
+      throw new ApiError("看多推荐的预期涨跌幅应为正数", 400)
+    }
+    if (direction === "short" && parseFloat(predictChange) >= 0) {
+      throw new ApiError("看空推荐的预期涨跌幅应为负数", 400)
+    }
 
     const userId = req.user.userId
 
@@ -37,12 +83,12 @@ const createRecommend = async (req, res, next) => {
       throw new ApiError("用户不存在", 404)
     }
 
-    // 检查用户是否已推荐过该股票（活跃状态）
+    // 检查用户是否已推荐过该股票（排队中或活跃状态）
     const existingRecommend = await Recommend.findOne({
       where: {
         user_id: userId,
         stock_code: stockCode,
-        status: "active",
+        status: ["pending", "active"],
       },
     })
 
@@ -53,66 +99,170 @@ const createRecommend = async (req, res, next) => {
     // 检查或创建股票信息
     let stock = await Stock.findByCode(stockCode)
     if (!stock) {
-      // 自动创建股票记录
+      // 自动创建股票记录，价格由行情更新任务写入
       const marketInfo = getStockMarketInfo(stockCode)
       stock = await Stock.create({
         code: stockCode,
         name: stockName,
         market: marketInfo.market,
-        current_price: currentPrice,
-        previous_close: currentPrice,
+        board: Stock.getBoard(stockCode, marketInfo.market),
+        is_st: Stock.isStName(stockName),
         change_amount: 0,
         change_percent: 0,
         status: "active",
       })
     }
 
-    // 计算结束时间
-    const startDate = new Date()
-    const endDate = new Date()
+    if (stock.is_index) {
+      throw new ApiError("指数不能作为推荐标的", 400)
+    }
+
+    // 停牌、退市的股票不能推荐
+    const statusRestriction = stock.getEntryRestriction(null, direction)
+    if (statusRestriction) {
+      throw new ApiError(Stock.ENTRY_RESTRICTIONS[statusRestriction], 400)
+    }
+
+    // 建仓价格以服务端行情为准：交易时段内使用有效期内的最新行情成交，
+    // 非交易时段排队至下一交易时段开盘成交
+    const now = new Date()
+    const marketOpen = tradingCalendar.isMarketOpen(now, stock.market)
+    let quote = null
+    if (marketOpen) {
+      quote = await quoteStore.getFresh(stock, now)
+      if (!quote) {
+        throw new ApiError("暂无最新行情，请稍后再试", 503)
+      }
+
+      // 涨停封板时无法买入，跌停封板时无法卖出
+      const quoteRestriction = stock.getEntryRestriction(quote, direction)
+      if (quoteRestriction) {
+        throw new ApiError(Stock.ENTRY_RESTRICTIONS[quoteRestriction], 400)
+      }
+    }
+
+    // 看多：止盈价须高于止损价，即时成交时分别须高于/低于成交价；看空相反
+    if (direction === "long") {
+      if (targetPrice && stopLoss && targetPrice <= stopLoss) {
+        throw new ApiError("止盈价必须高于止损价", 400)
+      }
+      if (quote && targetPrice && targetPrice <= quote.price) {
+        throw new ApiError(`止盈价必须高于当前价格 ${quote.price}`, 400)
+      }
+      if (quote && stopLoss && stopLoss >= quote.price) {
+        throw new ApiError(`止损价必须低于当前价格 ${quote.price}`, 400)
+      }
+    } else {
+      if (targetPrice && stopLoss && targetPrice >= stopLoss) {
+        throw new ApiError("看空推荐的止盈价必须低于止损价", 400)
+      }
+      if (quote && targetPrice && targetPrice >= quote.price) {
+        throw new ApiError(
+          `看空推荐的止盈价必须低于当前价格 ${quote.price}`,
+          400
+        )
+      }
+      if (quote && stopLoss && stopLoss <= quote.price) {
+        throw new ApiError(
+          `看空推荐的止损价必须高于当前价格 ${quote.price}`,
+          400
+        )
+      }
+    }
+
+    // 计算结束时间：按交易日历顺延到交易日收盘，避免在节假日到期
+    const startDate = marketOpen
+      ? now
+      : tradingCalendar.getNextSessionOpen(now, stock.market)
+    const endDate = tradingCalendar.getHoldPeriodEndDate(
+      startDate,
+      holdPeriod,
+      stock.market
+    )
+
+    // 参加比赛的推荐需要符合比赛规则
+    let contest = null
+    if (contestId) {
+      contest = await Contest.findByPk(contestId)
+      if (!contest) {
+        throw new ApiError("比赛不存在", 404)
+      }
+
+      if (!(await ContestEntry.isEnrolled(contest.id, userId))) {
+        throw new ApiError("请先报名参加比赛", 403)
+      }
+
+      const pickError = contest.checkPick({
+        market: stock.market,
+        holdPeriod,
+        endDate,
+      })
+      if (pickError) {
+        throw new ApiError(pickError, 400)
+      }
 
-    switch (holdPeriod) {
-      case "1week":
-        endDate.setDate(endDate.getDate() + 7)
-        break
-      case "2weeks":
-        endDate.setDate(endDate.getDate() + 14)
-        break
-      case "1month":
-        endDate.setMonth(endDate.getMonth() + 1)
-        break
-      case "3months":
-        endDate.setMonth(endDate.getMonth() + 3)
-        break
-      default:
-        endDate.setDate(endDate.getDate() + 7)
+      const activePicks = await Recommend.count({
+        where: {
+          user_id: userId,
+          contest_id: contest.id,
+          status: ["pending", "active"],
+        },
+      })
+      if (activePicks >= contest.max_active_picks) {
+        throw new ApiError(
+          `比赛中同时进行的推荐不能超过 ${contest.max_active_picks} 条`,
+          400
+        )
+      }
     }
 
+    // 记录同期基准点位，结算时计算超额收益（排队中的推荐在成交时记录）
+    const benchmarkSnapshot = quote
+      ? await benchmark.snapshot(stock.market)
+      : { code: null, level: null }
+
     // 创建推荐记录
     const recommend = await Recommend.create({
       user_id: userId,
       stock_code: stockCode,
+      direction,
       predict_change: predictChange,
       reason: reason.trim(),
       confidence,
       hold_period: holdPeriod,
-      entry_price: currentPrice,
-      current_price: currentPrice,
-      current_return: 0,
+      entry_price: quote ? quote.price : null,
+      current_price: quote ? quote.price : null,
+      current_return: quote ? 0 : null,
+      fill_type: quote ? "realtime" : "next_open",
+      fill_price: quote ? quote.price : null,
+      filled_at: quote ? quote.timestamp : null,
+      target_price: targetPrice,
+      stop_loss: stopLoss,
+      benchmark_code: benchmarkSnapshot.code,
+      benchmark_entry: benchmarkSnapshot.level,
+      contest_id: contest ? contest.id : null,
+      success_rule: contest
+        ? contest.success_rule
+        : benchmark.getDefaultSuccessRule(),
       start_date: startDate,
       end_date: endDate,
       tags,
-      status: "active",
+      status: quote ? "active" : "pending",
     })
 
     // 更新股票推荐次数
     await stock.increment("recommend_count")
 
-    logger.info(`用户 ${userId} 创建推荐: ${stockCode} (${predictChange}%)`)
+    logger.info(
+      `用户 ${userId} 创建推荐: ${stockCode} (${predictChange}%)` +
+        (quote ? `，成交价 ${quote.price}` : "，排队至下一交易时段开盘成交")
+    )
 
     res.status(201).json({
       code: 201,
-      message: "推荐创建成功",
+      message: quote
+        ? "推荐创建成功"
+        : "当前非交易时段，推荐将在下一交易时段开盘成交",
       data: recommend.toJSON(),
     })
   } catch (error) {
@@ -129,6 +279,8 @@ const getRecommendList = async (req, res, next) => {
       status = "active",
       stockCode,
       userId,
+      contestId,
+      direction,
       sortBy = "created_at",
       sortOrder = "DESC",
     } = req.query
@@ -148,6 +300,14 @@ const getRecommendList = async (req, res, next) => {
       where.user_id = userId
     }
 
+    if (contestId) {
+      where.contest_id = contestId
+    }
+
+    if (direction) {
+      where.direction = direction
+    }
+
     const { count, rows } = await Recommend.findAndCountAll({
       where,
       include: [
@@ -257,8 +417,8 @@ const getRecommendDetail = async (req, res, next) => {
       throw new ApiError("推荐不存在", 404)
     }
 
-    // 增加查看次数
-    await recommend.incrementView()
+    // 记录查看（去重、排除作者，批量写入）
+    await viewCounter.record(recommend, req)
 
     // 获取跟投信息
     const followCount = await Follow.count({
@@ -268,15 +428,29 @@ const getRecommendDetail = async (req, res, next) => {
       },
     })
 
-    // 检查当前用户是否已跟投
+    // 检查当前用户是否已跟投、已点赞
     let isFollowed = false
+    let isLiked = false
     if (req.user) {
       isFollowed = await Follow.isFollowing(req.user.userId, id)
+      isLiked = await RecommendLike.isLiked(req.user.userId, id)
     }
 
     const result = recommend.toJSON()
     result.follow_count = followCount
     result.is_followed = isFollowed
+    result.is_liked = isLiked
+    result.is_price_adjusted = (recommend.price_adjustments || []).length > 0
+
+    // 修改记录
+    const revisions = await RecommendRevision.getByRecommend(id)
+    result.revisions = revisions.map((revision) => revision.toJSON())
+
+    // 已结算的推荐附带最近一次结算记录
+    if (recommend.settled_at) {
+      const [settlement] = await Settlement.getByRecommend(id)
+      result.settlement = settlement ? settlement.toJSON() : null
+    }
 
     res.json({
       code: 200,
@@ -292,9 +466,20 @@ const getRecommendDetail = async (req, res, next) => {
 const updateRecommend = async (req, res, next) => {
   try {
     const { id } = req.params
-    const { reason, tags, confidence } = req.body
+    const { reason, tags } = req.body
     const userId = req.user.userId
 
+    // 预测相关字段创建后不能修改
+    const locked = Object.keys(LOCKED_FIELDS).filter(
+      (field) => req.body[field] !== undefined
+    )
+    if (locked.length > 0) {
+      throw new ApiError(
+        `推荐创建后不能修改${locked.map((f) => LOCKED_FIELDS[f]).join("、")}`,
+        400
+      )
+    }
+
     const recommend = await Recommend.findByPk(id)
 
     if (!recommend) {
@@ -305,18 +490,18 @@ const updateRecommend = async (req, res, next) => {
       throw new ApiError("无权限修改此推荐", 403)
     }
 
-    if (recommend.status !== "active") {
-      throw new ApiError("只能修改活跃状态的推荐", 400)
+    if (!["pending", "active"].includes(recommend.status)) {
+      throw new ApiError("只能修改排队中或活跃状态的推荐", 400)
     }
 
-    // 只允许修改推荐理由、标签和信心指数
-    await recommend.update({
-      reason: reason || recommend.reason,
-      tags: tags || recommend.tags,
-      confidence: confidence || recommend.confidence,
-    })
+    // 只允许修改推荐理由和标签，修改前后内容写入修改记录
+    const revision = await recommend.revise(userId, { reason, tags })
 
-    logger.info(`用户 ${userId} 更新推荐: ${id}`)
+    if (revision) {
+      logger.info(
+        `用户 ${userId} 更新推荐: ${id} (第 ${revision.revision} 次修改)`
+      )
+    }
 
     res.json({
       code: 200,
@@ -334,7 +519,9 @@ const deleteRecommend = async (req, res, next) => {
     const { id } = req.params
     const userId = req.user.userId
 
-    const recommend = await Recommend.findByPk(id)
+    const recommend = await Recommend.findByPk(id, {
+      include: [{ model: Stock, as: "stock" }],
+    })
 
     if (!recommend) {
       throw new ApiError("推荐不存在", 404)
@@ -344,14 +531,53 @@ const deleteRecommend = async (req, res, next) => {
       throw new ApiError("无权限删除此推荐", 403)
     }
 
-    if (recommend.status !== "active") {
-      throw new ApiError("只能删除活跃状态的推荐", 400)
+    if (!["pending", "active"].includes(recommend.status)) {
+      throw new ApiError("只能删除排队中或活跃状态的推荐", 400)
     }
 
-    // 软删除：修改状态为取消
-    await recommend.update({ status: "cancelled" })
+    // 跟投持仓平仓价：交易时段内按有效期内的行情卖出，否则按跟投成本退回
+    const stock = recommend.stock
+    const now = new Date()
+    const quote =
+      stock && tradingCalendar.isMarketOpen(now, stock.market)
+        ? await quoteStore.getFresh(stock, now)
+        : null
+
+    // 软删除：修改状态为取消，跟投持仓在同一事务中平仓
+    const closedFollows = await sequelize.transaction(async (transaction) => {
+      await recommend.reload({ transaction, lock: transaction.LOCK.UPDATE })
+      if (!["pending", "active"].includes(recommend.status)) {
+        throw new ApiError("只能删除排队中或活跃状态的推荐", 400)
+      }
+
+      await recommend.update({ status: "cancelled" }, { transaction })
+
+      const follows = await Follow.findAll({
+        where: {
+          recommend_id: recommend.id,
+          follow_type: "recommend",
+          status: "active",
+        },
+        transaction,
+      })
+
+      let count = 0
+      for (const follow of follows) {
+        const exitPrice = quote ? quote.price : follow.getFollowPrice()
+        const closed = await follow.closePosition(exitPrice, "cancelled", {
+          transaction,
+        })
+        if (closed) {
+          count += 1
+        }
+      }
+      return count
+    })
 
-    logger.info(`用户 ${userId} 删除推荐: ${id}`)
+    logger.info(
+      `用户 ${userId} 删除推荐: ${id}` +
+        (closedFollows > 0 ? `，平仓跟投 ${closedFollows} 条` : "")
+    )
 
     res.json({
       code: 200,
@@ -379,21 +605,50 @@ const getFeaturedRecommends = async (req, res, next) => {
   }
 }
 
+// 获取热门推荐（按时间窗口内的互动热度）
+const getTrendingRecommends = async (req, res, next) => {
+  try {
+    const { window = "24h", limit = 20 } = req.query
+
+    if (!trendingService.getWindows().includes(window)) {
+      throw new ApiError("时间窗口参数无效", 400)
+    }
+
+    const recommends = await trendingService.getTrendingRecommends(
+      window,
+      parseInt(limit)
+    )
+
+    res.json({
+      code: 200,
+      message: "获取成功",
+      data: { window, recommends },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
 // 跟投推荐
 const followRecommend = async (req, res, next) => {
   try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      throw new ApiError(
+        `输入验证失败: ${errors
+          .array()
+          .map((e) => e.msg)
+          .join(", ")}`,
+        400
+      )
+    }
+
     const { id } = req.params
     const { followAmount = 10000 } = req.body
     const userId = req.user.userId
 
     const recommend = await Recommend.findByPk(id, {
-      include: [
-        {
-          model: Stock,
-          as: "stock",
-          attributes: ["current_price"],
-        },
-      ],
+      include: [{ model: Stock, as: "stock" }],
     })
 
     if (!recommend) {
@@ -421,14 +676,43 @@ const followRecommend = async (req, res, next) => {
       throw new ApiError("已经跟投过此推荐", 400)
     }
 
-    // 创建跟投记录
-    const follow = await Follow.create({
-      user_id: userId,
-      recommend_id: id,
-      follow_type: "recommend",
-      follow_amount: followAmount,
-      follow_price: recommend.stock.current_price || recommend.current_price,
-      status: "active",
+    // 按实时价格整手买入
+    const price = await getLivePrice(recommend.stock, "跟投")
+
+    const shares = Portfolio.calculateShares(followAmount, price)
+    if (shares === 0) {
+      throw new ApiError(`跟投金额不足一手（${Portfolio.LOT_SIZE} 股）`, 400)
+    }
+    const costAmount = parseFloat((shares * price).toFixed(2))
+
+    const follow = await sequelize.transaction(async (transaction) => {
+      const portfolio = await Portfolio.getOrCreate(userId, { transaction })
+      await portfolio.reload({ transaction, lock: transaction.LOCK.UPDATE })
+
+      if (costAmount > parseFloat(portfolio.cash)) {
+        throw new ApiError(
+          `可用资金不足，当前可用 ${parseFloat(portfolio.cash).toFixed(2)}`,
+          400
+        )
+      }
+
+      await portfolio.debit(costAmount, { transaction })
+
+      // 创建跟投记录
+      return Follow.create(
+        {
+          user_id: userId,
+          recommend_id: id,
+          follow_type: "recommend",
+          direction: recommend.direction,
+          follow_amount: followAmount,
+          follow_price: price,
+          shares,
+          cost_amount: costAmount,
+          status: "active",
+        },
+        { transaction }
+      )
     })
 
     // 更新推荐的跟投计数
@@ -465,11 +749,21 @@ const unfollowRecommend = async (req, res, next) => {
       throw new ApiError("未找到跟投记录", 404)
     }
 
-    // 取消跟投
-    await follow.update({ status: "cancelled" })
+    const recommend = await Recommend.findByPk(id, {
+      include: [{ model: Stock, as: "stock" }],
+    })
+
+    // 取消跟投，按实时价格卖出持仓
+    const price =
+      follow.shares > 0
+        ? await getLivePrice(recommend && recommend.stock, "取消跟投")
+        : null
+    const closed = await follow.closePosition(price, "cancelled")
+    if (!closed) {
+      throw new ApiError("跟投已结束", 400)
+    }
 
     // 更新推荐的跟投计数
-    const recommend = await Recommend.findByPk(id)
     if (recommend) {
       await recommend.decrement("follow_count")
     }
@@ -479,6 +773,7 @@ const unfollowRecommend = async (req, res, next) => {
     res.json({
       code: 200,
       message: "取消跟投成功",
+      data: follow.toJSON(),
     })
   } catch (error) {
     next(error)
@@ -501,7 +796,26 @@ const settleRecommend = async (req, res, next) => {
       throw new ApiError("只能结算活跃状态的推荐", 400)
     }
 
-    await recommend.settle(exitPrice)
+    const settlement = await recommend.settle(exitPrice, {
+      settledBy: `admin:${req.user.userId}`,
+      closeReason: "manual",
+    })
+
+    // 并发请求已先行结算
+    if (!settlement && recommend.status !== "active") {
+      throw new ApiError("推荐已结算", 400)
+    }
+
+    // 股票停牌且未指定结算价时按停牌规则顺延
+    if (!settlement) {
+      logger.info(`推荐 ${id} 因停牌顺延至 ${recommend.end_date}`)
+
+      return res.json({
+        code: 200,
+        message: "股票停牌中，推荐已顺延结算",
+        data: recommend.toJSON(),
+      })
+    }
 
     logger.info(`管理员结算推荐: ${id}`)
 
@@ -515,6 +829,104 @@ const settleRecommend = async (req, res, next) => {
   }
 }
 
+// 作者提前平仓：按服务端最新行情结算，跟投持仓同价平仓
+const closeRecommend = async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const userId = req.user.userId
+
+    const recommend = await Recommend.findByPk(id, {
+      include: [{ model: Stock, as: "stock" }],
+    })
+
+    if (!recommend) {
+      throw new ApiError("推荐不存在", 404)
+    }
+
+    if (recommend.user_id !== userId) {
+      throw new ApiError("无权限平仓此推荐", 403)
+    }
+
+    if (recommend.status !== "active") {
+      throw new ApiError("只能提前平仓活跃状态的推荐", 400)
+    }
+
+    const stock = recommend.stock
+    const now = new Date()
+    if (!stock || !tradingCalendar.isMarketOpen(now, stock.market)) {
+      throw new ApiError("非交易时段不能提前平仓", 400)
+    }
+
+    if (stock.isSuspended()) {
+      throw new ApiError("股票停牌中，暂不能平仓", 400)
+    }
+
+    const quote = await quoteStore.getFresh(stock, now)
+    if (!quote) {
+      throw new ApiError("暂无最新行情，请稍后再试", 503)
+    }
+
+    // 看多平仓需要卖出（跌停封板无法卖出），看空平仓需要买回（涨停封板无法买入）
+    const exitRestriction = stock.getEntryRestriction(
+      quote,
+      recommend.direction === "short" ? "long" : "short"
+    )
+    if (exitRestriction) {
+      throw new ApiError(Stock.ENTRY_RESTRICTIONS[exitRestriction], 400)
+    }
+
+    const settlement = await recommend.settle(quote.price, {
+      settledBy: `user:${userId}`,
+      closeReason: "closed_early",
+    })
+
+    // 止盈止损或到期结算已先行结算
+    if (!settlement) {
+      throw new ApiError("推荐已结算", 400)
+    }
+
+    logger.info(`用户 ${userId} 提前平仓推荐: ${id} (${quote.price})`)
+
+    res.json({
+      code: 200,
+      message: "平仓成功",
+      data: {
+        recommend: recommend.toJSON(),
+        settlement: settlement.toJSON(),
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// 获取推荐的结算记录
+const getRecommendSettlement = async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const recommend = await Recommend.findByPk(id)
+
+    if (!recommend) {
+      throw new ApiError("推荐不存在", 404)
+    }
+
+    const settlements = await Settlement.getByRecommend(id)
+
+    res.json({
+      code: 200,
+      message: "获取成功",
+      data: {
+        recommend_id: recommend.id,
+        status: recommend.status,
+        settlements: settlements.map((settlement) => settlement.toJSON()),
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
 // 批量检查过期推荐
 const checkExpiredRecommends = async (req, res, next) => {
   try {
@@ -558,6 +970,21 @@ const checkExpiredRecommends = async (req, res, next) => {
   }
 }
 
+// 工具函数：获取跟投成交价，与推荐建仓规则相同：仅交易时段内按有效期内的服务端行情成交
+async function getLivePrice(stock, action) {
+  const now = new Date()
+  if (!stock || !tradingCalendar.isMarketOpen(now, stock.market)) {
+    throw new ApiError(`非交易时段不能${action}`, 400)
+  }
+
+  const quote = await quoteStore.getFresh(stock, now)
+  if (!quote) {
+    throw new ApiError("暂无最新行情，请稍后再试", 503)
+  }
+
+  return quote.price
+}
+
 // 工具函数：获取股票市场信息
 function getStockMarketInfo(code) {
   if (code.startsWith("6")) {
@@ -571,6 +998,377 @@ function getStockMarketInfo(code) {
   }
 }
 
+// 评论和点赞列表返回的用户信息
+const SOCIAL_USER_ATTRIBUTES = ["id", "nickname", "avatar", "level"]
+
+// 查找可互动（点赞、评论）的推荐
+const findInteractiveRecommend = async (id) => {
+  const recommend = await Recommend.findByPk(id)
+  if (!recommend) {
+    throw new ApiError("推荐不存在", 404)
+  }
+  if (recommend.status === "cancelled") {
+    throw new ApiError("推荐已取消", 400)
+  }
+  return recommend
+}
+
+// 查找推荐下的评论
+const findRecommendComment = async (recommendId, commentId) => {
+  const comment = await RecommendComment.findByPk(commentId)
+  if (!comment || comment.recommend_id !== parseInt(recommendId)) {
+    throw new ApiError("评论不存在", 404)
+  }
+  return comment
+}
+
+// 点赞推荐
+const likeRecommend = async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const userId = req.user.userId
+
+    const recommend = await findInteractiveRecommend(id)
+
+    if (recommend.user_id === userId) {
+      throw new ApiError("不能给自己的推荐点赞", 400)
+    }
+
+    const like = await RecommendLike.like(recommend, userId)
+    if (!like) {
+      throw new ApiError("已经点赞过此推荐", 400)
+    }
+
+    await recommend.reload()
+
+    res.status(201).json({
+      code: 201,
+      message: "点赞成功",
+      data: { liked: true, like_count: recommend.like_count },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// 取消点赞
+const unlikeRecommend = async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const userId = req.user.userId
+
+    const recommend = await Recommend.findByPk(id)
+    if (!recommend) {
+      throw new ApiError("推荐不存在", 404)
+    }
+
+    const removed = await RecommendLike.unlike(recommend, userId)
+    if (!removed) {
+      throw new ApiError("未点赞此推荐", 404)
+    }
+
+    await recommend.reload()
+
+    res.json({
+      code: 200,
+      message: "取消点赞成功",
+      data: { liked: false, like_count: recommend.like_count },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// 获取点赞用户列表
+const getRecommendLikes = async (req, res, next) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      throw new ApiError(
+        `输入验证失败: ${errors
+          .array()
+          .map((e) => e.msg)
+          .join(", ")}`,
+        400
+      )
+    }
+
+    const { id } = req.params
+    const { cursor, limit = 20 } = req.query
+
+    const recommend = await Recommend.findByPk(id)
+    if (!recommend) {
+      throw new ApiError("推荐不存在", 404)
+    }
+
+    const { items, nextCursor } = await pagination.findPageByCursor(
+      RecommendLike,
+      {
+        where: { recommend_id: id },
+        cursor,
+        limit,
+        include: [
+          { model: User, as: "user", attributes: SOCIAL_USER_ATTRIBUTES },
+        ],
+      }
+    )
+
+    res.json({
+      code: 200,
+      message: "获取成功",
+      data: {
+        likes: items.map((like) => like.toJSON()),
+        like_count: recommend.like_count,
+        next_cursor: nextCursor,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// 获取顶层评论（首页返回置顶评论；已删除且没有回复的评论不返回）
+const getRecommendComments = async (req, res, next) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      throw new ApiError(
+        `输入验证失败: ${errors
+          .array()
+          .map((e) => e.msg)
+          .join(", ")}`,
+        400
+      )
+    }
+
+    const { id } = req.params
+    const { cursor, limit = 20 } = req.query
+
+    const recommend = await Recommend.findByPk(id)
+    if (!recommend) {
+      throw new ApiError("推荐不存在", 404)
+    }
+
+    const include = [
+      { model: User, as: "user", attributes: SOCIAL_USER_ATTRIBUTES },
+    ]
+
+    const { items, nextCursor } = await pagination.findPageByCursor(
+      RecommendComment,
+      {
+        where: {
+          recommend_id: id,
+          root_id: null,
+          is_pinned: false,
+          [Op.or]: [{ status: "normal" }, { reply_count: { [Op.gt]: 0 } }],
+        },
+        cursor,
+        limit,
+        include,
+      }
+    )
+
+    const pinned = cursor
+      ? []
+      : await RecommendComment.findAll({
+          where: { recommend_id: id, root_id: null, is_pinned: true },
+          include,
+        })
+
+    res.json({
+      code: 200,
+      message: "获取成功",
+      data: {
+        pinned: pinned.map((comment) => comment.toJSON()),
+        comments: items.map((comment) => comment.toJSON()),
+        comment_count: recommend.comment_count,
+        next_cursor: nextCursor,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// 获取评论的回复（按时间正序）
+const getCommentReplies = async (req, res, next) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      throw new ApiError(
+        `输入验证失败: ${errors
+          .array()
+          .map((e) => e.msg)
+          .join(", ")}`,
+        400
+      )
+    }
+
+    const { id, commentId } = req.params
+    const { cursor, limit = 20 } = req.query
+
+    const comment = await findRecommendComment(id, commentId)
+    if (comment.root_id) {
+      throw new ApiError("只能查看顶层评论的回复", 400)
+    }
+
+    const { items, nextCursor } = await pagination.findPageByCursor(
+      RecommendComment,
+      {
+        where: { root_id: comment.id, status: "normal" },
+        cursor,
+        limit,
+        order: "ASC",
+        include: [
+          { model: User, as: "user", attributes: SOCIAL_USER_ATTRIBUTES },
+          {
+            model: User,
+            as: "reply_to_user",
+            attributes: SOCIAL_USER_ATTRIBUTES,
+          },
+        ],
+      }
+    )
+
+    res.json({
+      code: 200,
+      message: "获取成功",
+      data: {
+        replies: items.map((reply) => reply.toJSON()),
+        reply_count: comment.reply_count,
+        next_cursor: nextCursor,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// 发表评论或回复
+const createComment = async (req, res, next) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      throw new ApiError(
+        `输入验证失败: ${errors
+          .array()
+          .map((e) => e.msg)
+          .join(", ")}`,
+        400
+      )
+    }
+
+    const { id } = req.params
+    const { parentId } = req.body
+    const content = req.body.content.trim()
+    const userId = req.user.userId
+
+    if (!content) {
+      throw new ApiError("评论内容不能为空", 400)
+    }
+
+    const recommend = await findInteractiveRecommend(id)
+
+    let parent = null
+    if (parentId) {
+      parent = await findRecommendComment(id, parentId)
+      if (parent.status === "deleted") {
+        throw new ApiError("回复的评论已删除", 400)
+      }
+    }
+
+    const comment = await RecommendComment.post(
+      recommend,
+      userId,
+      content,
+      parent
+    )
+
+    logger.info(`用户 ${userId} 评论推荐: ${id} (评论 ${comment.id})`)
+
+    res.status(201).json({
+      code: 201,
+      message: "评论成功",
+      data: comment.toJSON(),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// 删除评论（评论作者、推荐作者或管理员）
+const deleteComment = async (req, res, next) => {
+  try {
+    const { id, commentId } = req.params
+    const userId = req.user.userId
+
+    const recommend = await Recommend.findByPk(id)
+    if (!recommend) {
+      throw new ApiError("推荐不存在", 404)
+    }
+
+    const comment = await findRecommendComment(id, commentId)
+    if (comment.status === "deleted") {
+      throw new ApiError("评论已删除", 400)
+    }
+
+    if (
+      comment.user_id !== userId &&
+      recommend.user_id !== userId &&
+      req.user.role !== "admin"
+    ) {
+      throw new ApiError("无权限删除此评论", 403)
+    }
+
+    await comment.softDelete(userId)
+
+    logger.info(`用户 ${userId} 删除评论: ${commentId}`)
+
+    res.json({
+      code: 200,
+      message: "删除成功",
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// 置顶或取消置顶评论（推荐作者）
+const pinComment = async (req, res, next) => {
+  try {
+    const { id, commentId } = req.params
+    const { pinned = true } = req.body
+    const userId = req.user.userId
+
+    const recommend = await Recommend.findByPk(id)
+    if (!recommend) {
+      throw new ApiError("推荐不存在", 404)
+    }
+
+    if (recommend.user_id !== userId) {
+      throw new ApiError("只有推荐作者可以置顶评论", 403)
+    }
+
+    const comment = await findRecommendComment(id, commentId)
+    if (comment.root_id) {
+      throw new ApiError("只能置顶顶层评论", 400)
+    }
+    if (comment.status === "deleted") {
+      throw new ApiError("评论已删除", 400)
+    }
+
+    await comment.setPinned(pinned === true || pinned === "true")
+
+    res.json({
+      code: 200,
+      message: comment.is_pinned ? "置顶成功" : "已取消置顶",
+      data: comment.toJSON(),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
 module.exports = {
   createRecommend,
   getRecommendList,
@@ -579,8 +1377,19 @@ module.exports = {
   updateRecommend,
   deleteRecommend,
   getFeaturedRecommends,
+  getTrendingRecommends,
   followRecommend,
   unfollowRecommend,
   settleRecommend,
+  closeRecommend,
+  getRecommendSettlement,
   checkExpiredRecommends,
+  likeRecommend,
+  unlikeRecommend,
+  getRecommendLikes,
+  getRecommendComments,
+  getCommentReplies,
+  createComment,
+  deleteComment,
+  pinComment,
 }
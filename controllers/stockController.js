@@ -1,7 +1,15 @@
-const { Stock, Recommend, User } = require("../models")
+const {
+  Stock,
+  Recommend,
+  User,
+  StockPrice,
+  CorporateAction,
+} = require("../models")
 const { ApiError } = require("../middleware/errorMiddleware")
+const { validationResult } = require("express-validator")
 const logger = require("../utils/logger")
-const axios = require("axios")
+const marketData = require("../utils/marketData")
+const trendingService = require("../utils/trendingService")
 
 // 搜索股票
 const searchStock = async (req, res, next) => {
@@ -109,20 +117,40 @@ const getStockDetail = async (req, res, next) => {
 // 获取股票价格历史
 const getStockHistory = async (req, res, next) => {
   try {
-    const { code, days = 7 } = req.query
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      throw new ApiError(
+        `输入验证失败: ${errors
+          .array()
+          .map((e) => e.msg)
+          .join(", ")}`,
+        400
+      )
+    }
 
-    if (!code) {
-      throw new ApiError("股票代码不能为空", 400)
+    const { code, days = 7, startDate, endDate, interval = "day" } = req.query
+
+    // 未指定开始日期时按天数回溯
+    let from = startDate
+    if (!from) {
+      const date = new Date(endDate || Date.now())
+      date.setDate(date.getDate() - parseInt(days) + 1)
+      from = StockPrice.toTradeDate(date)
     }
 
-    // 这里应该调用真实的股票API获取历史数据
-    // 暂时返回模拟数据
-    const history = generateMockPriceHistory(code, parseInt(days))
+    if (endDate && from > endDate) {
+      throw new ApiError("开始日期不能晚于结束日期", 400)
+    }
+
+    const bars = await StockPrice.getHistory(code, {
+      startDate: from,
+      endDate,
+    })
 
     res.json({
       code: 200,
       message: "获取成功",
-      data: history,
+      data: StockPrice.aggregateBars(bars, interval),
     })
   } catch (error) {
     next(error)
@@ -146,6 +174,30 @@ const getPopularStocks = async (req, res, next) => {
   }
 }
 
+// 获取热门股票（按时间窗口内的推荐和互动热度）
+const getTrendingStocks = async (req, res, next) => {
+  try {
+    const { window = "24h", limit = 20 } = req.query
+
+    if (!trendingService.getWindows().includes(window)) {
+      throw new ApiError("时间窗口参数无效", 400)
+    }
+
+    const stocks = await trendingService.getTrendingStocks(
+      window,
+      parseInt(limit)
+    )
+
+    res.json({
+      code: 200,
+      message: "获取成功",
+      data: { window, stocks },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
 // 按市场获取股票
 const getStocksByMarket = async (req, res, next) => {
   try {
@@ -191,7 +243,7 @@ const updateStockPrices = async (req, res, next) => {
         }
 
         // 获取最新价格数据
-        const priceData = await fetchStockPrice(code)
+        const priceData = await fetchStockPrice(code, stock.market)
 
         if (priceData) {
           await stock.updatePrice(priceData)
@@ -246,7 +298,9 @@ const updateAllStockPrices = async (req, res, next) => {
       const batchPromises = batch.map(async (code) => {
         try {
           const stock = await Stock.findByCode(code)
-          const priceData = await fetchStockPrice(code)
+          const priceData = stock
+            ? await fetchStockPrice(code, stock.market)
+            : null
 
           if (priceData && stock) {
             await stock.updatePrice(priceData)
@@ -320,6 +374,8 @@ const createOrUpdateStock = async (req, res, next) => {
         industry,
         sector,
         tags,
+        board: Stock.getBoard(code, market),
+        is_st: Stock.isStName(name),
         current_price,
         previous_close,
         change_amount,
@@ -333,6 +389,8 @@ const createOrUpdateStock = async (req, res, next) => {
       await stock.update({
         name,
         market,
+        board: Stock.getBoard(code, market),
+        is_st: Stock.isStName(name),
         industry: industry || stock.industry,
         sector: sector || stock.sector,
         tags: tags.length > 0 ? tags : stock.tags,
@@ -457,72 +515,166 @@ const getStockRecommendRanking = async (req, res, next) => {
   }
 }
 
-// 工具函数：获取股票价格数据
-async function fetchStockPrice(code) {
+// 获取股票公司行为（分红送转）
+const getCorporateActions = async (req, res, next) => {
   try {
-    // 这里应该调用真实的股票API
-    // 目前返回模拟数据
+    const { code, limit = 50 } = req.query
 
-    // 示例：调用新浪财经API（免费但不稳定）
-    // const response = await axios.get(`https://hq.sinajs.cn/list=${getStockPrefix(code)}${code}`);
+    if (!code) {
+      throw new ApiError("股票代码不能为空", 400)
+    }
 
-    // 示例：调用腾讯股票API
-    // const response = await axios.get(`https://qt.gtimg.cn/q=${getStockPrefix(code)}${code}`);
+    const actions = await CorporateAction.getByStock(code, parseInt(limit))
 
-    // 模拟数据
-    const basePrice = 100 + Math.random() * 50
-    const changePercent = (Math.random() - 0.5) * 10 // -5% 到 +5%
-    const currentPrice = basePrice * (1 + changePercent / 100)
+    res.json({
+      code: 200,
+      message: "获取成功",
+      data: actions.map((action) => action.toJSON()),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
 
-    return {
-      current_price: parseFloat(currentPrice.toFixed(2)),
-      previous_close: parseFloat(basePrice.toFixed(2)),
-      change_amount: parseFloat((currentPrice - basePrice).toFixed(2)),
-      change_percent: parseFloat(changePercent.toFixed(2)),
-      volume: Math.floor(Math.random() * 1000000),
-      turnover: parseFloat((currentPrice * Math.random() * 1000000).toFixed(2)),
+// 录入公司行为（管理员功能）
+const createCorporateAction = async (req, res, next) => {
+  try {
+    // 验证输入
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      throw new ApiError(
+        `输入验证失败: ${errors
+          .array()
+          .map((e) => e.msg)
+          .join(", ")}`,
+        400
+      )
+    }
+
+    const {
+      stockCode,
+      actionType,
+      exDate,
+      cashDividend = 0,
+      shareRatio = 0,
+      rightsRatio = 0,
+      rightsPrice = 0,
+      description,
+    } = req.body
+
+    const stock = await Stock.findByCode(stockCode)
+    if (!stock) {
+      throw new ApiError("股票不存在", 404)
     }
+
+    if (!cashDividend && !shareRatio && !rightsRatio) {
+      throw new ApiError("分红、送转、配股比例至少填写一项", 400)
+    }
+
+    if (rightsRatio > 0 && !(rightsPrice > 0)) {
+      throw new ApiError("配股需要填写配股价", 400)
+    }
+
+    const action = await CorporateAction.create({
+      stock_code: stockCode,
+      action_type: actionType,
+      ex_date: exDate,
+      cash_dividend: cashDividend,
+      share_ratio: shareRatio,
+      rights_ratio: rightsRatio,
+      rights_price: rightsPrice,
+      description,
+    })
+
+    logger.info(`录入公司行为: ${stockCode} ${actionType} 除权日 ${exDate}`)
+
+    res.status(201).json({
+      code: 201,
+      message: "录入成功",
+      data: action.toJSON(),
+    })
   } catch (error) {
-    logger.error(`获取股票价格失败 ${code}:`, error)
-    return null
+    next(error)
   }
 }
 
-// 工具函数：生成模拟价格历史数据
-function generateMockPriceHistory(code, days) {
-  const history = []
-  const basePrice = 100 + Math.random() * 50
-  let currentPrice = basePrice
-
-  for (let i = days - 1; i >= 0; i--) {
-    const date = new Date()
-    date.setDate(date.getDate() - i)
-
-    // 随机价格波动
-    const change = (Math.random() - 0.5) * 0.1 // 10% 范围内波动
-    currentPrice = currentPrice * (1 + change)
-
-    history.push({
-      date: date.toISOString().split("T")[0],
-      open: parseFloat(currentPrice.toFixed(2)),
-      high: parseFloat((currentPrice * 1.02).toFixed(2)),
-      low: parseFloat((currentPrice * 0.98).toFixed(2)),
-      close: parseFloat(currentPrice.toFixed(2)),
-      volume: Math.floor(Math.random() * 1000000),
+// 设置股票交易状态：停牌/复牌公告、预计复牌日期、ST 标记（管理员功能）
+const updateTradingStatus = async (req, res, next) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      throw new ApiError(
+        `输入验证失败: ${errors
+          .array()
+          .map((e) => e.msg)
+          .join(", ")}`,
+        400
+      )
+    }
+
+    const { code } = req.params
+    const { status, suspendedSince, resumeDate, isSt } = req.body
+
+    const stock = await Stock.findByCode(code)
+    if (!stock) {
+      throw new ApiError("股票不存在", 404)
+    }
+
+    if (status === "suspended") {
+      await stock.suspend(
+        suspendedSince || stock.suspended_since || StockPrice.toTradeDate(),
+        resumeDate || null
+      )
+    } else if (status === "active") {
+      await stock.resume()
+    } else if (status) {
+      await stock.update({ status })
+    } else if (resumeDate !== undefined) {
+      await stock.update({ resume_date: resumeDate || null })
+    }
+
+    if (isSt !== undefined) {
+      await stock.update({ is_st: isSt })
+    }
+
+    logger.info(
+      `更新股票交易状态: ${code} ${stock.status}` +
+        (stock.resume_date ? ` 预计复牌 ${stock.resume_date}` : "")
+    )
+
+    res.json({
+      code: 200,
+      message: "更新成功",
+      data: stock.toJSON(),
     })
+  } catch (error) {
+    next(error)
   }
-
-  return history
 }
 
-// 工具函数：获取股票前缀
-function getStockPrefix(code) {
-  if (code.startsWith("6")) {
-    return "sh" // 上海
-  } else if (code.startsWith("0") || code.startsWith("3")) {
-    return "sz" // 深圳
-  } else {
-    return "hk" // 港股
+// 工具函数：获取股票价格数据
+async function fetchStockPrice(code, market) {
+  try {
+    const quote = await marketData.fetchQuote(code, market)
+
+    if (!quote) {
+      return null
+    }
+
+    return {
+      current_price: quote.price,
+      previous_close: quote.previousClose,
+      open_price: quote.open,
+      high_price: quote.high,
+      low_price: quote.low,
+      change_amount: quote.changeAmount,
+      change_percent: quote.changePercent,
+      volume: quote.volume,
+      turnover: quote.turnover,
+    }
+  } catch (error) {
+    logger.error(`获取股票价格失败 ${code}:`, error)
+    return null
   }
 }
 
@@ -531,10 +683,14 @@ module.exports = {
   getStockDetail,
   getStockHistory,
   getPopularStocks,
+  getTrendingStocks,
   getStocksByMarket,
   updateStockPrices,
   updateAllStockPrices,
   createOrUpdateStock,
   getStockRecommendRanking,
+  getCorporateActions,
+  createCorporateAction,
+  updateTradingStatus,
   fetchStockPrice, // 导出供定时任务使用
 }
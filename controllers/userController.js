@@ -1,8 +1,30 @@
 const jwt = require("jsonwebtoken")
 const axios = require("axios")
-const { User, Recommend, Follow } = require("../models")
+const {
+  User,
+  Recommend,
+  Follow,
+  Notification,
+  UserAchievement,
+} = require("../models")
 const { ApiError } = require("../middleware/errorMiddleware")
+const { validationResult } = require("express-validator")
 const logger = require("../utils/logger")
+const userAnalytics = require("../utils/userAnalytics")
+const pagination = require("../utils/pagination")
+const achievementEngine = require("../utils/achievementEngine")
+const eventBus = require("../utils/eventBus")
+
+// 关注列表返回的用户信息
+const FOLLOW_USER_ATTRIBUTES = [
+  "id",
+  "nickname",
+  "avatar",
+  "level",
+  "total_score",
+  "follower_count",
+  "following_count",
+]
 
 // 微信登录
 const wechatLogin = async (req, res, next) => {
@@ -216,6 +238,7 @@ const getUserStats = async (req, res, next) => {
         weekly: weeklyRanking
           ? {
               rank: weeklyRanking.rank,
+              is_tied: weeklyRanking.is_tied,
               score: weeklyRanking.score,
               change: weeklyRanking.previous_rank
                 ? weeklyRanking.previous_rank - weeklyRanking.rank
@@ -225,6 +248,7 @@ const getUserStats = async (req, res, next) => {
         monthly: monthlyRanking
           ? {
               rank: monthlyRanking.rank,
+              is_tied: monthlyRanking.is_tied,
               score: monthlyRanking.score,
               change: monthlyRanking.previous_rank
                 ? monthlyRanking.previous_rank - monthlyRanking.rank
@@ -234,6 +258,7 @@ const getUserStats = async (req, res, next) => {
         total: totalRanking
           ? {
               rank: totalRanking.rank,
+              is_tied: totalRanking.is_tied,
               score: totalRanking.score,
               change: totalRanking.previous_rank
                 ? totalRanking.previous_rank - totalRanking.rank
@@ -253,6 +278,27 @@ const getUserStats = async (req, res, next) => {
   }
 }
 
+// 获取用户高级统计（收益风险比、最大回撤、持有时间、分组命中率、预测校准）
+const getAdvancedStats = async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.user.userId)
+
+    if (!user) {
+      throw new ApiError("用户不存在", 404)
+    }
+
+    const stats = await userAnalytics.getAdvancedStats(user.id)
+
+    res.json({
+      code: 200,
+      message: "获取成功",
+      data: stats,
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
 // 更新用户设置
 const updateSettings = async (req, res, next) => {
   try {
@@ -304,6 +350,262 @@ const getSettings = async (req, res, next) => {
   }
 }
 
+// 获取我的通知
+const getNotifications = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, unreadOnly } = req.query
+    const userId = req.user.userId
+    const offset = (page - 1) * limit
+
+    const { count, rows } = await Notification.getByUser(
+      userId,
+      unreadOnly === "true",
+      parseInt(limit),
+      offset
+    )
+    const unreadCount = await Notification.countUnread(userId)
+
+    res.json({
+      code: 200,
+      message: "获取成功",
+      data: {
+        notifications: rows.map((notification) => notification.toJSON()),
+        unread_count: unreadCount,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(count / limit),
+        },
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// 标记通知已读（未指定ID时全部标记）
+const markNotificationsRead = async (req, res, next) => {
+  try {
+    const { ids } = req.body
+    const [updated] = await Notification.markRead(req.user.userId, ids)
+
+    res.json({
+      code: 200,
+      message: "标记成功",
+      data: { updated },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// 关注用户
+const followUser = async (req, res, next) => {
+  try {
+    const targetUserId = parseInt(req.params.id)
+    const userId = req.user.userId
+
+    if (targetUserId === userId) {
+      throw new ApiError("不能关注自己", 400)
+    }
+
+    const target = await User.findByPk(targetUserId)
+    if (!target || target.status !== "active") {
+      throw new ApiError("用户不存在", 404)
+    }
+
+    const follow = await Follow.followUser(userId, targetUserId)
+    if (!follow) {
+      throw new ApiError("已经关注过此用户", 400)
+    }
+
+    logger.info(`用户 ${userId} 关注用户: ${targetUserId}`)
+
+    res.status(201).json({
+      code: 201,
+      message: "关注成功",
+      data: { following: true, follower_count: target.follower_count + 1 },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// 取消关注用户
+const unfollowUser = async (req, res, next) => {
+  try {
+    const targetUserId = parseInt(req.params.id)
+    const userId = req.user.userId
+
+    const removed = await Follow.unfollowUser(userId, targetUserId)
+    if (!removed) {
+      throw new ApiError("未关注此用户", 404)
+    }
+
+    logger.info(`用户 ${userId} 取消关注用户: ${targetUserId}`)
+
+    res.json({
+      code: 200,
+      message: "取消关注成功",
+      data: { following: false },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// 获取用户的粉丝列表
+const getFollowers = async (req, res, next) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      throw new ApiError(
+        `输入验证失败: ${errors
+          .array()
+          .map((e) => e.msg)
+          .join(", ")}`,
+        400
+      )
+    }
+
+    const { id } = req.params
+    const { cursor, limit = 20 } = req.query
+
+    const user = await User.findByPk(id)
+    if (!user) {
+      throw new ApiError("用户不存在", 404)
+    }
+
+    const { items, nextCursor } = await pagination.findPageByCursor(Follow, {
+      where: { target_user_id: id, follow_type: "user" },
+      cursor,
+      limit,
+      include: [
+        { model: User, as: "user", attributes: FOLLOW_USER_ATTRIBUTES },
+      ],
+    })
+
+    res.json({
+      code: 200,
+      message: "获取成功",
+      data: {
+        followers: items.map((follow) => ({
+          ...follow.user.toJSON(),
+          followed_at: follow.follow_date,
+        })),
+        follower_count: user.follower_count,
+        next_cursor: nextCursor,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// 获取用户的关注列表
+const getFollowing = async (req, res, next) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      throw new ApiError(
+        `输入验证失败: ${errors
+          .array()
+          .map((e) => e.msg)
+          .join(", ")}`,
+        400
+      )
+    }
+
+    const { id } = req.params
+    const { cursor, limit = 20 } = req.query
+
+    const user = await User.findByPk(id)
+    if (!user) {
+      throw new ApiError("用户不存在", 404)
+    }
+
+    const { items, nextCursor } = await pagination.findPageByCursor(Follow, {
+      where: { user_id: id, follow_type: "user" },
+      cursor,
+      limit,
+      include: [
+        {
+          model: User,
+          as: "target_user",
+          attributes: FOLLOW_USER_ATTRIBUTES,
+        },
+      ],
+    })
+
+    res.json({
+      code: 200,
+      message: "获取成功",
+      data: {
+        following: items.map((follow) => ({
+          ...follow.target_user.toJSON(),
+          followed_at: follow.follow_date,
+        })),
+        following_count: user.following_count,
+        next_cursor: nextCursor,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// 获取用户的成就：已获得的成就（按获得时间倒序）和每个成就的获得次数
+const getAchievements = async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const user = await User.findByPk(id, { attributes: ["id"] })
+    if (!user) {
+      throw new ApiError("用户不存在", 404)
+    }
+
+    const achievements = await UserAchievement.getByUser(id)
+
+    const counts = {}
+    achievements.forEach((achievement) => {
+      counts[achievement.achievement_key] =
+        (counts[achievement.achievement_key] || 0) + 1
+    })
+
+    res.json({
+      code: 200,
+      message: "获取成功",
+      data: {
+        achievements: achievements
+          .filter((achievement) =>
+            achievementEngine.getRule(achievement.achievement_key)
+          )
+          .map((achievement) => {
+            const rule = achievementEngine.getRule(achievement.achievement_key)
+            return {
+              key: rule.key,
+              name: rule.name,
+              description: rule.description,
+              scope: achievement.scope || null,
+              achieved_at: achievement.achieved_at,
+              data: achievement.data,
+            }
+          }),
+        badges: achievementEngine.getRules().map((rule) => ({
+          key: rule.key,
+          name: rule.name,
+          description: rule.description,
+          repeatable: !!rule.repeatable,
+          count: counts[rule.key] || 0,
+        })),
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
 // 注销账户
 const deleteAccount = async (req, res, next) => {
   try {
@@ -327,6 +629,9 @@ const deleteAccount = async (req, res, next) => {
 
     logger.info(`用户注销: ${user.id}`)
 
+    // 从排行中移除（排行榜和快照都不再包含该用户）
+    eventBus.publish("user.deactivated", { userId: user.id })
+
     res.json({
       code: 200,
       message: "账户注销成功",
@@ -393,8 +698,16 @@ module.exports = {
   getUserInfo,
   updateUserInfo,
   getUserStats,
+  getAdvancedStats,
   updateSettings,
   getSettings,
+  getNotifications,
+  markNotificationsRead,
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
+  getAchievements,
   deleteAccount,
   getUserList,
 }
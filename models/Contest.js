@@ -0,0 +1,276 @@
+const { DataTypes, Op } = require("sequelize")
+const { sequelize } = require("../config/database")
+
+// 比赛/赛季
+const Contest = sequelize.define(
+  "Contest",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+
+    // 基本信息
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: "比赛名称",
+    },
+
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: "比赛说明",
+    },
+
+    start_date: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: "开始时间",
+    },
+
+    end_date: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: "结束时间",
+    },
+
+    // 比赛规则
+    eligible_markets: {
+      type: DataTypes.JSON,
+      defaultValue: ["SH", "SZ", "HK"],
+      comment: "可推荐的市场",
+    },
+
+    max_active_picks: {
+      type: DataTypes.INTEGER,
+      defaultValue: 3,
+      comment: "同时进行中的推荐上限",
+    },
+
+    // 报名规则：min_level 最低等级，max_participants 人数上限，
+    // allow_late_entry 开赛后是否允许报名，hold_periods 允许的持有期
+    entry_rules: {
+      type: DataTypes.JSON,
+      defaultValue: {},
+      comment: "报名和推荐规则",
+    },
+
+    success_rule: {
+      type: DataTypes.ENUM("direction", "alpha"),
+      defaultValue: "direction",
+      comment: "推荐成功判定规则",
+    },
+
+    score_mode: {
+      type: DataTypes.ENUM("points", "alpha"),
+      defaultValue: "points",
+      comment: "排行榜计分方式",
+    },
+
+    // 奖励档位：[{ rank_from, rank_to, prize }]
+    prize_tiers: {
+      type: DataTypes.JSON,
+      defaultValue: [],
+      comment: "奖励档位",
+    },
+
+    // 状态信息
+    status: {
+      type: DataTypes.ENUM("upcoming", "active", "closed", "cancelled"),
+      defaultValue: "upcoming",
+      comment: "比赛状态",
+    },
+
+    participant_count: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: "报名人数",
+    },
+
+    closed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: "结束并冻结排名的时间",
+    },
+
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "创建人ID",
+    },
+  },
+  {
+    tableName: "contests",
+    indexes: [
+      {
+        fields: ["status"],
+      },
+      {
+        fields: ["start_date"],
+      },
+      {
+        fields: ["end_date"],
+      },
+    ],
+  }
+)
+
+// 实例方法
+// 排行榜周期标识
+Contest.prototype.getPeriod = function () {
+  return `contest-${this.id}`
+}
+
+// 当前是否可以提交推荐
+Contest.prototype.isOpenForPicks = function (now = new Date()) {
+  return (
+    this.status === "active" &&
+    now >= new Date(this.start_date) &&
+    now < new Date(this.end_date)
+  )
+}
+
+// 检查用户是否满足报名条件，返回不满足的原因
+Contest.prototype.checkEligibility = function (user, now = new Date()) {
+  const rules = this.entry_rules || {}
+
+  if (!["upcoming", "active"].includes(this.status)) {
+    return "比赛未开放报名"
+  }
+  if (now >= new Date(this.end_date)) {
+    return "比赛已结束"
+  }
+  if (rules.allow_late_entry === false && now >= new Date(this.start_date)) {
+    return "比赛已开始，不允许中途报名"
+  }
+  if (rules.min_level && user.level < rules.min_level) {
+    return `需要达到 ${rules.min_level} 级才能报名`
+  }
+  if (
+    rules.max_participants &&
+    this.participant_count >= rules.max_participants
+  ) {
+    return "报名人数已满"
+  }
+
+  return null
+}
+
+// 检查推荐是否符合比赛规则，返回不符合的原因
+Contest.prototype.checkPick = function ({ market, holdPeriod, endDate }) {
+  const rules = this.entry_rules || {}
+
+  if (!this.isOpenForPicks()) {
+    return "比赛不在进行中"
+  }
+  if (!(this.eligible_markets || []).includes(market)) {
+    return "该市场的股票不能参加本比赛"
+  }
+  if (rules.hold_periods && !rules.hold_periods.includes(holdPeriod)) {
+    return "持有期不符合比赛规则"
+  }
+  if (endDate > new Date(this.end_date)) {
+    return "持有期超出比赛结束时间"
+  }
+
+  return null
+}
+
+// 根据名次获取奖励
+Contest.prototype.getPrizeForRank = function (rank) {
+  const tier = (this.prize_tiers || []).find(
+    (t) => rank >= t.rank_from && rank <= t.rank_to
+  )
+  return tier ? tier.prize : null
+}
+
+// 结束比赛：计算最终排名并冻结到报名记录
+Contest.prototype.close = async function () {
+  const Ranking = require("./Ranking")
+  const ContestEntry = require("./ContestEntry")
+
+  if (this.status === "closed") {
+    throw new Error("比赛已结束")
+  }
+
+  const rankings = await Ranking.calculateRankings(
+    "contest",
+    this.getPeriod(),
+    { contest: this }
+  )
+
+  await sequelize.transaction(async (transaction) => {
+    for (const ranking of rankings) {
+      await ContestEntry.update(
+        {
+          final_rank: ranking.rank,
+          final_score: ranking.score,
+          prize: this.getPrizeForRank(ranking.rank),
+        },
+        {
+          where: { contest_id: this.id, user_id: ranking.user_id },
+          transaction,
+        }
+      )
+    }
+
+    this.status = "closed"
+    this.closed_at = new Date()
+    await this.save({ transaction })
+  })
+
+  return rankings
+}
+
+// 类方法
+Contest.getList = function (status = null, limit = 20, offset = 0) {
+  const where = {}
+  if (status) {
+    where.status = status
+  }
+
+  return this.findAndCountAll({
+    where,
+    order: [["start_date", "DESC"]],
+    limit,
+    offset,
+  })
+}
+
+// 到达开始时间的比赛
+Contest.getDueToStart = function (now = new Date()) {
+  return this.findAll({
+    where: {
+      status: "upcoming",
+      start_date: { [Op.lte]: now },
+    },
+  })
+}
+
+// 到达结束时间且进行中的推荐都已结算的比赛
+Contest.getDueToClose = async function (now = new Date()) {
+  const Recommend = require("./Recommend")
+
+  const contests = await this.findAll({
+    where: {
+      status: "active",
+      end_date: { [Op.lte]: now },
+    },
+  })
+
+  const due = []
+  for (const contest of contests) {
+    const pending = await Recommend.count({
+      where: { contest_id: contest.id, status: ["pending", "active"] },
+    })
+    if (pending === 0) {
+      due.push(contest)
+    }
+  }
+
+  return due
+}
+
+module.exports = Contest
@@ -0,0 +1,117 @@
+const { DataTypes } = require("sequelize")
+const { sequelize } = require("../config/database")
+
+// 比赛报名记录（比赛结束时冻结最终名次）
+const ContestEntry = sequelize.define(
+  "ContestEntry",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+
+    contest_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "contests",
+        key: "id",
+      },
+      comment: "比赛ID",
+    },
+
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "users",
+        key: "id",
+      },
+      comment: "用户ID",
+    },
+
+    status: {
+      type: DataTypes.ENUM("enrolled", "withdrawn"),
+      defaultValue: "enrolled",
+      comment: "报名状态",
+    },
+
+    enrolled_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: "报名时间",
+    },
+
+    // 最终成绩（比赛结束时写入）
+    final_rank: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "最终名次",
+    },
+
+    final_score: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "最终积分",
+    },
+
+    prize: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: "获得奖励",
+    },
+  },
+  {
+    tableName: "contest_entries",
+    indexes: [
+      {
+        fields: ["contest_id", "user_id"],
+        unique: true,
+      },
+      {
+        fields: ["user_id"],
+      },
+      {
+        fields: ["contest_id", "final_rank"],
+      },
+    ],
+  }
+)
+
+// 类方法
+ContestEntry.findEntry = function (contestId, userId) {
+  return this.findOne({
+    where: { contest_id: contestId, user_id: userId },
+  })
+}
+
+ContestEntry.isEnrolled = async function (contestId, userId) {
+  const entry = await this.findOne({
+    where: { contest_id: contestId, user_id: userId, status: "enrolled" },
+  })
+  return !!entry
+}
+
+// 获取冻结的最终排名
+ContestEntry.getStandings = function (contestId, limit = 50, offset = 0) {
+  return this.findAndCountAll({
+    where: { contest_id: contestId, status: "enrolled" },
+    include: [
+      {
+        model: require("./User"),
+        as: "user",
+        attributes: ["id", "nickname", "avatar", "level"],
+      },
+    ],
+    order: [
+      [sequelize.literal("final_rank IS NULL"), "ASC"],
+      ["final_rank", "ASC"],
+    ],
+    limit,
+    offset,
+  })
+}
+
+module.exports = ContestEntry
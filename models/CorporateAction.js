@@ -0,0 +1,266 @@
+const { DataTypes, Op } = require("sequelize")
+const { sequelize } = require("../config/database")
+
+// 公司行为（分红、送转、拆并股、配股）
+const CorporateAction = sequelize.define(
+  "CorporateAction",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+
+    stock_code: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      references: {
+        model: "stocks",
+        key: "code",
+      },
+      comment: "股票代码",
+    },
+
+    action_type: {
+      type: DataTypes.ENUM("dividend", "bonus", "split", "rights"),
+      allowNull: false,
+      comment: "类型：现金分红/送转股/拆并股/配股",
+    },
+
+    ex_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      comment: "除权除息日",
+    },
+
+    // 每股派息（元）
+    cash_dividend: {
+      type: DataTypes.DECIMAL(10, 4),
+      defaultValue: 0,
+      comment: "每股现金分红",
+    },
+
+    // 每股送转/拆分新增股数，如 10送10 为 1，1拆2 为 1，2并1 为 -0.5
+    share_ratio: {
+      type: DataTypes.DECIMAL(10, 4),
+      defaultValue: 0,
+      comment: "每股送转股比例",
+    },
+
+    // 每股配股数和配股价
+    rights_ratio: {
+      type: DataTypes.DECIMAL(10, 4),
+      defaultValue: 0,
+      comment: "每股配股比例",
+    },
+
+    rights_price: {
+      type: DataTypes.DECIMAL(10, 4),
+      defaultValue: 0,
+      comment: "配股价",
+    },
+
+    // 应用时计算
+    reference_close: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: "除权前收盘价",
+    },
+
+    adjustment_factor: {
+      type: DataTypes.DECIMAL(12, 8),
+      allowNull: true,
+      comment: "前复权因子（除权价/除权前收盘价）",
+    },
+
+    status: {
+      type: DataTypes.ENUM("pending", "applied"),
+      defaultValue: "pending",
+      comment: "处理状态",
+    },
+
+    applied_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: "处理时间",
+    },
+
+    description: {
+      type: DataTypes.STRING(200),
+      allowNull: true,
+      comment: "方案说明，如 10派5送3",
+    },
+  },
+  {
+    tableName: "corporate_actions",
+    indexes: [
+      {
+        fields: ["stock_code", "ex_date", "action_type"],
+        unique: true,
+      },
+      {
+        fields: ["status", "ex_date"],
+      },
+    ],
+  }
+)
+
+// 实例方法
+CorporateAction.prototype.toJSON = function () {
+  const values = Object.assign({}, this.get())
+
+  // 格式化数字
+  ;[
+    "cash_dividend",
+    "share_ratio",
+    "rights_ratio",
+    "rights_price",
+    "reference_close",
+    "adjustment_factor",
+  ].forEach((field) => {
+    if (values[field] !== null && values[field] !== undefined) {
+      values[field] = parseFloat(values[field])
+    }
+  })
+
+  return values
+}
+
+// 计算复权因子
+// 除权价 = (前收盘 - 每股派息 + 配股价 × 配股比例) / (1 + 送转比例 + 配股比例)
+CorporateAction.prototype.computeFactor = function (referenceClose) {
+  const dividend = parseFloat(this.cash_dividend) || 0
+  const shareRatio = parseFloat(this.share_ratio) || 0
+  const rightsRatio = parseFloat(this.rights_ratio) || 0
+  const rightsPrice = parseFloat(this.rights_price) || 0
+
+  // 纯送转/拆并股不需要前收盘价
+  if (!dividend && !rightsRatio) {
+    return 1 / (1 + shareRatio)
+  }
+
+  if (!referenceClose || referenceClose <= 0) {
+    throw new Error(`缺少 ${this.stock_code} 除权前收盘价，无法计算复权因子`)
+  }
+
+  const exPrice =
+    (referenceClose - dividend + rightsPrice * rightsRatio) /
+    (1 + shareRatio + rightsRatio)
+
+  return exPrice / referenceClose
+}
+
+// 推荐或跟投的调整明细中是否已有该公司行为
+const isAdjustedBy = (record, action) =>
+  (record.price_adjustments || []).some(
+    (adjustment) => adjustment.action_id === action.id
+  )
+
+// 除权日调整活跃推荐和跟投的买入价，返回受影响数量；已处理过时返回 null
+// 调整和状态更新在同一事务中完成，已记录该公司行为的推荐和跟投不会重复调整
+CorporateAction.prototype.apply = async function () {
+  const Recommend = require("./Recommend")
+  const Follow = require("./Follow")
+  const StockPrice = require("./StockPrice")
+  const Stock = require("./Stock")
+
+  // 除权前收盘价：取除权日前最后一根日线，没有时使用当前价
+  let referenceClose = null
+  const lastBar = await StockPrice.findOne({
+    where: {
+      stock_code: this.stock_code,
+      trade_date: { [Op.lt]: this.ex_date },
+    },
+    order: [["trade_date", "DESC"]],
+  })
+  if (lastBar) {
+    referenceClose = parseFloat(lastBar.close)
+  } else {
+    const stock = await Stock.findByCode(this.stock_code)
+    referenceClose = stock ? parseFloat(stock.current_price) : null
+  }
+
+  const factor = this.computeFactor(referenceClose)
+  const exDateStart = new Date(`${this.ex_date}T00:00:00+08:00`)
+
+  return sequelize.transaction(async (transaction) => {
+    const lock = transaction.LOCK.UPDATE
+
+    await this.reload({ transaction, lock })
+    if (this.status === "applied") {
+      return null
+    }
+
+    // 除权日之前建立的活跃推荐
+    const recommends = (
+      await Recommend.findAll({
+        where: {
+          stock_code: this.stock_code,
+          status: "active",
+          start_date: { [Op.lt]: exDateStart },
+        },
+        transaction,
+        lock,
+      })
+    ).filter((recommend) => !isAdjustedBy(recommend, this))
+
+    for (const recommend of recommends) {
+      await recommend.applyPriceAdjustment(this, factor, { transaction })
+    }
+
+    // 除权日之前建立的活跃跟投
+    const follows = (
+      await Follow.findAll({
+        where: {
+          follow_type: "recommend",
+          status: "active",
+          follow_date: { [Op.lt]: exDateStart },
+        },
+        include: [
+          {
+            model: Recommend,
+            as: "recommend",
+            attributes: ["id", "stock_code"],
+            where: { stock_code: this.stock_code },
+          },
+        ],
+        transaction,
+        lock,
+      })
+    ).filter((follow) => !isAdjustedBy(follow, this))
+
+    for (const follow of follows) {
+      await follow.applyPriceAdjustment(this, factor, { transaction })
+    }
+
+    this.reference_close = referenceClose
+    this.adjustment_factor = factor
+    this.status = "applied"
+    this.applied_at = new Date()
+    await this.save({ transaction })
+
+    return { recommends: recommends.length, follows: follows.length, factor }
+  })
+}
+
+// 类方法
+// 获取到期待处理的公司行为
+CorporateAction.getDue = function (tradeDate) {
+  return this.findAll({
+    where: {
+      status: "pending",
+      ex_date: { [Op.lte]: tradeDate },
+    },
+    order: [["ex_date", "ASC"]],
+  })
+}
+
+CorporateAction.getByStock = function (stockCode, limit = 50) {
+  return this.findAll({
+    where: { stock_code: stockCode },
+    order: [["ex_date", "DESC"]],
+    limit,
+  })
+}
+
+module.exports = CorporateAction
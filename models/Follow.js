@@ -50,6 +50,13 @@ const Follow = sequelize.define(
       comment: "跟投类型",
     },
 
+    // 持仓方向（与被跟投的推荐一致）
+    direction: {
+      type: DataTypes.ENUM("long", "short"),
+      defaultValue: "long",
+      comment: "持仓方向：看多/看空",
+    },
+
     // 跟投金额（虚拟）
     follow_amount: {
       type: DataTypes.DECIMAL(15, 2),
@@ -64,6 +71,50 @@ const Follow = sequelize.define(
       comment: "跟投时价格",
     },
 
+    // 除权除息后的复权跟投价
+    adjusted_follow_price: {
+      type: DataTypes.DECIMAL(12, 4),
+      allowNull: true,
+      comment: "复权后跟投价格",
+    },
+
+    price_adjustments: {
+      type: DataTypes.JSON,
+      defaultValue: [],
+      comment: "复权调整记录",
+    },
+
+    // 模拟持仓（按整手买入）
+    shares: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: "买入股数",
+    },
+
+    cost_amount: {
+      type: DataTypes.DECIMAL(15, 2),
+      defaultValue: 0,
+      comment: "买入成本",
+    },
+
+    exit_price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: "卖出价格",
+    },
+
+    proceeds: {
+      type: DataTypes.DECIMAL(15, 2),
+      allowNull: true,
+      comment: "卖出金额",
+    },
+
+    realized_pnl: {
+      type: DataTypes.DECIMAL(15, 2),
+      allowNull: true,
+      comment: "已实现盈亏",
+    },
+
     // 当前收益
     current_return: {
       type: DataTypes.DECIMAL(8, 4),
@@ -154,36 +205,154 @@ Follow.prototype.toJSON = function () {
   const values = Object.assign({}, this.get())
 
   // 格式化数字
-  ;["follow_amount", "follow_price", "current_return", "actual_return"].forEach(
-    (field) => {
-      if (values[field] !== null) {
-        values[field] = parseFloat(values[field])
-      }
+  ;[
+    "follow_amount",
+    "follow_price",
+    "adjusted_follow_price",
+    "cost_amount",
+    "exit_price",
+    "proceeds",
+    "realized_pnl",
+    "current_return",
+    "actual_return",
+  ].forEach((field) => {
+    if (values[field] !== null && values[field] !== undefined) {
+      values[field] = parseFloat(values[field])
     }
-  )
+  })
 
   return values
 }
 
+// 计算收益使用的跟投价（发生除权除息时为复权价）
+Follow.prototype.getFollowPrice = function () {
+  const price =
+    this.adjusted_follow_price !== null &&
+    this.adjusted_follow_price !== undefined
+      ? this.adjusted_follow_price
+      : this.follow_price
+  return price ? parseFloat(price) : null
+}
+
+// 按复权因子调整跟投价，调整明细记录公司行为ID
+Follow.prototype.applyPriceAdjustment = async function (
+  action,
+  factor,
+  options = {}
+) {
+  const before = this.getFollowPrice()
+  if (!before) return
+
+  const after = parseFloat((before * factor).toFixed(4))
+
+  this.adjusted_follow_price = after
+  this.price_adjustments = [
+    ...(this.price_adjustments || []),
+    {
+      action_id: action.id,
+      action_type: action.action_type,
+      ex_date: action.ex_date,
+      factor: parseFloat(factor.toFixed(8)),
+      before,
+      after,
+    },
+  ]
+
+  await this.save(options)
+}
+
+// 看多为 1，看空为 -1
+Follow.prototype.getDirectionSign = function () {
+  return this.direction === "short" ? -1 : 1
+}
+
+// 按持仓方向计算收益率(%)
+Follow.prototype.getPositionReturn = function (price) {
+  const followPrice = this.getFollowPrice()
+  if (!followPrice || !price) return null
+  return ((price - followPrice) / followPrice) * 100 * this.getDirectionSign()
+}
+
 // 更新当前收益
 Follow.prototype.updateCurrentReturn = async function (currentPrice) {
-  if (this.follow_price && currentPrice) {
-    this.current_return =
-      ((currentPrice - this.follow_price) / this.follow_price) * 100
+  const positionReturn = this.getPositionReturn(currentPrice)
+  if (positionReturn !== null) {
+    this.current_return = positionReturn
     await this.save()
   }
 }
 
-// 完成跟投
-Follow.prototype.complete = async function (exitPrice) {
-  if (this.follow_price && exitPrice) {
-    this.actual_return =
-      ((exitPrice - this.follow_price) / this.follow_price) * 100
+// 持仓市值：按复权跟投价计算，送转拆股后持仓数量随之变化
+// 看空持仓的买入成本为保证金，市值 = 保证金 × (1 + 持仓收益率)，最低为 0
+Follow.prototype.getMarketValue = function (price) {
+  const followPrice = this.getFollowPrice()
+  if (!this.shares || !followPrice || !price) return 0
+
+  const costAmount = parseFloat(this.cost_amount)
+  if (this.direction === "short") {
+    return Math.max(0, costAmount * (2 - price / followPrice))
+  }
+  return (costAmount * price) / followPrice
+}
+
+// 复权后的持仓股数
+Follow.prototype.getHeldShares = function () {
+  const followPrice = this.getFollowPrice()
+  if (!this.shares || !followPrice) return 0
+  return Math.round((this.shares * parseFloat(this.follow_price)) / followPrice)
+}
+
+// 平仓：按卖出价计算收益，卖出金额退回模拟账户；返回是否平仓
+// 加锁重新读取跟投，并发的取消跟投和推荐结算只有一个能平仓；
+// options.transaction 存在时在该事务中平仓
+Follow.prototype.closePosition = async function (
+  exitPrice,
+  status,
+  options = {}
+) {
+  const Portfolio = require("./Portfolio")
+
+  const close = async (transaction) => {
+    await this.reload({ transaction, lock: transaction.LOCK.UPDATE })
+    if (this.status !== "active") {
+      return false
+    }
+
+    const followPrice = this.getFollowPrice()
+    if (followPrice && exitPrice) {
+      this.actual_return = this.getPositionReturn(exitPrice)
+    }
+
+    if (this.shares > 0 && exitPrice) {
+      const proceeds = this.getMarketValue(exitPrice)
+      const pnl = proceeds - parseFloat(this.cost_amount)
+
+      const portfolio = await Portfolio.getOrCreate(this.user_id, {
+        transaction,
+      })
+      await portfolio.reload({ transaction, lock: transaction.LOCK.UPDATE })
+      await portfolio.credit(proceeds, pnl, { transaction })
+
+      this.exit_price = exitPrice
+      this.proceeds = proceeds.toFixed(2)
+      this.realized_pnl = pnl.toFixed(2)
+    }
+
+    this.status = status
+    this.completed_at = new Date()
+    await this.save({ transaction })
+
+    return true
   }
 
-  this.status = "completed"
-  this.completed_at = new Date()
-  await this.save()
+  return options.transaction
+    ? close(options.transaction)
+    : sequelize.transaction(close)
+}
+
+// 完成跟投（推荐结算时按结算价卖出），返回是否平仓
+Follow.prototype.complete = function (exitPrice) {
+  return this.closePosition(exitPrice, "completed")
 }
 
 // 类方法
@@ -232,6 +401,85 @@ Follow.getByUser = function (userId, type = null, limit = 20, offset = 0) {
   })
 }
 
+// 关注用户，同时更新双方的关注数和粉丝数；已关注时返回 null
+Follow.followUser = function (userId, targetUserId) {
+  const User = require("./User")
+
+  return sequelize.transaction(async (transaction) => {
+    const existing = await this.findOne({
+      where: {
+        user_id: userId,
+        target_user_id: targetUserId,
+        follow_type: "user",
+      },
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    })
+    if (existing) {
+      return null
+    }
+
+    const follow = await this.create(
+      {
+        user_id: userId,
+        target_user_id: targetUserId,
+        follow_type: "user",
+        follow_amount: 0,
+        status: "active",
+      },
+      { transaction }
+    )
+    await User.increment("following_count", {
+      where: { id: userId },
+      transaction,
+    })
+    await User.increment("follower_count", {
+      where: { id: targetUserId },
+      transaction,
+    })
+    return follow
+  })
+}
+
+// 取消关注用户；未关注时返回 false
+Follow.unfollowUser = function (userId, targetUserId) {
+  const User = require("./User")
+
+  return sequelize.transaction(async (transaction) => {
+    const removed = await this.destroy({
+      where: {
+        user_id: userId,
+        target_user_id: targetUserId,
+        follow_type: "user",
+      },
+      transaction,
+    })
+    if (removed === 0) {
+      return false
+    }
+
+    await User.decrement("following_count", {
+      where: { id: userId },
+      transaction,
+    })
+    await User.decrement("follower_count", {
+      where: { id: targetUserId },
+      transaction,
+    })
+    return true
+  })
+}
+
+// 关注的用户ID
+Follow.getFollowingIds = async function (userId) {
+  const follows = await this.findAll({
+    where: { user_id: userId, follow_type: "user" },
+    attributes: ["target_user_id"],
+    raw: true,
+  })
+  return follows.map((follow) => follow.target_user_id)
+}
+
 Follow.getFollowers = function (targetUserId, limit = 20, offset = 0) {
   return this.findAndCountAll({
     where: {
@@ -292,6 +540,94 @@ Follow.isFollowing = async function (
   return !!follow
 }
 
+// 获取用户的模拟持仓（按股票最新价计算市值）
+Follow.getPositions = async function (userId) {
+  const follows = await this.findAll({
+    where: {
+      user_id: userId,
+      follow_type: "recommend",
+      status: "active",
+      shares: { [Op.gt]: 0 },
+    },
+    include: [
+      {
+        model: require("./Recommend"),
+        as: "recommend",
+        attributes: ["id", "user_id", "stock_code", "end_date"],
+        include: [
+          {
+            model: require("./Stock"),
+            as: "stock",
+            attributes: ["name", "current_price", "change_percent"],
+          },
+        ],
+      },
+    ],
+    order: [["follow_date", "DESC"]],
+  })
+
+  return follows.map((follow) => {
+    const stock = follow.recommend && follow.recommend.stock
+    const currentPrice = stock ? parseFloat(stock.current_price) : null
+    const costAmount = parseFloat(follow.cost_amount)
+    const marketValue = currentPrice
+      ? follow.getMarketValue(currentPrice)
+      : costAmount
+
+    return {
+      follow_id: follow.id,
+      recommend_id: follow.recommend_id,
+      recommender_id: follow.recommend ? follow.recommend.user_id : null,
+      stock_code: follow.recommend ? follow.recommend.stock_code : null,
+      stock_name: stock ? stock.name : null,
+      direction: follow.direction,
+      shares: follow.getHeldShares(),
+      follow_price: follow.getFollowPrice(),
+      current_price: currentPrice,
+      cost_amount: costAmount,
+      market_value: parseFloat(marketValue.toFixed(2)),
+      unrealized_pnl: parseFloat((marketValue - costAmount).toFixed(2)),
+      return_rate: costAmount
+        ? parseFloat(
+            (((marketValue - costAmount) / costAmount) * 100).toFixed(4)
+          )
+        : 0,
+      follow_date: follow.follow_date,
+      end_date: follow.recommend ? follow.recommend.end_date : null,
+    }
+  })
+}
+
+// 按推荐人汇总已平仓跟投的盈亏
+Follow.getPnlByRecommender = function (userId) {
+  const Recommend = require("./Recommend")
+
+  return this.findAll({
+    attributes: [
+      [sequelize.col("recommend.user_id"), "recommender_id"],
+      [sequelize.fn("COUNT", sequelize.col("Follow.id")), "trades"],
+      [sequelize.fn("SUM", sequelize.col("cost_amount")), "cost_amount"],
+      [sequelize.fn("SUM", sequelize.col("proceeds")), "proceeds"],
+      [sequelize.fn("SUM", sequelize.col("realized_pnl")), "realized_pnl"],
+    ],
+    where: {
+      user_id: userId,
+      follow_type: "recommend",
+      status: ["completed", "cancelled"],
+      realized_pnl: { [Op.ne]: null },
+    },
+    include: [
+      {
+        model: Recommend,
+        as: "recommend",
+        attributes: [],
+      },
+    ],
+    group: ["recommend.user_id"],
+    raw: true,
+  })
+}
+
 // 统计方法
 Follow.getStats = function (userId) {
   return this.findAll({
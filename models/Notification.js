@@ -0,0 +1,119 @@
+const { DataTypes } = require("sequelize")
+const { sequelize } = require("../config/database")
+
+// 站内通知
+const Notification = sequelize.define(
+  "Notification",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "users",
+        key: "id",
+      },
+      comment: "接收用户ID",
+    },
+
+    type: {
+      type: DataTypes.ENUM(
+        "recommend_closed_early",
+        "comment_reply",
+        "comment_mention",
+        "achievement",
+        "system"
+      ),
+      allowNull: false,
+      comment: "通知类型",
+    },
+
+    title: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: "通知标题",
+    },
+
+    content: {
+      type: DataTypes.STRING(500),
+      allowNull: false,
+      comment: "通知内容",
+    },
+
+    // 关联数据（推荐ID、跟投ID、成交价格等）
+    data: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: "关联数据",
+    },
+
+    is_read: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: "是否已读",
+    },
+
+    read_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: "阅读时间",
+    },
+  },
+  {
+    tableName: "notifications",
+    indexes: [
+      {
+        fields: ["user_id", "is_read"],
+      },
+      {
+        fields: ["created_at"],
+      },
+    ],
+  }
+)
+
+// 类方法
+// 发送通知
+Notification.notify = function (userId, type, title, content, data = null) {
+  return this.create({ user_id: userId, type, title, content, data })
+}
+
+Notification.getByUser = function (
+  userId,
+  unreadOnly = false,
+  limit = 20,
+  offset = 0
+) {
+  const where = { user_id: userId }
+  if (unreadOnly) {
+    where.is_read = false
+  }
+
+  return this.findAndCountAll({
+    where,
+    order: [["created_at", "DESC"]],
+    limit,
+    offset,
+  })
+}
+
+Notification.countUnread = function (userId) {
+  return this.count({ where: { user_id: userId, is_read: false } })
+}
+
+// 标记已读，未指定ID时标记全部
+Notification.markRead = function (userId, ids = null) {
+  const where = { user_id: userId, is_read: false }
+  if (ids && ids.length > 0) {
+    where.id = ids
+  }
+
+  return this.update({ is_read: true, read_at: new Date() }, { where })
+}
+
+module.exports = Notification
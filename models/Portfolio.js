@@ -0,0 +1,162 @@
+const { DataTypes } = require("sequelize")
+const { sequelize } = require("../config/database")
+
+// 每手股数
+const LOT_SIZE = 100
+
+// 用户模拟账户（跟投使用的虚拟资金）
+const Portfolio = sequelize.define(
+  "Portfolio",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: "users",
+        key: "id",
+      },
+      comment: "用户ID",
+    },
+
+    initial_cash: {
+      type: DataTypes.DECIMAL(15, 2),
+      allowNull: false,
+      comment: "初始资金",
+    },
+
+    cash: {
+      type: DataTypes.DECIMAL(15, 2),
+      allowNull: false,
+      comment: "可用资金",
+    },
+
+    realized_pnl: {
+      type: DataTypes.DECIMAL(15, 2),
+      defaultValue: 0,
+      comment: "已实现盈亏",
+    },
+
+    trade_count: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: "成交笔数",
+    },
+  },
+  {
+    tableName: "portfolios",
+    indexes: [
+      {
+        fields: ["user_id"],
+        unique: true,
+      },
+    ],
+  }
+)
+
+// 实例方法
+Portfolio.prototype.toJSON = function () {
+  const values = Object.assign({}, this.get())
+
+  // 格式化数字
+  ;["initial_cash", "cash", "realized_pnl"].forEach((field) => {
+    if (values[field] !== null && values[field] !== undefined) {
+      values[field] = parseFloat(values[field])
+    }
+  })
+
+  return values
+}
+
+// 买入扣减资金
+Portfolio.prototype.debit = async function (amount, options = {}) {
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new Error("扣减金额无效")
+  }
+  const cash = parseFloat(this.cash)
+  if (amount > cash) {
+    throw new Error("可用资金不足")
+  }
+
+  this.cash = (cash - amount).toFixed(2)
+  this.trade_count += 1
+  await this.save(options)
+}
+
+// 卖出增加资金并记录盈亏
+Portfolio.prototype.credit = async function (amount, pnl, options = {}) {
+  this.cash = (parseFloat(this.cash) + amount).toFixed(2)
+  this.realized_pnl = (parseFloat(this.realized_pnl) + pnl).toFixed(2)
+  this.trade_count += 1
+  await this.save(options)
+}
+
+// 计算账户净值：可用资金 + 持仓市值
+Portfolio.prototype.getSummary = async function () {
+  const Follow = require("./Follow")
+  const positions = await Follow.getPositions(this.user_id)
+
+  const marketValue = positions.reduce((sum, p) => sum + p.market_value, 0)
+  const costAmount = positions.reduce((sum, p) => sum + p.cost_amount, 0)
+  const cash = parseFloat(this.cash)
+  const initialCash = parseFloat(this.initial_cash)
+  const realizedPnl = parseFloat(this.realized_pnl)
+  const unrealizedPnl = marketValue - costAmount
+  const nav = cash + marketValue
+
+  return {
+    initial_cash: initialCash,
+    cash,
+    market_value: parseFloat(marketValue.toFixed(2)),
+    nav: parseFloat(nav.toFixed(2)),
+    realized_pnl: realizedPnl,
+    unrealized_pnl: parseFloat(unrealizedPnl.toFixed(2)),
+    total_return:
+      initialCash > 0
+        ? parseFloat((((nav - initialCash) / initialCash) * 100).toFixed(4))
+        : 0,
+    position_count: positions.length,
+    trade_count: this.trade_count,
+  }
+}
+
+// 类方法
+// 初始资金，可通过 PAPER_STARTING_CASH 配置
+Portfolio.getStartingCash = function () {
+  const cash = parseFloat(process.env.PAPER_STARTING_CASH)
+  return Number.isFinite(cash) && cash > 0 ? cash : 100000
+}
+
+// 获取用户账户，不存在时按初始资金开户
+Portfolio.getOrCreate = async function (userId, options = {}) {
+  const startingCash = this.getStartingCash()
+  const [portfolio] = await this.findOrCreate({
+    where: { user_id: userId },
+    defaults: {
+      user_id: userId,
+      initial_cash: startingCash,
+      cash: startingCash,
+    },
+    ...options,
+  })
+  return portfolio
+}
+
+// 按整手计算可买股数
+Portfolio.calculateShares = function (amount, price) {
+  amount = parseFloat(amount)
+  price = parseFloat(price)
+  if (!Number.isFinite(amount) || amount <= 0) return 0
+  if (!Number.isFinite(price) || price <= 0) return 0
+  return Math.floor(amount / (price * LOT_SIZE)) * LOT_SIZE
+}
+
+Portfolio.LOT_SIZE = LOT_SIZE
+
+module.exports = Portfolio
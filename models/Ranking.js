@@ -1,5 +1,6 @@
-const { DataTypes, Op } = require("sequelize")
+const { DataTypes, Op, QueryTypes } = require("sequelize")
 const { sequelize } = require("../config/database")
+const logger = require("../utils/logger")
 
 const Ranking = sequelize.define(
   "Ranking",
@@ -34,6 +35,13 @@ const Ranking = sequelize.define(
       comment: "上期排名",
     },
 
+    // 与其他用户积分及所有同分比较字段都相同（名次相同）
+    is_tied: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: "是否并列",
+    },
+
     // 积分信息
     score: {
       type: DataTypes.INTEGER,
@@ -78,6 +86,19 @@ const Ranking = sequelize.define(
       comment: "最高收益率",
     },
 
+    avg_alpha: {
+      type: DataTypes.DECIMAL(8, 4),
+      defaultValue: 0,
+      comment: "平均超额收益率",
+    },
+
+    // points 按推荐积分排名，alpha 按累计超额收益（基点）排名
+    score_mode: {
+      type: DataTypes.ENUM("points", "alpha"),
+      defaultValue: "points",
+      comment: "计分方式",
+    },
+
     current_streak: {
       type: DataTypes.INTEGER,
       defaultValue: 0,
@@ -90,9 +111,16 @@ const Ranking = sequelize.define(
       comment: "最大连胜",
     },
 
+    // 同分时 earliest 规则比较的时间，没有已结算推荐时为空
+    score_reached_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: "达到当前成绩的时间（统计范围内最近一次结算）",
+    },
+
     // 排名类型和周期
     ranking_type: {
-      type: DataTypes.ENUM("weekly", "monthly", "total"),
+      type: DataTypes.ENUM("weekly", "monthly", "total", "contest"),
       allowNull: false,
       comment: "排名类型",
     },
@@ -100,7 +128,7 @@ const Ranking = sequelize.define(
     period: {
       type: DataTypes.STRING(20),
       allowNull: false,
-      comment: "排名周期 (如: 2024-W01, 2024-01, total)",
+      comment: "排名周期 (如: 2024-W01, 2024-01, total, contest-1)",
     },
 
     // 时间信息
@@ -161,8 +189,8 @@ Ranking.prototype.toJSON = function () {
   const values = Object.assign({}, this.get())
 
   // 格式化数字
-  ;["win_rate", "avg_return", "max_return"].forEach((field) => {
-    if (values[field] !== null) {
+  ;["win_rate", "avg_return", "max_return", "avg_alpha"].forEach((field) => {
+    if (values[field] !== null && values[field] !== undefined) {
       values[field] = parseFloat(values[field])
     }
   })
@@ -206,7 +234,10 @@ Ranking.getRankingList = function (
         where: { status: "active" },
       },
     ],
-    order: [["rank", "ASC"]],
+    order: [
+      ["rank", "ASC"],
+      ["user_id", "ASC"],
+    ],
     limit,
     offset,
   })
@@ -237,9 +268,9 @@ Ranking.getUserRanking = function (userId, type, period = null) {
   })
 }
 
-// 获取当前周期标识
-Ranking.getCurrentPeriod = function (type) {
-  const now = new Date()
+// 获取当前周期标识（指定 date 时为该时间所在的周期）
+Ranking.getCurrentPeriod = function (type, date = new Date()) {
+  const now = new Date(date)
 
   if (type === "weekly") {
     // 获取年份和周数
@@ -300,180 +331,774 @@ Ranking.getPeriodRange = function (type, period) {
   return { start: null, end: null }
 }
 
-// 计算并更新排名
-Ranking.calculateRankings = async function (type, period = null) {
-  const currentPeriod = period || this.getCurrentPeriod(type)
-  const { start, end } = this.getPeriodRange(type, currentPeriod)
+// 默认计分方式，可通过 RANKING_SCORE_MODE 配置
+Ranking.getDefaultScoreMode = function () {
+  return process.env.RANKING_SCORE_MODE === "alpha" ? "alpha" : "points"
+}
 
-  // 获取所有活跃用户
-  const User = require("./User")
-  const Recommend = require("./Recommend")
+// 每批处理的用户数，可通过 RANKING_CHUNK_SIZE 配置
+Ranking.getChunkSize = function () {
+  return parseInt(process.env.RANKING_CHUNK_SIZE) || 2000
+}
 
-  const users = await User.findAll({
-    where: { status: "active" },
-    attributes: ["id", "nickname", "avatar", "level", "total_score"],
+// 同一排行（类型 + 周期）的全量计算和增量更新在进程内按顺序执行：
+// 并发时名次平移和名次计算会读到彼此未提交的名次，导致名次重复或缺失
+const boardQueues = new Map()
+
+const serializeBoard = (type, period, task) => {
+  const key = `${type}:${period}`
+  const run = (boardQueues.get(key) || Promise.resolve()).then(task)
+  const settled = run.catch(() => {})
+  boardQueues.set(key, settled)
+  settled.then(() => {
+    if (boardQueues.get(key) === settled) {
+      boardQueues.delete(key)
+    }
   })
+  return run
+}
 
-  const rankings = []
+// 重新计算时覆盖的字段
+const UPSERT_FIELDS = [
+  "rank",
+  "previous_rank",
+  "is_tied",
+  "score",
+  "period_score",
+  "total_recommends",
+  "success_recommends",
+  "win_rate",
+  "avg_return",
+  "max_return",
+  "avg_alpha",
+  "score_mode",
+  "current_streak",
+  "max_streak",
+  "score_reached_at",
+  "period_start",
+  "period_end",
+  "is_active",
+  "badge",
+  "updated_at",
+]
 
-  for (const user of users) {
-    // 构建查询条件
-    const recommendWhere = { user_id: user.id }
+// 计算并更新排名
+// 比赛排行需要传入 options.contest，只统计报名用户在该比赛中的推荐
+// 用户按批处理，每批用两条分组查询得到所有用户的统计和连胜，结果批量写入
+Ranking.calculateRankings = async function (type, period = null, options = {}) {
+  const { contest = null } = options
+  const scoreMode =
+    options.scoreMode ||
+    (contest ? contest.score_mode : this.getDefaultScoreMode())
+
+  if (type === "contest") {
+    if (!contest) {
+      throw new Error("计算比赛排名需要指定比赛")
+    }
+    if (contest.status === "closed") {
+      throw new Error("比赛已结束，排名已冻结")
+    }
+  }
 
-    if (start && end) {
-      recommendWhere.created_at = {
-        [Op.between]: [start, end],
-      }
+  const currentPeriod =
+    type === "contest"
+      ? contest.getPeriod()
+      : period || this.getCurrentPeriod(type)
+  const { start, end } =
+    type === "contest"
+      ? { start: contest.start_date, end: contest.end_date }
+      : this.getPeriodRange(type, currentPeriod)
+
+  // 与同一排行的增量更新按顺序执行
+  return serializeBoard(type, currentPeriod, async () => {
+    // 获取所有活跃用户（比赛排行只包含报名用户）
+    const User = require("./User")
+
+    const userWhere = { status: "active" }
+    if (type === "contest") {
+      const ContestEntry = require("./ContestEntry")
+      const entries = await ContestEntry.findAll({
+        where: { contest_id: contest.id, status: "enrolled" },
+        attributes: ["user_id"],
+      })
+      userWhere.id = entries.map((entry) => entry.user_id)
     }
 
-    // 计算用户在当前周期的统计数据
-    const stats = await Recommend.findOne({
-      attributes: [
-        [sequelize.fn("COUNT", sequelize.col("id")), "total"],
-        [
-          sequelize.fn(
-            "COUNT",
-            sequelize.literal('CASE WHEN status = "success" THEN 1 END')
-          ),
-          "success",
-        ],
-        [
-          sequelize.fn(
-            "AVG",
-            sequelize.literal(
-              "CASE WHEN actual_return IS NOT NULL THEN actual_return END"
-            )
-          ),
-          "avg_return",
-        ],
-        [sequelize.fn("MAX", sequelize.col("actual_return")), "max_return"],
-        [
-          sequelize.fn(
-            "SUM",
-            sequelize.literal(
-              'CASE WHEN status = "success" THEN 10 + (CASE WHEN current_streak >= 3 THEN 20 ELSE 0 END) + (CASE WHEN current_streak >= 5 THEN 50 ELSE 0 END) ELSE -5 END'
-            )
-          ),
-          "period_score",
-        ],
-      ],
-      where: recommendWhere,
+    const users = await User.findAll({
+      where: userWhere,
+      attributes: ["id", "total_score"],
+      order: [["id", "ASC"]],
       raw: true,
     })
 
-    const totalRecommends = parseInt(stats.total) || 0
-    const successRecommends = parseInt(stats.success) || 0
-    const winRate =
-      totalRecommends > 0 ? successRecommends / totalRecommends : 0
-    const avgReturn = parseFloat(stats.avg_return) || 0
-    const maxReturn = parseFloat(stats.max_return) || 0
-    const periodScore = parseInt(stats.period_score) || 0
+    // 统计范围：比赛内的推荐或周期内创建的推荐
+    const scope =
+      type === "contest"
+        ? { contestId: contest.id }
+        : start && end
+        ? { start, end }
+        : {}
+
+    const chunkSize = this.getChunkSize()
+    const startedAt = Date.now()
+    const rankings = []
+
+    for (let i = 0; i < users.length; i += chunkSize) {
+      const chunk = users.slice(i, i + chunkSize)
+      const userIds = chunk.map((user) => user.id)
+
+      const [stats, streaks] = await Promise.all([
+        this.aggregateStats(userIds, scope),
+        this.aggregateStreaks(userIds, scope),
+      ])
+
+      const statsMap = {}
+      stats.forEach((row) => {
+        statsMap[row.user_id] = row
+      })
+      const streakMap = {}
+      streaks.forEach((row) => {
+        streakMap[row.user_id] = row
+      })
+
+      for (const user of chunk) {
+        rankings.push(
+          this.buildEntry(user, statsMap[user.id], streakMap[user.id], {
+            type,
+            period: currentPeriod,
+            scoreMode,
+            start,
+            end,
+          })
+        )
+      }
 
-    // 计算总积分（根据类型）
-    let totalScore
-    if (type === "total") {
-      totalScore = user.total_score
-    } else {
-      totalScore = periodScore
+      logger.info(
+        `计算排名 ${type} ${currentPeriod}: ${rankings.length}/${
+          users.length
+        } 用户 (${Date.now() - startedAt}ms)`
+      )
     }
 
-    // 计算连胜
-    const recentRecommends = await Recommend.findAll({
+    // 按积分排序
+    rankings.sort((a, b) => this.compareEntries(a, b))
+
+    // 获取上期排名
+    const previousPeriod = this.getPreviousPeriod(type, currentPeriod)
+    const previousRankings = await this.findAll({
       where: {
-        ...recommendWhere,
-        status: { [Op.in]: ["success", "failed"] },
+        ranking_type: type,
+        period: previousPeriod,
       },
-      order: [["settled_at", "DESC"]],
-      limit: 20,
+      attributes: ["user_id", "rank"],
+      raw: true,
     })
 
-    let currentStreak = 0
-    let maxStreak = 0
-    let tempStreak = 0
+    const previousRankMap = {}
+    previousRankings.forEach((r) => {
+      previousRankMap[r.user_id] = r.rank
+    })
 
-    for (const rec of recentRecommends) {
-      if (rec.status === "success") {
-        tempStreak++
-        if (currentStreak === 0) currentStreak = tempStreak
-      } else {
-        maxStreak = Math.max(maxStreak, tempStreak)
-        tempStreak = 0
-        if (currentStreak > 0) break
-      }
-    }
-    maxStreak = Math.max(maxStreak, tempStreak)
+    // 分配排名和徽章
+    this.assignRanks(rankings)
+    rankings.forEach((entry) => {
+      entry.previous_rank = previousRankMap[entry.user_id] || null
+      entry.badge = this.getBadge(type, entry.rank)
+    })
 
-    rankings.push({
-      user_id: user.id,
-      ranking_type: type,
+    await this.saveRankings(type, currentPeriod, rankings)
+
+    // 替换实时排行榜
+    const leaderboard = require("../utils/leaderboard")
+    await leaderboard.rebuild(type, currentPeriod, rankings)
+
+    const eventBus = require("../utils/eventBus")
+    eventBus.publish("ranking.calculated", {
+      type,
       period: currentPeriod,
-      score: totalScore,
-      period_score: periodScore,
-      total_recommends: totalRecommends,
-      success_recommends: successRecommends,
-      win_rate: winRate,
-      avg_return: avgReturn,
-      max_return: maxReturn,
-      current_streak: currentStreak,
-      max_streak: maxStreak,
-      period_start: start,
-      period_end: end,
+      rankings,
     })
-  }
 
-  // 按积分排序
-  rankings.sort((a, b) => {
-    if (b.score !== a.score) return b.score - a.score
-    if (b.win_rate !== a.win_rate) return b.win_rate - a.win_rate
-    return b.avg_return - a.avg_return
+    logger.info(
+      `排名计算完成 ${type} ${currentPeriod}: ${rankings.length} 用户, 耗时 ${
+        Date.now() - startedAt
+      }ms`
+    )
+
+    return rankings
   })
+}
 
-  // 获取上期排名
-  const previousPeriod = this.getPreviousPeriod(type, currentPeriod)
-  const previousRankings = await this.findAll({
-    where: {
-      ranking_type: type,
-      period: previousPeriod,
-    },
-    attributes: ["user_id", "rank"],
+// 由汇总和连胜查询结果生成一个用户的排名记录
+// 比率按数据库精度保留4位小数，内存排序与数据库中的比较结果一致
+Ranking.buildEntry = function (user, stats = {}, streaks = {}, options) {
+  const { type, period, scoreMode, start, end } = options
+  const round = (value) => parseFloat((parseFloat(value) || 0).toFixed(4))
+
+  const totalRecommends = parseInt(stats.total) || 0
+  const successRecommends = parseInt(stats.success) || 0
+
+  // 超额收益计分：累计超额收益率换算为基点
+  const periodScore =
+    scoreMode === "alpha"
+      ? Math.round((parseFloat(stats.total_alpha) || 0) * 100)
+      : parseInt(stats.period_score) || 0
+
+  return {
+    user_id: user.id,
+    ranking_type: type,
+    period,
+    // 计算总积分（根据类型）
+    score:
+      type === "total" && scoreMode === "points"
+        ? user.total_score
+        : periodScore,
+    period_score: periodScore,
+    total_recommends: totalRecommends,
+    success_recommends: successRecommends,
+    win_rate: round(
+      totalRecommends > 0 ? successRecommends / totalRecommends : 0
+    ),
+    avg_return: round(stats.avg_return),
+    max_return: round(stats.max_return),
+    avg_alpha: round(stats.avg_alpha),
+    score_mode: scoreMode,
+    current_streak: parseInt(streaks.current_streak) || 0,
+    max_streak: parseInt(streaks.max_streak) || 0,
+    score_reached_at: stats.last_settled_at
+      ? new Date(stats.last_settled_at)
+      : null,
+    period_start: start,
+    period_end: end,
+    is_active: true,
+  }
+}
+
+// 同分比较规则：win_rate 胜率高者在前，avg_return 平均收益率高者在前，
+// earliest 先达到该成绩（最近一次结算更早）者在前
+const TIE_BREAKERS = {
+  win_rate: { field: "win_rate", order: "DESC" },
+  avg_return: { field: "avg_return", order: "DESC" },
+  earliest: { field: "score_reached_at", order: "ASC" },
+}
+
+// 同分时依次比较的字段，可通过 RANKING_TIE_BREAKERS 配置（逗号分隔，
+// 默认 win_rate,avg_return，留空表示只按积分排名）；alpha 计分时先比较平均超额收益
+Ranking.getTieBreakers = function (scoreMode) {
+  const names =
+    process.env.RANKING_TIE_BREAKERS !== undefined
+      ? process.env.RANKING_TIE_BREAKERS
+      : "win_rate,avg_return"
+  const tieBreakers = names
+    .split(",")
+    .map((name) => TIE_BREAKERS[name.trim()])
+    .filter(Boolean)
+
+  return scoreMode === "alpha"
+    ? [{ field: "avg_alpha", order: "DESC" }, ...tieBreakers]
+    : tieBreakers
+}
+
+// 名次计算方式，可通过 RANKING_RANK_MODE 配置：
+// competition（默认）并列后跳过名次 1,2,2,4；dense 不跳过 1,2,2,3
+Ranking.getRankMode = function () {
+  return process.env.RANKING_RANK_MODE === "dense" ? "dense" : "competition"
+}
+
+// 比较字段的值：时间转为毫秒，空值排在最后
+const sortValue = (entry, field) => {
+  const value = entry[field]
+  if (value === null || value === undefined) {
+    return null
+  }
+  return field === "score_reached_at"
+    ? new Date(value).getTime()
+    : parseFloat(value)
+}
+
+// 按积分和同分比较字段比较，结果为 0 表示并列
+Ranking.compareScores = function (a, b) {
+  if (b.score !== a.score) return b.score - a.score
+  for (const { field, order } of this.getTieBreakers(a.score_mode)) {
+    const x = sortValue(a, field)
+    const y = sortValue(b, field)
+    if (x === y) continue
+    if (x === null) return 1
+    if (y === null) return -1
+    return order === "DESC" ? y - x : x - y
+  }
+  return 0
+}
+
+// 排名顺序：积分、同分比较字段，并列时按用户ID（只影响列表顺序，不影响名次）
+Ranking.compareEntries = function (a, b) {
+  return this.compareScores(a, b) || a.user_id - b.user_id
+}
+
+// 与指定记录并列的查询条件
+Ranking.getTiedCondition = function (entry) {
+  const tied = { score: entry.score }
+  this.getTieBreakers(entry.score_mode).forEach(({ field }) => {
+    tied[field] = entry[field] === undefined ? null : entry[field]
   })
+  return tied
+}
+
+// 严格排在指定记录之前（ahead）或之后（behind）的查询条件，与 compareScores 的顺序一致
+Ranking.getOrderConditions = function (entry, direction) {
+  const ahead = direction === "ahead"
+  const tied = { score: entry.score }
+  const conditions = [{ score: { [ahead ? Op.gt : Op.lt]: entry.score } }]
 
-  const previousRankMap = {}
-  previousRankings.forEach((r) => {
-    previousRankMap[r.user_id] = r.rank
+  this.getTieBreakers(entry.score_mode).forEach(({ field, order }) => {
+    const value = entry[field] === undefined ? null : entry[field]
+    const before = (order === "DESC") === ahead ? Op.gt : Op.lt
+
+    // 空值排在最后
+    if (value === null) {
+      if (ahead) {
+        conditions.push({ ...tied, [field]: { [Op.ne]: null } })
+      }
+    } else if (ahead) {
+      conditions.push({ ...tied, [field]: { [before]: value } })
+    } else {
+      conditions.push({
+        ...tied,
+        [Op.or]: [{ [field]: { [before]: value } }, { [field]: null }],
+      })
+    }
+    tied[field] = value
   })
 
-  // 分配排名和徽章
+  return conditions
+}
+
+// 为按 compareEntries 排好序的排名记录分配名次和并列标记：
+// 并列的用户名次相同，之后的名次按 RANKING_RANK_MODE 计算
+Ranking.assignRanks = function (rankings) {
+  const dense = this.getRankMode() === "dense"
+
   for (let i = 0; i < rankings.length; i++) {
-    rankings[i].rank = i + 1
-    rankings[i].previous_rank = previousRankMap[rankings[i].user_id] || null
-
-    // 分配徽章
-    if (i === 0) {
-      rankings[i].badge =
-        type === "weekly" ? "周冠军" : type === "monthly" ? "月冠军" : "总冠军"
-    } else if (i === 1) {
-      rankings[i].badge = "亚军"
-    } else if (i === 2) {
-      rankings[i].badge = "季军"
-    } else if (i < 10) {
-      rankings[i].badge = "前十"
+    const entry = rankings[i]
+    const tiedWithPrevious =
+      i > 0 && this.compareScores(rankings[i - 1], entry) === 0
+
+    if (tiedWithPrevious) {
+      entry.rank = rankings[i - 1].rank
+    } else {
+      entry.rank = dense && i > 0 ? rankings[i - 1].rank + 1 : i + 1
     }
+    entry.is_tied =
+      tiedWithPrevious ||
+      (i + 1 < rankings.length &&
+        this.compareScores(entry, rankings[i + 1]) === 0)
   }
 
-  // 批量更新数据库
-  await this.destroy({
-    where: {
-      ranking_type: type,
-      period: currentPeriod,
-    },
+  return rankings
+}
+
+// 名次对应的徽章
+Ranking.getBadge = function (type, rank) {
+  if (rank === 1) {
+    return {
+      weekly: "周冠军",
+      monthly: "月冠军",
+      total: "总冠军",
+      contest: "冠军",
+    }[type]
+  }
+  if (rank === 2) return "亚军"
+  if (rank === 3) return "季军"
+  if (rank <= 10) return "前十"
+  return null
+}
+
+// 增量更新一个用户在指定排行中的记录（周榜、月榜、总榜）
+// 重新汇总该用户在周期内的推荐，只调整新旧成绩之间的用户名次；用户不在排行中时插入。
+// 名次平移依赖排行中其他用户的名次，同一排行的更新和全量计算按顺序执行
+Ranking.updateUserRanking = function (type, period, userId) {
+  return serializeBoard(type, period, async () => {
+    const User = require("./User")
+
+    const user = await User.findByPk(userId, {
+      attributes: ["id", "total_score", "status"],
+      raw: true,
+    })
+    if (!user || user.status !== "active") {
+      return null
+    }
+
+    const { start, end } = this.getPeriodRange(type, period)
+    const scope = start && end ? { start, end } : {}
+    const [[stats], [streaks]] = await Promise.all([
+      this.aggregateStats([userId], scope),
+      this.aggregateStreaks([userId], scope),
+    ])
+
+    const saved = await sequelize.transaction(async (transaction) => {
+      const board = { ranking_type: type, period }
+
+      const current = await this.findOne({
+        where: { ...board, user_id: userId },
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      })
+      const sample =
+        current ||
+        (await this.findOne({
+          where: board,
+          attributes: ["score_mode"],
+          transaction,
+        }))
+      const scoreMode = sample ? sample.score_mode : this.getDefaultScoreMode()
+
+      const entry = this.buildEntry(user, stats, streaks, {
+        type,
+        period,
+        scoreMode,
+        start,
+        end,
+      })
+
+      const others = { ...board, user_id: { [Op.ne]: userId } }
+      const dense = this.getRankMode() === "dense"
+      const oldRank = current ? current.rank : null
+      const moved = !current || this.compareScores(current, entry) !== 0
+
+      const tiedCount = await this.count({
+        where: { ...others, ...this.getTiedCondition(entry) },
+        transaction,
+      })
+
+      if (moved) {
+        const stillTied = current
+          ? await this.count({
+              where: { ...others, ...this.getTiedCondition(current) },
+              transaction,
+            })
+          : 0
+        // 排在某成绩之后的用户名次变化：competition 模式下按用户数，
+        // dense 模式下只在该成绩无人并列（成绩分组出现或消失）时变化
+        const enters = !dense || tiedCount === 0 ? 1 : 0
+        const leaves = current && (!dense || stillTied === 0) ? 1 : 0
+        const behindNew = { [Op.or]: this.getOrderConditions(entry, "behind") }
+
+        if (!current) {
+          if (enters) {
+            await this.increment("rank", {
+              where: { ...others, ...behindNew },
+              transaction,
+            })
+          }
+        } else {
+          const behindOld = {
+            [Op.or]: this.getOrderConditions(current, "behind"),
+          }
+          const up = this.compareScores(entry, current) < 0
+
+          // 新旧成绩之间的用户：上升时后移一位，下降时前移一位
+          const between = up ? enters : -leaves
+          if (between !== 0) {
+            await this.increment("rank", {
+              by: between,
+              where: {
+                ...others,
+                [Op.and]: up
+                  ? [behindNew, { [Op.not]: behindOld }]
+                  : [behindOld, { [Op.not]: behindNew }],
+              },
+              transaction,
+            })
+          }
+
+          // 新旧成绩之后的用户：只有 dense 模式下成绩分组数变化时才平移
+          if (enters !== leaves) {
+            await this.increment("rank", {
+              by: enters - leaves,
+              where: { ...others, [Op.and]: [behindNew, behindOld] },
+              transaction,
+            })
+          }
+
+          if (stillTied === 1) {
+            await this.update(
+              { is_tied: false },
+              {
+                where: { ...others, ...this.getTiedCondition(current) },
+                transaction,
+              }
+            )
+          }
+        }
+
+        if (tiedCount === 1) {
+          await this.update(
+            { is_tied: true },
+            {
+              where: { ...others, ...this.getTiedCondition(entry) },
+              transaction,
+            }
+          )
+        }
+      }
+
+      // 与他人并列时名次相同，否则由排在前面的用户计算
+      let newRank
+      if (tiedCount > 0) {
+        const tied = await this.findOne({
+          where: { ...others, ...this.getTiedCondition(entry) },
+          attributes: ["rank"],
+          transaction,
+        })
+        newRank = tied.rank
+      } else {
+        const aheadWhere = {
+          ...others,
+          [Op.or]: this.getOrderConditions(entry, "ahead"),
+        }
+        newRank = dense
+          ? ((await this.max("rank", { where: aheadWhere, transaction })) ||
+              0) + 1
+          : (await this.count({ where: aheadWhere, transaction })) + 1
+      }
+
+      entry.rank = newRank
+      entry.is_tied = tiedCount > 0
+      entry.badge = this.getBadge(type, newRank)
+
+      let record = current
+      if (current) {
+        await current.update(entry, { transaction })
+      } else {
+        const previous = await this.findOne({
+          where: {
+            ranking_type: type,
+            period: this.getPreviousPeriod(type, period),
+            user_id: userId,
+          },
+          attributes: ["rank"],
+          transaction,
+        })
+        entry.previous_rank = previous ? previous.rank : null
+        record = await this.create(entry, { transaction })
+      }
+
+      // 名次变化涉及前十时重新分配其他用户的徽章
+      if (Math.min(newRank, oldRank || newRank) <= 10) {
+        await this.assignBadges(type, period, transaction)
+      }
+
+      return record.get({ plain: true })
+    })
+
+    // 同步实时排行榜
+    const leaderboard = require("../utils/leaderboard")
+    await leaderboard.update(saved)
+
+    return saved
+  })
+}
+
+// 从指定排行中移除一个用户（如账户注销），成绩排在其后的用户前移一位
+// （dense 模式下原成绩无人并列时才前移）；与同一排行的更新和全量计算按顺序执行
+Ranking.removeUserRanking = function (type, period, userId) {
+  return serializeBoard(type, period, async () => {
+    const removed = await sequelize.transaction(async (transaction) => {
+      const board = { ranking_type: type, period }
+
+      const current = await this.findOne({
+        where: { ...board, user_id: userId },
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      })
+      if (!current) {
+        return null
+      }
+
+      const others = { ...board, user_id: { [Op.ne]: userId } }
+      const stillTied = await this.count({
+        where: { ...others, ...this.getTiedCondition(current) },
+        transaction,
+      })
+      if (this.getRankMode() !== "dense" || stillTied === 0) {
+        await this.decrement("rank", {
+          where: {
+            ...others,
+            [Op.or]: this.getOrderConditions(current, "behind"),
+          },
+          transaction,
+        })
+      }
+      if (stillTied === 1) {
+        await this.update(
+          { is_tied: false },
+          {
+            where: { ...others, ...this.getTiedCondition(current) },
+            transaction,
+          }
+        )
+      }
+
+      const entry = current.get({ plain: true })
+      await current.destroy({ transaction })
+
+      if (entry.rank <= 10) {
+        await this.assignBadges(type, period, transaction)
+      }
+      return entry
+    })
+
+    if (removed) {
+      const leaderboard = require("../utils/leaderboard")
+      await leaderboard.remove(type, period, userId)
+    }
+
+    return removed
   })
+}
+
+// 按当前名次重新分配排行的徽章
+Ranking.assignBadges = async function (type, period, transaction) {
+  const board = { ranking_type: type, period }
 
-  if (rankings.length > 0) {
-    await this.bulkCreate(rankings)
+  for (const rank of [1, 2, 3]) {
+    await this.update(
+      { badge: this.getBadge(type, rank) },
+      { where: { ...board, rank }, transaction }
+    )
   }
+  await this.update(
+    { badge: this.getBadge(type, 4) },
+    { where: { ...board, rank: { [Op.between]: [4, 10] } }, transaction }
+  )
+  await this.update(
+    { badge: null },
+    {
+      where: { ...board, rank: { [Op.gt]: 10 }, badge: { [Op.ne]: null } },
+      transaction,
+    }
+  )
+}
 
-  return rankings
+// 一批用户在统计范围内的推荐汇总（按用户分组的一条查询）
+Ranking.aggregateStats = function (userIds, scope) {
+  const Recommend = require("./Recommend")
+
+  const where = { user_id: userIds }
+  if (scope.contestId) {
+    where.contest_id = scope.contestId
+  } else if (scope.start && scope.end) {
+    where.created_at = { [Op.between]: [scope.start, scope.end] }
+  }
+
+  return Recommend.findAll({
+    attributes: [
+      "user_id",
+      [sequelize.fn("COUNT", sequelize.col("id")), "total"],
+      [
+        sequelize.fn(
+          "COUNT",
+          sequelize.literal('CASE WHEN status = "success" THEN 1 END')
+        ),
+        "success",
+      ],
+      [
+        sequelize.fn(
+          "AVG",
+          sequelize.literal(
+            "CASE WHEN actual_return IS NOT NULL THEN actual_return END"
+          )
+        ),
+        "avg_return",
+      ],
+      [sequelize.fn("MAX", sequelize.col("actual_return")), "max_return"],
+      // 积分在结算时按规则版本记录
+      [sequelize.fn("SUM", sequelize.col("points_awarded")), "period_score"],
+      [sequelize.fn("SUM", sequelize.col("alpha")), "total_alpha"],
+      [sequelize.fn("AVG", sequelize.col("alpha")), "avg_alpha"],
+      [sequelize.fn("MAX", sequelize.col("settled_at")), "last_settled_at"],
+    ],
+    where,
+    group: ["user_id"],
+    raw: true,
+  })
+}
+
+// 一批用户在统计范围内的当前连胜和最大连胜
+// 已结算推荐按结算时间倒序，用窗口函数累计每条之后（含）的失败次数，
+// 失败次数相同的成功推荐为一段连胜；失败次数为 0 的一段即当前连胜
+Ranking.aggregateStreaks = function (userIds, scope) {
+  const conditions = [
+    "user_id IN (:userIds)",
+    "status IN ('success', 'failed')",
+  ]
+  const replacements = { userIds }
+
+  if (scope.contestId) {
+    conditions.push("contest_id = :contestId")
+    replacements.contestId = scope.contestId
+  } else if (scope.start && scope.end) {
+    conditions.push("created_at BETWEEN :start AND :end")
+    replacements.start = scope.start
+    replacements.end = scope.end
+  }
+
+  return sequelize.query(
+    `SELECT user_id,
+        MAX(CASE WHEN failures = 0 THEN wins ELSE 0 END) AS current_streak,
+        MAX(wins) AS max_streak
+      FROM (
+        SELECT user_id, failures,
+          SUM(CASE WHEN status = 'success' THEN 1 ELSE 0 END) AS wins
+        FROM (
+          SELECT user_id, status,
+            SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) OVER (
+              PARTITION BY user_id
+              ORDER BY settled_at DESC, id DESC
+              ROWS UNBOUNDED PRECEDING
+            ) AS failures
+          FROM recommends
+          WHERE ${conditions.join(" AND ")}
+        ) AS settled
+        GROUP BY user_id, failures
+      ) AS runs
+      GROUP BY user_id`,
+    { replacements, type: QueryTypes.SELECT }
+  )
+}
+
+// 批量写入排名：按 (user_id, ranking_type, period) 覆盖已有记录，
+// 并删除本次不再参与排名的用户（如已注销）的旧记录
+Ranking.saveRankings = function (type, period, rankings) {
+  const chunkSize = this.getChunkSize()
+
+  return sequelize.transaction(async (transaction) => {
+    const existing = await this.findAll({
+      where: { ranking_type: type, period },
+      attributes: ["id", "user_id"],
+      raw: true,
+      transaction,
+    })
+
+    const rankedUserIds = new Set(rankings.map((r) => r.user_id))
+    const staleIds = existing
+      .filter((r) => !rankedUserIds.has(r.user_id))
+      .map((r) => r.id)
+
+    for (let i = 0; i < staleIds.length; i += chunkSize) {
+      await this.destroy({
+        where: { id: staleIds.slice(i, i + chunkSize) },
+        transaction,
+      })
+    }
+
+    for (let i = 0; i < rankings.length; i += chunkSize) {
+      await this.bulkCreate(rankings.slice(i, i + chunkSize), {
+        updateOnDuplicate: UPSERT_FIELDS,
+        transaction,
+      })
+    }
+  })
 }
 
 // 获取上一个周期
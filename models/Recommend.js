@@ -1,5 +1,22 @@
-const { DataTypes } = require("sequelize")
+const { DataTypes, Op } = require("sequelize")
 const { sequelize } = require("../config/database")
+const tradingCalendar = require("../utils/tradingCalendar")
+const benchmark = require("../utils/benchmark")
+const scoringEngine = require("../utils/scoringEngine")
+
+// 判定结果说明
+const OUTCOME_REASONS = {
+  accurate: "正确，预测准确度高",
+  direction: "正确",
+  deviation: "正确但偏差过大",
+  wrong: "错误",
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// 创建后可修改的文字字段，修改记录写入 recommend_revisions；
+// 股票、方向、预期涨跌幅、持有期、信心指数、止盈止损和建仓价格创建后锁定
+const EDITABLE_FIELDS = ["reason", "tags"]
 
 const Recommend = sequelize.define(
   "Recommend",
@@ -31,11 +48,29 @@ const Recommend = sequelize.define(
       comment: "股票代码",
     },
 
+    // 参加的比赛（为空表示不参加比赛）
+    contest_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "contests",
+        key: "id",
+      },
+      comment: "比赛ID",
+    },
+
     // 推荐信息
+    // 看多（long）或看空（short），收益和成功判定都按持仓方向计算
+    direction: {
+      type: DataTypes.ENUM("long", "short"),
+      defaultValue: "long",
+      comment: "推荐方向：看多/看空",
+    },
+
     predict_change: {
       type: DataTypes.DECIMAL(8, 4),
       allowNull: false,
-      comment: "预期涨跌幅(%)",
+      comment: "预期涨跌幅(%)（股价涨跌幅，看空时为负数）",
     },
 
     reason: {
@@ -63,8 +98,40 @@ const Recommend = sequelize.define(
     // 价格信息
     entry_price: {
       type: DataTypes.DECIMAL(10, 2),
-      allowNull: false,
-      comment: "推荐时价格",
+      allowNull: true,
+      comment: "推荐时价格（成交价，排队中为空）",
+    },
+
+    // 成交信息：建仓价格来自服务端行情
+    fill_type: {
+      type: DataTypes.ENUM("realtime", "next_open"),
+      defaultValue: "realtime",
+      comment: "成交方式：交易时段即时成交/下一交易时段开盘成交",
+    },
+
+    fill_price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: "成交价格",
+    },
+
+    filled_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: "成交时间",
+    },
+
+    // 除权除息后的前复权买入价（未发生公司行为时为空）
+    adjusted_entry_price: {
+      type: DataTypes.DECIMAL(12, 4),
+      allowNull: true,
+      comment: "复权后推荐价格",
+    },
+
+    price_adjustments: {
+      type: DataTypes.JSON,
+      defaultValue: [],
+      comment: "复权调整记录",
     },
 
     current_price: {
@@ -79,6 +146,31 @@ const Recommend = sequelize.define(
       comment: "结算价格",
     },
 
+    // 止盈止损：交易时段内触发后按最新价提前结算
+    target_price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: "止盈价",
+    },
+
+    stop_loss: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: "止损价",
+    },
+
+    close_reason: {
+      type: DataTypes.ENUM(
+        "hold_period_end",
+        "target_price",
+        "stop_loss",
+        "manual",
+        "closed_early"
+      ),
+      allowNull: true,
+      comment: "结束原因：持有期到期/触发止盈/触发止损/管理员结算/作者提前平仓",
+    },
+
     // 收益信息
     current_return: {
       type: DataTypes.DECIMAL(8, 4),
@@ -92,6 +184,56 @@ const Recommend = sequelize.define(
       comment: "实际收益率(%)",
     },
 
+    // 同期基准（沪深300 / 恒生指数）
+    benchmark_code: {
+      type: DataTypes.STRING(10),
+      allowNull: true,
+      comment: "基准指数代码",
+    },
+
+    benchmark_entry: {
+      type: DataTypes.DECIMAL(12, 4),
+      allowNull: true,
+      comment: "推荐时基准点位",
+    },
+
+    benchmark_exit: {
+      type: DataTypes.DECIMAL(12, 4),
+      allowNull: true,
+      comment: "结算时基准点位",
+    },
+
+    benchmark_return: {
+      type: DataTypes.DECIMAL(8, 4),
+      allowNull: true,
+      comment: "同期基准收益率(%)",
+    },
+
+    alpha: {
+      type: DataTypes.DECIMAL(8, 4),
+      allowNull: true,
+      comment: "超额收益率(%)",
+    },
+
+    success_rule: {
+      type: DataTypes.ENUM("direction", "alpha"),
+      defaultValue: "direction",
+      comment: "成功判定规则：绝对收益方向/超额收益方向",
+    },
+
+    // 积分信息
+    points_awarded: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "结算获得积分（失败时为扣减积分）",
+    },
+
+    scoring_rule_version: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "结算使用的积分规则版本",
+    },
+
     // 时间信息
     start_date: {
       type: DataTypes.DATE,
@@ -112,8 +254,16 @@ const Recommend = sequelize.define(
     },
 
     // 状态信息
+    // 停牌顺延、停牌结算、涨停未成交等交易异常记录
+    trade_flags: {
+      type: DataTypes.JSON,
+      defaultValue: [],
+      comment: "交易异常标记",
+    },
+
     status: {
       type: DataTypes.ENUM(
+        "pending",
         "active",
         "success",
         "failed",
@@ -137,6 +287,13 @@ const Recommend = sequelize.define(
       comment: "点赞数",
     },
 
+    comment_count: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: "评论数（不含已删除）",
+    },
+
+    // 去重后的查看次数，由 utils/viewCounter 批量写入
     view_count: {
       type: DataTypes.INTEGER,
       defaultValue: 0,
@@ -161,6 +318,19 @@ const Recommend = sequelize.define(
       allowNull: true,
       comment: "管理员备注",
     },
+
+    // 修改记录
+    edit_count: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: "修改次数",
+    },
+
+    last_edited_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: "最后修改时间",
+    },
   },
   {
     tableName: "recommends",
@@ -171,9 +341,15 @@ const Recommend = sequelize.define(
       {
         fields: ["stock_code"],
       },
+      {
+        fields: ["contest_id", "user_id"],
+      },
       {
         fields: ["status"],
       },
+      {
+        fields: ["direction"],
+      },
       {
         fields: ["start_date"],
       },
@@ -198,16 +374,26 @@ Recommend.prototype.toJSON = function () {
   ;[
     "predict_change",
     "entry_price",
+    "fill_price",
+    "adjusted_entry_price",
     "current_price",
     "exit_price",
+    "target_price",
+    "stop_loss",
     "current_return",
     "actual_return",
+    "benchmark_entry",
+    "benchmark_exit",
+    "benchmark_return",
+    "alpha",
   ].forEach((field) => {
-    if (values[field] !== null) {
+    if (values[field] !== null && values[field] !== undefined) {
       values[field] = parseFloat(values[field])
     }
   })
 
+  values.is_edited = values.edit_count > 0
+
   // 计算剩余时间
   if (values.status === "active") {
     const now = new Date()
@@ -224,81 +410,610 @@ Recommend.prototype.toJSON = function () {
   return values
 }
 
+// 修改推荐文字内容，修改前后内容追加到修改记录；没有变化时返回 null
+Recommend.prototype.revise = async function (userId, updates) {
+  const RecommendRevision = require("./RecommendRevision")
+
+  return sequelize.transaction(async (transaction) => {
+    await this.reload({ transaction, lock: transaction.LOCK.UPDATE })
+
+    const changes = {}
+    EDITABLE_FIELDS.forEach((field) => {
+      if (updates[field] === undefined) return
+      if (JSON.stringify(updates[field]) === JSON.stringify(this[field])) return
+      changes[field] = { from: this[field], to: updates[field] }
+    })
+
+    if (Object.keys(changes).length === 0) {
+      return null
+    }
+
+    const revision = await RecommendRevision.create(
+      {
+        recommend_id: this.id,
+        user_id: userId,
+        revision: this.edit_count + 1,
+        changes,
+      },
+      { transaction }
+    )
+
+    Object.keys(changes).forEach((field) => {
+      this[field] = changes[field].to
+    })
+    this.edit_count += 1
+    this.last_edited_at = revision.createdAt
+    await this.save({ transaction })
+
+    return revision
+  })
+}
+
+// 排队中的推荐按行情成交：计划在当日首个交易时段开盘成交的取开盘价，
+// 其他情况（如午休后开盘）取最新价；同时记录同期基准点位
+Recommend.prototype.fillPending = async function (
+  quote,
+  market,
+  now = new Date()
+) {
+  const firstSession = tradingCalendar.getSessions(now, market)[0]
+  const atDayOpen =
+    firstSession &&
+    quote.open > 0 &&
+    new Date(this.start_date).getTime() <= firstSession.open.getTime()
+
+  const price = atDayOpen ? quote.open : quote.price
+  const filledAt = atDayOpen ? firstSession.open : quote.timestamp
+  const benchmarkSnapshot = await benchmark.snapshot(market)
+
+  await this.update({
+    entry_price: price,
+    current_price: quote.price,
+    current_return: (
+      ((quote.price - price) / price) *
+      100 *
+      this.getDirectionSign()
+    ).toFixed(2),
+    fill_price: price,
+    filled_at: filledAt,
+    benchmark_code: benchmarkSnapshot.code,
+    benchmark_entry: benchmarkSnapshot.level,
+    status: "active",
+  })
+}
+
+// 计划成交日收盘后仍未成交（停牌、涨停封板或无行情）的推荐取消
+Recommend.prototype.cancelUnfilled = async function (reason) {
+  this.setTradeFlag("unfilled", { reason, cancelled_at: new Date() })
+  this.status = "cancelled"
+  await this.save()
+}
+
+// 记录交易异常标记，同类型标记只保留最新一条
+Recommend.prototype.setTradeFlag = function (type, details = {}) {
+  this.trade_flags = [
+    ...(this.trade_flags || []).filter((flag) => flag.type !== type),
+    { type, ...details },
+  ]
+}
+
+Recommend.prototype.getTradeFlag = function (type) {
+  return (this.trade_flags || []).find((flag) => flag.type === type) || null
+}
+
+// 计算收益使用的买入价（发生除权除息时为复权价）
+Recommend.prototype.getEntryPrice = function () {
+  return parseFloat(
+    this.adjusted_entry_price !== null &&
+      this.adjusted_entry_price !== undefined
+      ? this.adjusted_entry_price
+      : this.entry_price
+  )
+}
+
+// 看多为 1，看空为 -1
+Recommend.prototype.getDirectionSign = function () {
+  return this.direction === "short" ? -1 : 1
+}
+
+// 按持仓方向计算收益率(%)：看空时股价下跌为正收益
+Recommend.prototype.getPositionReturn = function (price) {
+  const entryPrice = this.getEntryPrice()
+  return ((price - entryPrice) / entryPrice) * 100 * this.getDirectionSign()
+}
+
+// 按复权因子调整买入价
+Recommend.prototype.applyPriceAdjustment = async function (
+  action,
+  factor,
+  options = {}
+) {
+  const before = this.getEntryPrice()
+  const after = parseFloat((before * factor).toFixed(4))
+
+  // 止盈止损价同步复权
+  if (this.target_price) {
+    this.target_price = (parseFloat(this.target_price) * factor).toFixed(2)
+  }
+  if (this.stop_loss) {
+    this.stop_loss = (parseFloat(this.stop_loss) * factor).toFixed(2)
+  }
+
+  this.adjusted_entry_price = after
+  this.price_adjustments = [
+    ...(this.price_adjustments || []),
+    {
+      action_id: action.id,
+      action_type: action.action_type,
+      ex_date: action.ex_date,
+      description: action.description,
+      factor: parseFloat(factor.toFixed(8)),
+      before,
+      after,
+    },
+  ]
+
+  await this.save(options)
+}
+
+// 检查止盈止损是否触发，返回 target_price / stop_loss，未触发返回 null
+// 看多止盈价在上方、止损价在下方，看空相反；
+// 封板时无法平仓（看多跌停无法卖出，看空涨停无法买回），暂不触发止损
+Recommend.prototype.getTriggeredExit = function (price, stock = null) {
+  const current = parseFloat(price)
+  if (!(current > 0)) {
+    return null
+  }
+
+  const sign = this.getDirectionSign()
+  const reached = (level) => level && (current - parseFloat(level)) * sign >= 0
+  const breached = (level) => level && (current - parseFloat(level)) * sign <= 0
+
+  if (reached(this.target_price)) {
+    return "target_price"
+  }
+
+  if (breached(this.stop_loss)) {
+    const sealed =
+      stock &&
+      (sign > 0
+        ? stock.isLimitDown(current, stock.previous_close)
+        : stock.isLimitUp(current, stock.previous_close))
+    return sealed ? null : "stop_loss"
+  }
+
+  return null
+}
+
 // 更新当前收益
 Recommend.prototype.updateCurrentReturn = async function (currentPrice) {
   this.current_price = currentPrice
-  this.current_return =
-    ((currentPrice - this.entry_price) / this.entry_price) * 100
+  this.current_return = this.getPositionReturn(currentPrice)
   await this.save()
 }
 
-// 结算推荐
-Recommend.prototype.settle = async function (exitPrice = null) {
-  const finalPrice = exitPrice || this.current_price
+// 确定结算价格：默认使用持有期最后一个交易日的官方收盘价
+Recommend.prototype.resolveSettlementPrice = async function (
+  exitPrice = null,
+  source = "manual"
+) {
+  if (exitPrice) {
+    return {
+      price: parseFloat(exitPrice),
+      source,
+      date: tradingCalendar.toTradeDate(new Date()),
+      time: new Date(),
+    }
+  }
 
-  if (!finalPrice) {
-    throw new Error("无法获取结算价格")
+  const Stock = require("./Stock")
+  const StockPrice = require("./StockPrice")
+
+  const stock = await Stock.findByCode(this.stock_code)
+  const market = stock ? stock.market : "SH"
+  const until = new Date(Math.min(Date.now(), new Date(this.end_date)))
+  const tradeDate = tradingCalendar.lastTradingDayOnOrBefore(until, market)
+
+  // 停牌股票使用停牌前最后一个交易日的收盘价
+  if (stock && stock.isSuspended()) {
+    const lastBar = await StockPrice.findOne({
+      where: {
+        stock_code: this.stock_code,
+        trade_date: { [Op.lte]: tradeDate },
+      },
+      order: [["trade_date", "DESC"]],
+    })
+
+    if (lastBar) {
+      return {
+        price: parseFloat(lastBar.close),
+        source: "suspended_close",
+        date: lastBar.trade_date,
+        time: tradingCalendar.getSessionClose(lastBar.trade_date, market),
+        suspendedSince: stock.suspended_since,
+      }
+    }
   }
 
-  this.exit_price = finalPrice
-  this.actual_return =
-    ((finalPrice - this.entry_price) / this.entry_price) * 100
-  this.settled_at = new Date()
-
-  // 判断推荐是否成功
-  const predictDirection = this.predict_change > 0 ? "up" : "down"
-  const actualDirection = this.actual_return > 0 ? "up" : "down"
-
-  if (predictDirection === actualDirection) {
-    // 方向预测正确
-    const accuracyScore =
-      100 - Math.abs(this.actual_return - this.predict_change)
-
-    if (accuracyScore >= 80) {
-      this.status = "success"
-    } else if (accuracyScore >= 50) {
-      this.status = "success" // 方向对就算成功，但积分会不同
-    } else {
-      this.status = "failed"
+  const bar = await StockPrice.findOne({
+    where: { stock_code: this.stock_code, trade_date: tradeDate },
+  })
+
+  if (bar) {
+    return {
+      price: parseFloat(bar.close),
+      source: "official_close",
+      date: tradeDate,
+      time: tradingCalendar.getSessionClose(tradeDate, market),
     }
-  } else {
-    this.status = "failed"
   }
 
+  // 缺少当日日线时退回最后成交价，并在结算记录中标明
+  if (this.current_price) {
+    return {
+      price: parseFloat(this.current_price),
+      source: "last_tick",
+      date: null,
+      time: (stock && stock.price_updated_at) || this.updatedAt,
+    }
+  }
+
+  return null
+}
+
+// 计算同期基准收益和超额收益，缺少基准数据时返回 null
+Recommend.prototype.resolveBenchmarkReturn = async function (priced) {
+  if (!this.benchmark_code || !this.benchmark_entry) {
+    return null
+  }
+
+  // 与结算价取同一交易日的基准收盘，最后成交价结算时取最新点位
+  const exitLevel = await benchmark.getLevel(this.benchmark_code, priced.date)
+  const benchmarkReturn = benchmark.computeReturn(
+    parseFloat(this.benchmark_entry),
+    exitLevel
+  )
+
+  if (benchmarkReturn === null) {
+    return null
+  }
+
+  return { exitLevel, benchmarkReturn }
+}
+
+// 停牌结算规则（SUSPENSION_SETTLEMENT_RULE）：
+// extend 顺延到复牌日收盘结算（默认），last_price 按停牌前收盘价结算
+Recommend.getSuspensionRule = function () {
+  return process.env.SUSPENSION_SETTLEMENT_RULE === "last_price"
+    ? "last_price"
+    : "extend"
+}
+
+// 停牌顺延的最长自然日数，超过后按停牌前收盘价结算
+Recommend.getMaxSuspensionExtensionDays = function () {
+  return parseInt(process.env.SUSPENSION_MAX_EXTENSION_DAYS) || 30
+}
+
+// 到期时股票停牌：按规则顺延结束时间，顺延成功返回 true
+// 公告了复牌日期的顺延到复牌日收盘，否则逐个交易日顺延
+Recommend.prototype.extendForSuspension = async function (
+  stock,
+  now = new Date()
+) {
+  if (Recommend.getSuspensionRule() !== "extend") {
+    return false
+  }
+
+  const existing = this.getTradeFlag("suspension_extended")
+  const originalEndDate = existing
+    ? new Date(existing.original_end_date)
+    : new Date(this.end_date)
+  const deadline = new Date(
+    originalEndDate.getTime() +
+      Recommend.getMaxSuspensionExtensionDays() * DAY_MS
+  )
+
+  let endTradeDate = stock.resume_date
+    ? tradingCalendar.firstTradingDayOnOrAfter(stock.resume_date, stock.market)
+    : null
+  if (
+    !endTradeDate ||
+    tradingCalendar.getSessionClose(endTradeDate, stock.market) <= now
+  ) {
+    endTradeDate = tradingCalendar.nextTradingDay(now, stock.market)
+  }
+  const endDate = tradingCalendar.getSessionClose(endTradeDate, stock.market)
+
+  if (endDate > deadline) {
+    return false
+  }
+
+  this.end_date = endDate
+  this.setTradeFlag("suspension_extended", {
+    original_end_date: originalEndDate,
+    extended_to: endDate,
+    suspended_since: stock.suspended_since,
+    resume_date: stock.resume_date,
+  })
   await this.save()
+  return true
+}
+
+// 结算推荐，返回结算记录；停牌顺延或推荐已被结算时不结算，返回 null
+// options.closeReason 为 target_price / stop_loss 时表示止盈止损触发，exitPrice 为触发价；
+// 为 closed_early 时表示作者提前平仓，exitPrice 为服务端最新行情价
+Recommend.prototype.settle = async function (exitPrice = null, options = {}) {
+  const {
+    settledBy = "system",
+    closeReason = exitPrice ? "manual" : "hold_period_end",
+  } = options
+  const triggered = ["target_price", "stop_loss"].includes(closeReason)
+  const closedEarly = closeReason === "closed_early"
+
+  if (this.status !== "active") {
+    return null
+  }
+
+  if (!exitPrice) {
+    const Stock = require("./Stock")
+    const stock = await Stock.findByCode(this.stock_code)
+    if (
+      stock &&
+      stock.isSuspended() &&
+      (await this.extendForSuspension(stock))
+    ) {
+      return null
+    }
+  }
+
+  const priced = await this.resolveSettlementPrice(
+    exitPrice,
+    triggered ? "trigger" : closedEarly ? "last_tick" : "manual"
+  )
+
+  if (!priced) {
+    throw new Error("无法获取结算价格")
+  }
+
+  const benchmarkResult = await this.resolveBenchmarkReturn(priced)
+  const ruleSet = await scoringEngine.getActiveRuleSet()
+  const finalPrice = priced.price
+
+  // 止盈止损、到期结算和作者平仓可能同时结算同一条推荐：加锁重新读取，仍为活跃状态时才结算，
+  // 推荐、用户统计和结算记录在同一事务中写入
+  let userStats = null
+  const settlement = await sequelize.transaction(async (transaction) => {
+    await this.reload({ transaction, lock: transaction.LOCK.UPDATE })
+    if (this.status !== "active") {
+      return null
+    }
+
+    if (priced.source === "suspended_close") {
+      this.setTradeFlag("suspended_settlement", {
+        price_date: priced.date,
+        suspended_since: priced.suspendedSince,
+      })
+    }
+
+    const entryPrice = this.getEntryPrice()
+
+    this.exit_price = finalPrice
+    this.actual_return = this.getPositionReturn(finalPrice)
+    this.settled_at = new Date()
+    this.close_reason = closeReason
+
+    // 提前结束时剩余持有期比例（用于提前平仓奖励和作者提前平仓倍数）
+    const holdStart = new Date(this.filled_at || this.start_date).getTime()
+    const holdEnd = new Date(this.end_date).getTime()
+    const remainingRatio =
+      holdEnd > holdStart
+        ? Math.min(
+            1,
+            Math.max(
+              0,
+              (holdEnd - this.settled_at.getTime()) / (holdEnd - holdStart)
+            )
+          )
+        : 0
+
+    if (benchmarkResult) {
+      this.benchmark_exit = benchmarkResult.exitLevel
+      this.benchmark_return = benchmarkResult.benchmarkReturn
+      // 看空的超额收益 = 基准收益 - 股价收益
+      this.alpha =
+        this.actual_return -
+        benchmarkResult.benchmarkReturn * this.getDirectionSign()
+    }
+
+    // 超额收益规则下预测值视为相对基准的涨跌幅，缺少基准数据时退回方向规则
+    const successRule =
+      this.success_rule === "alpha" && benchmarkResult ? "alpha" : "direction"
+    const judgedReturn =
+      successRule === "alpha" ? this.alpha : this.actual_return
+    const label = successRule === "alpha" ? "超额收益方向" : "方向"
+
+    // 按当前启用的积分规则判定，预期涨跌幅同样换算为持仓方向的收益
+    const judged = scoringEngine.judge(
+      judgedReturn,
+      parseFloat(this.predict_change) * this.getDirectionSign(),
+      ruleSet.rules
+    )
+    const accuracyScore = judged.accuracyScore
+    let decisionReason = `${label}${OUTCOME_REASONS[judged.outcome]}`
+    this.status = judged.status
+
+    if (this.success_rule === "alpha" && !benchmarkResult) {
+      decisionReason += "（缺少基准数据，按绝对收益判定）"
+    }
+
+    // 计算积分（连胜按本次结算后计算）
+    const User = require("./User")
+    const user = await User.findByPk(this.user_id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    })
+    const isSuccess = this.status === "success"
+    const scoring = scoringEngine.computePoints(
+      {
+        isSuccess,
+        streak: isSuccess && user ? user.current_streak + 1 : 0,
+        confidence: this.confidence,
+        holdPeriod: this.hold_period,
+        accuracyScore,
+        closeReason,
+        remainingRatio,
+      },
+      ruleSet.rules
+    )
+    const pointsAwarded = scoring.points
+
+    this.points_awarded = pointsAwarded
+    this.scoring_rule_version = ruleSet.version
+    await this.save({ transaction })
+
+    // 更新用户统计，记录本次结算前后的累计统计
+    if (user) {
+      const before = user.getSettlementStats()
+      await user.updateStats(isSuccess, pointsAwarded, { transaction })
+      userStats = { before, after: user.getSettlementStats() }
+    }
 
-  // 更新用户统计
-  const User = require("./User")
-  const user = await User.findByPk(this.user_id)
-  if (user) {
-    await user.updateStats(this.status === "success")
+    // 记录结算明细
+    const Settlement = require("./Settlement")
+    return Settlement.create(
+      {
+        recommend_id: this.id,
+        user_id: this.user_id,
+        stock_code: this.stock_code,
+        price_source: priced.source,
+        close_reason: closeReason,
+        price_date: priced.date,
+        price_time: priced.time,
+        entry_price: entryPrice,
+        exit_price: finalPrice,
+        predict_change: this.predict_change,
+        actual_return: this.actual_return,
+        status: this.status,
+        success_rule: successRule,
+        benchmark_return: benchmarkResult
+          ? benchmarkResult.benchmarkReturn
+          : null,
+        alpha: benchmarkResult ? this.alpha : null,
+        accuracy_score: accuracyScore,
+        decision_reason: decisionReason,
+        points_awarded: pointsAwarded,
+        scoring_rule_version: ruleSet.version,
+        settled_by: settledBy,
+        details: {
+          direction: this.direction,
+          original_entry_price: parseFloat(this.entry_price),
+          price_adjustments: this.price_adjustments || [],
+          benchmark_code: this.benchmark_code,
+          benchmark_entry: this.benchmark_entry
+            ? parseFloat(this.benchmark_entry)
+            : null,
+          benchmark_exit: benchmarkResult ? benchmarkResult.exitLevel : null,
+          scoring: scoring.breakdown,
+          trade_flags: this.trade_flags || [],
+          target_price: this.target_price
+            ? parseFloat(this.target_price)
+            : null,
+          stop_loss: this.stop_loss ? parseFloat(this.stop_loss) : null,
+          remaining_ratio:
+            triggered || closedEarly
+              ? parseFloat(remainingRatio.toFixed(4))
+              : null,
+        },
+      },
+      { transaction }
+    )
+  })
+
+  if (!settlement) {
+    return null
   }
 
+  // 清除用户高级统计缓存
+  const userAnalytics = require("../utils/userAnalytics")
+  await userAnalytics.invalidate(this.user_id)
+
   // 更新股票统计
   const Stock = require("./Stock")
   const stock = await Stock.findByCode(this.stock_code)
   if (stock) {
     await stock.updateStats()
   }
+
+  // 按结算价卖出跟投持仓
+  const Follow = require("./Follow")
+  const follows = await Follow.findAll({
+    where: {
+      recommend_id: this.id,
+      follow_type: "recommend",
+      status: "active",
+    },
+  })
+  const closedFollows = []
+  for (const follow of follows) {
+    if (await follow.complete(finalPrice)) {
+      closedFollows.push(follow)
+    }
+  }
+
+  // 作者提前平仓时通知跟投用户
+  if (closedEarly && closedFollows.length > 0) {
+    const Notification = require("./Notification")
+    for (const follow of closedFollows) {
+      await Notification.notify(
+        follow.user_id,
+        "recommend_closed_early",
+        "跟投的推荐已提前平仓",
+        `推荐 ${this.stock_code} 已被作者提前平仓，您的跟投持仓已按 ${finalPrice} 平仓，` +
+          `收益率 ${parseFloat(follow.actual_return || 0).toFixed(2)}%`,
+        {
+          recommend_id: this.id,
+          follow_id: follow.id,
+          stock_code: this.stock_code,
+          exit_price: finalPrice,
+          actual_return:
+            follow.actual_return !== null
+              ? parseFloat(follow.actual_return)
+              : null,
+          realized_pnl:
+            follow.realized_pnl !== null
+              ? parseFloat(follow.realized_pnl)
+              : null,
+        }
+      )
+    }
+  }
+
+  // 事务提交后发布结算事件（排行增量更新、成就评估等）
+  const eventBus = require("../utils/eventBus")
+  eventBus.publish("recommend.settled", {
+    recommend: this,
+    settlement,
+    userStats,
+  })
+
+  return settlement
 }
 
 // 检查是否过期
 Recommend.prototype.checkExpired = async function () {
   if (this.status === "active" && new Date() > new Date(this.end_date)) {
     await this.settle()
-    if (this.status === "active") {
+    // 停牌顺延后结束时间已推迟，不标记过期
+    if (this.status === "active" && new Date() > new Date(this.end_date)) {
       this.status = "expired"
       await this.save()
     }
   }
 }
 
-// 增加查看次数
-Recommend.prototype.incrementView = async function () {
-  await this.increment("view_count")
-}
-
 // 类方法
+Recommend.EDITABLE_FIELDS = EDITABLE_FIELDS
+
 Recommend.getActiveRecommends = function (limit = 20, offset = 0) {
   return this.findAndCountAll({
     where: { status: "active" },
@@ -0,0 +1,280 @@
+const { DataTypes, Op } = require("sequelize")
+const { sequelize } = require("../config/database")
+
+// 单条评论最多提醒的用户数
+const MAX_MENTIONS = 10
+
+// 推荐评论：顶层评论和回复两级展示，回复挂在所属顶层评论（root_id）下，
+// parent_id 记录直接回复的评论
+const RecommendComment = sequelize.define(
+  "RecommendComment",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+
+    recommend_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "recommends",
+        key: "id",
+      },
+      comment: "推荐ID",
+    },
+
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "users",
+        key: "id",
+      },
+      comment: "评论用户ID",
+    },
+
+    // 回复关系（顶层评论均为空）
+    root_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "所属顶层评论ID",
+    },
+
+    parent_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "回复的评论ID",
+    },
+
+    reply_to_user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "回复的用户ID",
+    },
+
+    content: {
+      type: DataTypes.STRING(1000),
+      allowNull: false,
+      comment: "评论内容",
+    },
+
+    // @提醒的用户ID
+    mentions: {
+      type: DataTypes.JSON,
+      defaultValue: [],
+      comment: "提醒的用户ID",
+    },
+
+    reply_count: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: "回复数（仅顶层评论）",
+    },
+
+    // 推荐作者置顶
+    is_pinned: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: "是否置顶",
+    },
+
+    pinned_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: "置顶时间",
+    },
+
+    // 软删除
+    status: {
+      type: DataTypes.ENUM("normal", "deleted"),
+      defaultValue: "normal",
+      comment: "评论状态",
+    },
+
+    deleted_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: "删除时间",
+    },
+
+    deleted_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "删除人ID",
+    },
+  },
+  {
+    tableName: "recommend_comments",
+    indexes: [
+      {
+        fields: ["recommend_id", "root_id", "id"],
+      },
+      {
+        fields: ["root_id", "id"],
+      },
+      {
+        fields: ["user_id"],
+      },
+    ],
+  }
+)
+
+// 实例方法
+// 已删除的评论不返回内容
+RecommendComment.prototype.toJSON = function () {
+  const values = Object.assign({}, this.get())
+
+  values.is_deleted = values.status === "deleted"
+  if (values.is_deleted) {
+    values.content = null
+    values.mentions = []
+  }
+
+  return values
+}
+
+// 软删除，同时减少推荐评论数和所属顶层评论的回复数
+RecommendComment.prototype.softDelete = async function (deletedBy) {
+  const Recommend = require("./Recommend")
+
+  await sequelize.transaction(async (transaction) => {
+    await this.reload({ transaction, lock: transaction.LOCK.UPDATE })
+    if (this.status === "deleted") {
+      return
+    }
+
+    this.status = "deleted"
+    this.deleted_at = new Date()
+    this.deleted_by = deletedBy
+    this.is_pinned = false
+    this.pinned_at = null
+    await this.save({ transaction })
+
+    await Recommend.decrement("comment_count", {
+      where: { id: this.recommend_id },
+      transaction,
+    })
+    if (this.root_id) {
+      await RecommendComment.decrement("reply_count", {
+        where: { id: this.root_id },
+        transaction,
+      })
+    }
+  })
+}
+
+// 置顶或取消置顶，每条推荐只保留一条置顶评论
+RecommendComment.prototype.setPinned = async function (pinned) {
+  await sequelize.transaction(async (transaction) => {
+    if (pinned) {
+      await RecommendComment.update(
+        { is_pinned: false, pinned_at: null },
+        {
+          where: {
+            recommend_id: this.recommend_id,
+            is_pinned: true,
+            id: { [Op.ne]: this.id },
+          },
+          transaction,
+        }
+      )
+    }
+
+    this.is_pinned = pinned
+    this.pinned_at = pinned ? new Date() : null
+    await this.save({ transaction })
+  })
+}
+
+// 类方法
+// 解析评论中的 @昵称（@ 前须为行首或空白，昵称到空白或标点为止）
+RecommendComment.parseMentions = function (content) {
+  const nicknames = []
+  const pattern = /(?:^|\s)@([^\s@,，.。:：;；!！?？]{1,50})/g
+  let match
+  while ((match = pattern.exec(content)) !== null) {
+    if (!nicknames.includes(match[1])) {
+      nicknames.push(match[1])
+    }
+  }
+  return nicknames.slice(0, MAX_MENTIONS)
+}
+
+// 发表评论或回复，同时增加推荐评论数和顶层评论回复数，
+// 并通知被回复和被 @ 的用户
+RecommendComment.post = async function (
+  recommend,
+  userId,
+  content,
+  parent = null
+) {
+  const User = require("./User")
+  const Notification = require("./Notification")
+
+  const nicknames = this.parseMentions(content)
+  const mentionedUsers =
+    nicknames.length > 0
+      ? await User.findAll({
+          where: { nickname: nicknames, status: "active" },
+          attributes: ["id"],
+        })
+      : []
+  const mentions = mentionedUsers
+    .map((user) => user.id)
+    .filter((id) => id !== userId)
+
+  const comment = await sequelize.transaction(async (transaction) => {
+    const created = await this.create(
+      {
+        recommend_id: recommend.id,
+        user_id: userId,
+        root_id: parent ? parent.root_id || parent.id : null,
+        parent_id: parent ? parent.id : null,
+        reply_to_user_id: parent ? parent.user_id : null,
+        content,
+        mentions,
+      },
+      { transaction }
+    )
+
+    await recommend.increment("comment_count", { transaction })
+    if (created.root_id) {
+      await this.increment("reply_count", {
+        where: { id: created.root_id },
+        transaction,
+      })
+    }
+
+    return created
+  })
+
+  const notified = new Set([userId])
+  if (parent && !notified.has(parent.user_id)) {
+    notified.add(parent.user_id)
+    await Notification.notify(
+      parent.user_id,
+      "comment_reply",
+      "收到新回复",
+      `有人回复了你在推荐 ${recommend.stock_code} 下的评论`,
+      { recommend_id: recommend.id, comment_id: comment.id }
+    )
+  }
+
+  for (const mentionedId of mentions) {
+    if (notified.has(mentionedId)) continue
+    notified.add(mentionedId)
+    await Notification.notify(
+      mentionedId,
+      "comment_mention",
+      "有人提到了你",
+      `有人在推荐 ${recommend.stock_code} 的评论中提到了你`,
+      { recommend_id: recommend.id, comment_id: comment.id }
+    )
+  }
+
+  return comment
+}
+
+module.exports = RecommendComment
@@ -0,0 +1,93 @@
+const { DataTypes } = require("sequelize")
+const { sequelize } = require("../config/database")
+
+// 推荐点赞（每个用户对每条推荐只能点赞一次）
+const RecommendLike = sequelize.define(
+  "RecommendLike",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+
+    recommend_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "recommends",
+        key: "id",
+      },
+      comment: "推荐ID",
+    },
+
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "users",
+        key: "id",
+      },
+      comment: "点赞用户ID",
+    },
+  },
+  {
+    tableName: "recommend_likes",
+    indexes: [
+      {
+        fields: ["recommend_id", "user_id"],
+        unique: true,
+      },
+      {
+        fields: ["user_id"],
+      },
+    ],
+  }
+)
+
+// 类方法
+// 点赞，同时增加推荐的点赞数；已点赞时返回 null
+RecommendLike.like = function (recommend, userId) {
+  return sequelize.transaction(async (transaction) => {
+    const existing = await this.findOne({
+      where: { recommend_id: recommend.id, user_id: userId },
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    })
+    if (existing) {
+      return null
+    }
+
+    const like = await this.create(
+      { recommend_id: recommend.id, user_id: userId },
+      { transaction }
+    )
+    await recommend.increment("like_count", { transaction })
+    return like
+  })
+}
+
+// 取消点赞，同时减少推荐的点赞数；未点赞时返回 false
+RecommendLike.unlike = function (recommend, userId) {
+  return sequelize.transaction(async (transaction) => {
+    const removed = await this.destroy({
+      where: { recommend_id: recommend.id, user_id: userId },
+      transaction,
+    })
+    if (removed === 0) {
+      return false
+    }
+
+    await recommend.decrement("like_count", { transaction })
+    return true
+  })
+}
+
+RecommendLike.isLiked = async function (userId, recommendId) {
+  const like = await this.findOne({
+    where: { recommend_id: recommendId, user_id: userId },
+  })
+  return !!like
+}
+
+module.exports = RecommendLike
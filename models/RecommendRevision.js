@@ -0,0 +1,66 @@
+const { DataTypes } = require("sequelize")
+const { sequelize } = require("../config/database")
+
+// 推荐修改记录（只追加，不修改、不删除）
+const RecommendRevision = sequelize.define(
+  "RecommendRevision",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+
+    recommend_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "recommends",
+        key: "id",
+      },
+      comment: "推荐ID",
+    },
+
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "users",
+        key: "id",
+      },
+      comment: "修改人ID",
+    },
+
+    revision: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "修改序号（从 1 开始）",
+    },
+
+    // 修改内容：{ 字段: { from, to } }
+    changes: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment: "修改前后内容",
+    },
+  },
+  {
+    tableName: "recommend_revisions",
+    indexes: [
+      {
+        fields: ["recommend_id", "revision"],
+        unique: true,
+      },
+    ],
+  }
+)
+
+// 类方法
+RecommendRevision.getByRecommend = function (recommendId) {
+  return this.findAll({
+    where: { recommend_id: recommendId },
+    order: [["revision", "ASC"]],
+  })
+}
+
+module.exports = RecommendRevision
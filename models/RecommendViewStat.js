@@ -0,0 +1,106 @@
+const { DataTypes, Op } = require("sequelize")
+const { sequelize } = require("../config/database")
+
+// 推荐每日查看统计（北京时间自然日，已去重、不含作者本人）
+const RecommendViewStat = sequelize.define(
+  "RecommendViewStat",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+
+    recommend_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "recommends",
+        key: "id",
+      },
+      comment: "推荐ID",
+    },
+
+    stat_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      comment: "统计日期",
+    },
+
+    // 去重窗口内同一用户/设备只计一次
+    views: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: "查看次数",
+    },
+
+    // 当日同一用户/设备只计一次
+    unique_viewers: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: "独立访客数",
+    },
+  },
+  {
+    tableName: "recommend_view_stats",
+    indexes: [
+      {
+        fields: ["recommend_id", "stat_date"],
+        unique: true,
+      },
+      {
+        fields: ["stat_date"],
+      },
+    ],
+  }
+)
+
+// 类方法
+// 累加一批每日统计，同时累加推荐的查看次数
+// rows 为 [{ recommend_id, stat_date, views, unique_viewers }]
+RecommendViewStat.addBatch = function (rows) {
+  const Recommend = require("./Recommend")
+
+  return sequelize.transaction(async (transaction) => {
+    for (const row of rows) {
+      if (row.views > 0) {
+        await Recommend.increment("view_count", {
+          by: row.views,
+          where: { id: row.recommend_id },
+          transaction,
+        })
+      }
+
+      const [stat] = await this.findOrCreate({
+        where: { recommend_id: row.recommend_id, stat_date: row.stat_date },
+        defaults: { views: 0, unique_viewers: 0 },
+        transaction,
+      })
+      await stat.increment(
+        { views: row.views, unique_viewers: row.unique_viewers },
+        { transaction }
+      )
+    }
+  })
+}
+
+// 指定日期以来各推荐的查看汇总
+RecommendViewStat.getTotalsSince = function (sinceDate, recommendIds = null) {
+  const where = { stat_date: { [Op.gte]: sinceDate } }
+  if (recommendIds) {
+    where.recommend_id = recommendIds
+  }
+
+  return this.findAll({
+    attributes: [
+      "recommend_id",
+      [sequelize.fn("SUM", sequelize.col("views")), "views"],
+      [sequelize.fn("SUM", sequelize.col("unique_viewers")), "unique_viewers"],
+    ],
+    where,
+    group: ["recommend_id"],
+    raw: true,
+  })
+}
+
+module.exports = RecommendViewStat
@@ -0,0 +1,105 @@
+const { DataTypes } = require("sequelize")
+const { sequelize } = require("../config/database")
+const { DEFAULT_VERSION } = require("../config/scoringRules")
+
+// 积分规则版本
+const ScoringRule = sequelize.define(
+  "ScoringRule",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      comment: "规则版本号",
+    },
+
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: "规则名称",
+    },
+
+    rules: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment: "规则内容",
+    },
+
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: "是否为当前启用版本",
+    },
+
+    description: {
+      type: DataTypes.STRING(200),
+      allowNull: true,
+      comment: "规则说明",
+    },
+
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "创建人ID",
+    },
+
+    activated_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: "启用时间",
+    },
+  },
+  {
+    tableName: "scoring_rules",
+    indexes: [
+      {
+        fields: ["version"],
+        unique: true,
+      },
+      {
+        fields: ["is_active"],
+      },
+    ],
+  }
+)
+
+// 实例方法
+// 启用当前版本，同时停用其他版本
+ScoringRule.prototype.activate = async function () {
+  await sequelize.transaction(async (transaction) => {
+    await ScoringRule.update(
+      { is_active: false },
+      { where: { is_active: true }, transaction }
+    )
+
+    this.is_active = true
+    this.activated_at = new Date()
+    await this.save({ transaction })
+  })
+}
+
+// 类方法
+ScoringRule.getActive = function () {
+  return this.findOne({
+    where: { is_active: true },
+    order: [["version", "DESC"]],
+  })
+}
+
+ScoringRule.getByVersion = function (version) {
+  return this.findOne({ where: { version } })
+}
+
+// 版本 1 保留给内置默认规则
+ScoringRule.getNextVersion = async function () {
+  const maxVersion = await this.max("version")
+  return Math.max(maxVersion || 0, DEFAULT_VERSION) + 1
+}
+
+module.exports = ScoringRule
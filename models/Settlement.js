@@ -0,0 +1,213 @@
+const { DataTypes } = require("sequelize")
+const { sequelize } = require("../config/database")
+
+// 推荐结算记录（结算审计）
+const Settlement = sequelize.define(
+  "Settlement",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+
+    // 关联信息
+    recommend_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "recommends",
+        key: "id",
+      },
+      comment: "推荐ID",
+    },
+
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "users",
+        key: "id",
+      },
+      comment: "推荐用户ID",
+    },
+
+    stock_code: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      comment: "股票代码",
+    },
+
+    // 结算价格来源
+    price_source: {
+      type: DataTypes.ENUM(
+        "official_close",
+        "manual",
+        "last_tick",
+        "suspended_close",
+        "trigger"
+      ),
+      allowNull: false,
+      comment:
+        "结算价来源：官方收盘价/管理员指定/最后成交价/停牌前收盘价/止盈止损触发价",
+    },
+
+    close_reason: {
+      type: DataTypes.ENUM(
+        "hold_period_end",
+        "target_price",
+        "stop_loss",
+        "manual",
+        "closed_early"
+      ),
+      allowNull: true,
+      comment: "结束原因：持有期到期/触发止盈/触发止损/管理员结算/作者提前平仓",
+    },
+
+    price_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      comment: "结算价对应的交易日",
+    },
+
+    price_time: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: "结算价时间",
+    },
+
+    // 价格与收益
+    entry_price: {
+      type: DataTypes.DECIMAL(12, 4),
+      allowNull: false,
+      comment: "推荐时价格（复权后）",
+    },
+
+    exit_price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: "结算价格",
+    },
+
+    predict_change: {
+      type: DataTypes.DECIMAL(8, 4),
+      allowNull: false,
+      comment: "预期涨跌幅(%)",
+    },
+
+    actual_return: {
+      type: DataTypes.DECIMAL(8, 4),
+      allowNull: false,
+      comment: "实际收益率(%)",
+    },
+
+    // 判定结果
+    status: {
+      type: DataTypes.ENUM("success", "failed"),
+      allowNull: false,
+      comment: "结算判定",
+    },
+
+    success_rule: {
+      type: DataTypes.ENUM("direction", "alpha"),
+      defaultValue: "direction",
+      comment: "实际采用的判定规则",
+    },
+
+    benchmark_return: {
+      type: DataTypes.DECIMAL(8, 4),
+      allowNull: true,
+      comment: "同期基准收益率(%)",
+    },
+
+    alpha: {
+      type: DataTypes.DECIMAL(8, 4),
+      allowNull: true,
+      comment: "超额收益率(%)",
+    },
+
+    accuracy_score: {
+      type: DataTypes.DECIMAL(8, 4),
+      allowNull: true,
+      comment: "预测准确度",
+    },
+
+    decision_reason: {
+      type: DataTypes.STRING(200),
+      allowNull: true,
+      comment: "判定说明",
+    },
+
+    points_awarded: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: "获得积分（失败时为扣减积分）",
+    },
+
+    scoring_rule_version: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "积分规则版本",
+    },
+
+    settled_by: {
+      type: DataTypes.STRING(30),
+      defaultValue: "system",
+      comment: "结算方 (system / admin:用户ID / user:用户ID)",
+    },
+
+    details: {
+      type: DataTypes.JSON,
+      defaultValue: {},
+      comment: "结算明细",
+    },
+  },
+  {
+    tableName: "settlements",
+    indexes: [
+      {
+        // 每条推荐只结算一次
+        unique: true,
+        fields: ["recommend_id"],
+      },
+      {
+        fields: ["user_id"],
+      },
+      {
+        fields: ["created_at"],
+      },
+    ],
+  }
+)
+
+// 实例方法
+Settlement.prototype.toJSON = function () {
+  const values = Object.assign({}, this.get())
+
+  // 格式化数字
+  ;[
+    "entry_price",
+    "exit_price",
+    "predict_change",
+    "actual_return",
+    "benchmark_return",
+    "alpha",
+    "accuracy_score",
+  ].forEach((field) => {
+    if (values[field] !== null && values[field] !== undefined) {
+      values[field] = parseFloat(values[field])
+    }
+  })
+
+  return values
+}
+
+// 类方法
+Settlement.getByRecommend = function (recommendId) {
+  return this.findAll({
+    where: { recommend_id: recommendId },
+    order: [["created_at", "DESC"]],
+  })
+}
+
+module.exports = Settlement
@@ -1,6 +1,22 @@
 const { DataTypes, Op } = require("sequelize")
 const { sequelize } = require("../config/database")
 
+// A股涨跌停幅度：主板 10%，创业板/科创板 20%，主板 ST 股票 5%
+const PRICE_LIMIT_RATES = {
+  main: 0.1,
+  chinext: 0.2,
+  star: 0.2,
+}
+const ST_PRICE_LIMIT_RATE = 0.05
+
+// 无法建仓的原因
+const ENTRY_RESTRICTIONS = {
+  suspended: "股票停牌中，暂不能推荐",
+  delisted: "股票已退市，不能推荐",
+  limit_up: "股票涨停封板，当前无法买入",
+  limit_down: "股票跌停封板，当前无法卖出",
+}
+
 const Stock = sequelize.define(
   "Stock",
   {
@@ -30,6 +46,13 @@ const Stock = sequelize.define(
       comment: "市场类型",
     },
 
+    // 上市板块（决定A股涨跌停幅度）
+    board: {
+      type: DataTypes.ENUM("main", "chinext", "star"),
+      defaultValue: "main",
+      comment: "上市板块：主板/创业板/科创板",
+    },
+
     // 股票分类信息
     industry: {
       type: DataTypes.STRING(50),
@@ -62,6 +85,24 @@ const Stock = sequelize.define(
       comment: "昨收价",
     },
 
+    open_price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: "今开价",
+    },
+
+    high_price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: "今日最高价",
+    },
+
+    low_price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: "今日最低价",
+    },
+
     change_amount: {
       type: DataTypes.DECIMAL(10, 2),
       allowNull: true,
@@ -126,11 +167,36 @@ const Stock = sequelize.define(
       comment: "股票状态",
     },
 
+    is_st: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: "是否ST/*ST风险警示股票",
+    },
+
+    suspended_since: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      comment: "停牌起始交易日",
+    },
+
+    resume_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      comment: "预计复牌日期（公告）",
+    },
+
     is_popular: {
       type: DataTypes.BOOLEAN,
       defaultValue: false,
       comment: "是否热门股票",
     },
+
+    // 指数（如沪深300、恒生指数）仅作为收益基准，不能被推荐
+    is_index: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: "是否指数",
+    },
   },
   {
     tableName: "stocks",
@@ -154,6 +220,12 @@ const Stock = sequelize.define(
       {
         fields: ["is_popular"],
       },
+      {
+        fields: ["is_index"],
+      },
+      {
+        fields: ["status"],
+      },
     ],
   }
 )
@@ -173,13 +245,104 @@ Stock.prototype.toJSON = function () {
     values.success_rate = parseFloat(values.success_rate)
   }
 
+  // 涨跌停价
+  if (values.previous_close) {
+    const limits = this.getLimitPrices()
+    if (limits) {
+      values.limit_up = limits.limit_up
+      values.limit_down = limits.limit_down
+    }
+  }
+
   return values
 }
 
+// 涨跌停幅度，港股/美股和指数无涨跌停限制时返回 null
+Stock.prototype.getPriceLimitRate = function () {
+  if (!["SH", "SZ"].includes(this.market) || this.is_index) {
+    return null
+  }
+  if (this.is_st && (this.board || "main") === "main") {
+    return ST_PRICE_LIMIT_RATE
+  }
+  return PRICE_LIMIT_RATES[this.board] || PRICE_LIMIT_RATES.main
+}
+
+// 按昨收计算涨跌停价（四舍五入到分）
+Stock.prototype.getLimitPrices = function (
+  previousClose = this.previous_close
+) {
+  const rate = this.getPriceLimitRate()
+  const base = parseFloat(previousClose)
+  if (rate === null || !(base > 0)) {
+    return null
+  }
+
+  return {
+    limit_up: parseFloat((base * (1 + rate)).toFixed(2)),
+    limit_down: parseFloat((base * (1 - rate)).toFixed(2)),
+  }
+}
+
+Stock.prototype.isLimitUp = function (price, previousClose) {
+  const limits = this.getLimitPrices(previousClose)
+  return !!limits && parseFloat(price) >= limits.limit_up
+}
+
+Stock.prototype.isLimitDown = function (price, previousClose) {
+  const limits = this.getLimitPrices(previousClose)
+  return !!limits && parseFloat(price) <= limits.limit_down
+}
+
+Stock.prototype.isSuspended = function () {
+  return this.status === "suspended"
+}
+
+// 检查能否按行情建仓，返回无法成交的原因（suspended / delisted / limit_up / limit_down），
+// 看多涨停封板时无法买入，看空跌停封板时无法卖出；可以建仓时返回 null
+Stock.prototype.getEntryRestriction = function (
+  quote = null,
+  direction = "long"
+) {
+  if (this.status === "suspended" || this.status === "delisted") {
+    return this.status
+  }
+  if (!quote) {
+    return null
+  }
+  if (direction === "short") {
+    return this.isLimitDown(quote.price, quote.previousClose)
+      ? "limit_down"
+      : null
+  }
+  return this.isLimitUp(quote.price, quote.previousClose) ? "limit_up" : null
+}
+
+// 标记停牌
+Stock.prototype.suspend = async function (since, resumeDate = null) {
+  await this.update({
+    status: "suspended",
+    suspended_since: since,
+    resume_date: resumeDate,
+  })
+}
+
+// 复牌
+Stock.prototype.resume = async function () {
+  await this.update({
+    status: "active",
+    suspended_since: null,
+    resume_date: null,
+  })
+}
+
 // 更新价格信息
 Stock.prototype.updatePrice = async function (priceData) {
   this.current_price = priceData.current_price
   this.previous_close = priceData.previous_close
+  this.open_price = priceData.open_price
+  this.high_price = priceData.high_price
+  this.low_price = priceData.low_price
   this.change_amount = priceData.change_amount
   this.change_percent = priceData.change_percent
   this.volume = priceData.volume
@@ -226,6 +389,20 @@ Stock.prototype.updateStats = async function () {
 }
 
 // 类方法
+// 按代码判断上市板块：科创板 688/689，创业板 300/301，其余为主板
+Stock.getBoard = function (code, market) {
+  if (market === "SH" && /^68[89]/.test(code)) return "star"
+  if (market === "SZ" && /^30[01]/.test(code)) return "chinext"
+  return "main"
+}
+
+// 按股票名称判断是否风险警示股票（ST、*ST）
+Stock.isStName = function (name) {
+  return /^[S*]*ST/.test((name || "").trim())
+}
+
+Stock.ENTRY_RESTRICTIONS = ENTRY_RESTRICTIONS
+
 Stock.findByCode = function (code) {
   return this.findOne({ where: { code } })
 }
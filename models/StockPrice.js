@@ -0,0 +1,220 @@
+const { DataTypes, Op } = require("sequelize")
+const { sequelize } = require("../config/database")
+const tradingCalendar = require("../utils/tradingCalendar")
+
+const StockPrice = sequelize.define(
+  "StockPrice",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+
+    stock_code: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      references: {
+        model: "stocks",
+        key: "code",
+      },
+      comment: "股票代码",
+    },
+
+    trade_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      comment: "交易日期",
+    },
+
+    // 日线价格
+    open: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: "开盘价",
+    },
+
+    high: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: "最高价",
+    },
+
+    low: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: "最低价",
+    },
+
+    close: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: "收盘价",
+    },
+
+    previous_close: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: "昨收价",
+    },
+
+    change_percent: {
+      type: DataTypes.DECIMAL(8, 4),
+      allowNull: true,
+      comment: "涨跌幅(%)",
+    },
+
+    // 交易信息
+    volume: {
+      type: DataTypes.BIGINT,
+      defaultValue: 0,
+      comment: "成交量",
+    },
+
+    turnover: {
+      type: DataTypes.DECIMAL(20, 2),
+      defaultValue: 0,
+      comment: "成交额",
+    },
+
+    source: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: "数据来源",
+    },
+  },
+  {
+    tableName: "stock_prices",
+    indexes: [
+      {
+        // 每只股票每个交易日只有一条日线
+        fields: ["stock_code", "trade_date"],
+        unique: true,
+      },
+      {
+        fields: ["trade_date"],
+      },
+    ],
+  }
+)
+
+// 实例方法
+StockPrice.prototype.toJSON = function () {
+  const values = Object.assign({}, this.get())
+
+  // 格式化数字
+  ;["open", "high", "low", "close", "previous_close", "change_percent"].forEach(
+    (field) => {
+      if (values[field] !== null && values[field] !== undefined) {
+        values[field] = parseFloat(values[field])
+      }
+    }
+  )
+  if (values.volume !== null && values.volume !== undefined) {
+    values.volume = parseInt(values.volume)
+  }
+  if (values.turnover !== null && values.turnover !== undefined) {
+    values.turnover = parseFloat(values.turnover)
+  }
+
+  return values
+}
+
+// 类方法
+// 将时间转换为北京时间的交易日期 (YYYY-MM-DD)
+StockPrice.toTradeDate = function (date = new Date()) {
+  return tradingCalendar.toTradeDate(date)
+}
+
+// 根据股票当日行情写入（或覆盖）日线
+StockPrice.recordDailyBar = async function (stock, tradeDate, source = null) {
+  const close = parseFloat(stock.current_price)
+  const open = parseFloat(stock.open_price) || close
+  const high = Math.max(parseFloat(stock.high_price) || close, open, close)
+  const low = Math.min(parseFloat(stock.low_price) || close, open, close)
+
+  await this.upsert({
+    stock_code: stock.code,
+    trade_date: tradeDate,
+    open,
+    high,
+    low,
+    close,
+    previous_close: stock.previous_close,
+    change_percent: stock.change_percent,
+    volume: stock.volume || 0,
+    turnover: stock.turnover || 0,
+    source,
+  })
+}
+
+// 获取日线历史
+StockPrice.getHistory = function (code, { startDate, endDate, limit } = {}) {
+  const where = { stock_code: code }
+
+  if (startDate || endDate) {
+    where.trade_date = {}
+    if (startDate) where.trade_date[Op.gte] = startDate
+    if (endDate) where.trade_date[Op.lte] = endDate
+  }
+
+  return this.findAll({
+    where,
+    order: [["trade_date", "ASC"]],
+    ...(limit && { limit }),
+  })
+}
+
+// 周期分组键：周线按周一日期，月线按年月
+const periodKey = (tradeDate, interval) => {
+  if (interval === "month") {
+    return tradeDate.substring(0, 7)
+  }
+
+  const date = new Date(`${tradeDate}T00:00:00Z`)
+  const weekday = (date.getUTCDay() + 6) % 7 // 周一为0
+  date.setUTCDate(date.getUTCDate() - weekday)
+  return date.toISOString().split("T")[0]
+}
+
+// 将日线聚合为周线/月线
+StockPrice.aggregateBars = function (bars, interval = "day") {
+  const daily = bars.map((bar) => (bar.toJSON ? bar.toJSON() : bar))
+
+  const toBar = (bar) => ({
+    date: bar.trade_date,
+    open: bar.open,
+    high: bar.high,
+    low: bar.low,
+    close: bar.close,
+    volume: bar.volume,
+    turnover: bar.turnover,
+  })
+
+  if (interval === "day") {
+    return daily.map(toBar)
+  }
+
+  const groups = new Map()
+  for (const bar of daily) {
+    const key = periodKey(bar.trade_date, interval)
+    const group = groups.get(key)
+
+    if (!group) {
+      groups.set(key, { ...toBar(bar), start_date: bar.trade_date })
+      continue
+    }
+
+    // 按日期升序：开盘取首日，收盘取末日
+    group.date = bar.trade_date
+    group.close = bar.close
+    group.high = Math.max(group.high, bar.high)
+    group.low = Math.min(group.low, bar.low)
+    group.volume += bar.volume
+    group.turnover = parseFloat((group.turnover + bar.turnover).toFixed(2))
+  }
+
+  return Array.from(groups.values())
+}
+
+module.exports = StockPrice
@@ -107,6 +107,19 @@ const User = sequelize.define(
       comment: "最大连胜次数",
     },
 
+    // 关注关系
+    follower_count: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: "粉丝数",
+    },
+
+    following_count: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: "关注数",
+    },
+
     // 用户设置
     settings: {
       type: DataTypes.JSON,
@@ -177,26 +190,27 @@ User.prototype.toJSON = function () {
   return values
 }
 
-// 更新用户统计信息
-User.prototype.updateStats = async function (isSuccess) {
+// 更新用户统计信息，scoreChange 为积分规则引擎计算的本次积分变化；
+// options 透传给 save（如结算事务）
+User.prototype.updateStats = async function (
+  isSuccess,
+  scoreChange,
+  options = {}
+) {
   if (isSuccess) {
     this.success_recommends += 1
     this.current_streak += 1
     this.max_streak = Math.max(this.max_streak, this.current_streak)
 
-    // 成功推荐获得积分
-    let scoreGain = 10 // 基础分
-    if (this.current_streak >= 3) scoreGain += 20 // 连胜奖励
-    if (this.current_streak >= 5) scoreGain += 50 // 更高连胜奖励
-
-    this.total_score += scoreGain
-    this.current_score += scoreGain
+    // 成功推荐获得积分（由积分规则引擎计算）
+    this.total_score += scoreChange
+    this.current_score += scoreChange
   } else {
     this.failed_recommends += 1
     this.current_streak = 0
 
-    // 失败扣少量积分
-    this.current_score = Math.max(0, this.current_score - 5)
+    // 失败只扣当前积分
+    this.current_score = Math.max(0, this.current_score + scoreChange)
   }
 
   this.total_recommends += 1
@@ -207,7 +221,24 @@ User.prototype.updateStats = async function (isSuccess) {
     this.level = newLevel
   }
 
-  await this.save()
+  await this.save(options)
+
+  return scoreChange
+}
+
+// 结算累计统计快照（结算事件中用于评估本次结算达成的成就）
+User.prototype.getSettlementStats = function () {
+  return {
+    total_recommends: this.total_recommends,
+    success_recommends: this.success_recommends,
+    current_streak: this.current_streak,
+    max_streak: this.max_streak,
+  }
+}
+
+// 是否公开推荐（关注动态中展示）
+User.prototype.isRecommendsPublic = function () {
+  return !this.settings || this.settings.publicRecommends !== false
 }
 
 // 类方法
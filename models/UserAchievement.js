@@ -0,0 +1,92 @@
+const { DataTypes } = require("sequelize")
+const { sequelize } = require("../config/database")
+
+// 用户成就（规则见 utils/achievementEngine.js）
+// 一次性成就每个用户只记录一次，可重复获得的成就每个周期记录一次
+const UserAchievement = sequelize.define(
+  "UserAchievement",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: "users",
+        key: "id",
+      },
+      comment: "用户ID",
+    },
+
+    achievement_key: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: "成就标识",
+    },
+
+    // 可重复获得的成就为排行周期（如 2024-W05），一次性成就为空字符串
+    scope: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "",
+      comment: "获得范围",
+    },
+
+    // 达成条件的时间（回填时为历史推荐的结算时间或排行周期结束时间）
+    achieved_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: "获得时间",
+    },
+
+    // 关联数据（推荐ID、名次等）
+    data: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: "关联数据",
+    },
+  },
+  {
+    tableName: "user_achievements",
+    indexes: [
+      {
+        fields: ["user_id", "achievement_key", "scope"],
+        unique: true,
+      },
+      {
+        fields: ["achievement_key"],
+      },
+    ],
+  }
+)
+
+// 类方法
+// 记录成就，已获得时返回 null
+UserAchievement.award = async function (
+  userId,
+  key,
+  { scope = "", achievedAt = new Date(), data = null } = {}
+) {
+  const [achievement, created] = await this.findOrCreate({
+    where: { user_id: userId, achievement_key: key, scope },
+    defaults: { achieved_at: achievedAt, data },
+  })
+  return created ? achievement : null
+}
+
+// 用户已获得的成就，按获得时间倒序
+UserAchievement.getByUser = function (userId) {
+  return this.findAll({
+    where: { user_id: userId },
+    order: [
+      ["achieved_at", "DESC"],
+      ["id", "DESC"],
+    ],
+  })
+}
+
+module.exports = UserAchievement
@@ -6,6 +6,19 @@ const Stock = require("./Stock")
 const Recommend = require("./Recommend")
 const Follow = require("./Follow")
 const Ranking = require("./Ranking")
+const StockPrice = require("./StockPrice")
+const Settlement = require("./Settlement")
+const CorporateAction = require("./CorporateAction")
+const ScoringRule = require("./ScoringRule")
+const Contest = require("./Contest")
+const ContestEntry = require("./ContestEntry")
+const Portfolio = require("./Portfolio")
+const Notification = require("./Notification")
+const RecommendRevision = require("./RecommendRevision")
+const RecommendLike = require("./RecommendLike")
+const RecommendComment = require("./RecommendComment")
+const RecommendViewStat = require("./RecommendViewStat")
+const UserAchievement = require("./UserAchievement")
 
 // 定义关联关系
 // 用户和推荐的关系
@@ -75,6 +88,166 @@ Ranking.belongsTo(User, {
   as: "user",
 })
 
+// 股票日线关系
+Stock.hasMany(StockPrice, {
+  foreignKey: "stock_code",
+  sourceKey: "code",
+  as: "prices",
+})
+
+StockPrice.belongsTo(Stock, {
+  foreignKey: "stock_code",
+  targetKey: "code",
+  as: "stock",
+})
+
+// 股票公司行为关系
+Stock.hasMany(CorporateAction, {
+  foreignKey: "stock_code",
+  sourceKey: "code",
+  as: "corporateActions",
+})
+
+CorporateAction.belongsTo(Stock, {
+  foreignKey: "stock_code",
+  targetKey: "code",
+  as: "stock",
+})
+
+// 推荐结算记录关系
+Recommend.hasMany(Settlement, {
+  foreignKey: "recommend_id",
+  as: "settlements",
+})
+
+Settlement.belongsTo(Recommend, {
+  foreignKey: "recommend_id",
+  as: "recommend",
+})
+
+// 推荐修改记录关系
+Recommend.hasMany(RecommendRevision, {
+  foreignKey: "recommend_id",
+  as: "revisions",
+})
+
+RecommendRevision.belongsTo(Recommend, {
+  foreignKey: "recommend_id",
+  as: "recommend",
+})
+
+// 推荐点赞和评论关系
+Recommend.hasMany(RecommendLike, {
+  foreignKey: "recommend_id",
+  as: "likes",
+})
+
+RecommendLike.belongsTo(Recommend, {
+  foreignKey: "recommend_id",
+  as: "recommend",
+})
+
+RecommendLike.belongsTo(User, {
+  foreignKey: "user_id",
+  as: "user",
+})
+
+Recommend.hasMany(RecommendComment, {
+  foreignKey: "recommend_id",
+  as: "comments",
+})
+
+RecommendComment.belongsTo(Recommend, {
+  foreignKey: "recommend_id",
+  as: "recommend",
+})
+
+RecommendComment.belongsTo(User, {
+  foreignKey: "user_id",
+  as: "user",
+})
+
+RecommendComment.belongsTo(User, {
+  foreignKey: "reply_to_user_id",
+  as: "reply_to_user",
+})
+
+// 推荐查看统计关系
+Recommend.hasMany(RecommendViewStat, {
+  foreignKey: "recommend_id",
+  as: "viewStats",
+})
+
+RecommendViewStat.belongsTo(Recommend, {
+  foreignKey: "recommend_id",
+  as: "recommend",
+})
+
+// 比赛报名关系
+Contest.hasMany(ContestEntry, {
+  foreignKey: "contest_id",
+  as: "entries",
+})
+
+ContestEntry.belongsTo(Contest, {
+  foreignKey: "contest_id",
+  as: "contest",
+})
+
+User.hasMany(ContestEntry, {
+  foreignKey: "user_id",
+  as: "contestEntries",
+})
+
+ContestEntry.belongsTo(User, {
+  foreignKey: "user_id",
+  as: "user",
+})
+
+// 比赛推荐关系
+Contest.hasMany(Recommend, {
+  foreignKey: "contest_id",
+  as: "recommends",
+})
+
+Recommend.belongsTo(Contest, {
+  foreignKey: "contest_id",
+  as: "contest",
+})
+
+// 用户模拟账户关系
+User.hasOne(Portfolio, {
+  foreignKey: "user_id",
+  as: "portfolio",
+})
+
+Portfolio.belongsTo(User, {
+  foreignKey: "user_id",
+  as: "user",
+})
+
+// 用户通知关系
+User.hasMany(Notification, {
+  foreignKey: "user_id",
+  as: "notifications",
+})
+
+Notification.belongsTo(User, {
+  foreignKey: "user_id",
+  as: "user",
+})
+
+// 用户成就关系
+User.hasMany(UserAchievement, {
+  foreignKey: "user_id",
+  as: "achievements",
+})
+
+UserAchievement.belongsTo(User, {
+  foreignKey: "user_id",
+  as: "user",
+})
+
 // 导出所有模型和sequelize实例
 module.exports = {
   sequelize,
@@ -83,4 +256,17 @@ module.exports = {
   Recommend,
   Follow,
   Ranking,
+  StockPrice,
+  Settlement,
+  CorporateAction,
+  ScoringRule,
+  Contest,
+  ContestEntry,
+  Portfolio,
+  Notification,
+  RecommendRevision,
+  RecommendLike,
+  RecommendComment,
+  RecommendViewStat,
+  UserAchievement,
 }
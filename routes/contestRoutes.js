@@ -0,0 +1,129 @@
+const express = require("express")
+const { body, query, param } = require("express-validator")
+const {
+  getContestList,
+  getContestDetail,
+  createContest,
+  enrollContest,
+  withdrawContest,
+  getContestLeaderboard,
+  closeContest,
+} = require("../controllers/contestController")
+const {
+  authenticate,
+  authorize,
+  optionalAuth,
+} = require("../middleware/authMiddleware")
+
+const router = express.Router()
+
+// 获取比赛列表
+router.get(
+  "/list",
+  [
+    query("page").optional().isInt({ min: 1 }).withMessage("页码应为正整数"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("limit应在1-100之间"),
+    query("status")
+      .optional()
+      .isIn(["upcoming", "active", "closed", "cancelled"])
+      .withMessage("状态参数无效"),
+  ],
+  getContestList
+)
+
+// 创建比赛（管理员功能）
+router.post(
+  "/create",
+  authenticate,
+  authorize("admin"),
+  [
+    body("name")
+      .isLength({ min: 1, max: 100 })
+      .withMessage("比赛名称长度应在1-100个字符之间"),
+    body("startDate").isISO8601().withMessage("开始时间格式无效"),
+    body("endDate").isISO8601().withMessage("结束时间格式无效"),
+    body("eligibleMarkets")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("可推荐市场应为非空数组"),
+    body("eligibleMarkets.*")
+      .optional()
+      .isIn(["SH", "SZ", "HK", "US"])
+      .withMessage("市场类型无效"),
+    body("maxActivePicks")
+      .optional()
+      .isInt({ min: 1, max: 20 })
+      .withMessage("同时推荐上限应在1-20之间"),
+    body("entryRules").optional().isObject().withMessage("报名规则应为对象"),
+    body("successRule")
+      .optional()
+      .isIn(["direction", "alpha"])
+      .withMessage("判定规则无效"),
+    body("scoreMode")
+      .optional()
+      .isIn(["points", "alpha"])
+      .withMessage("计分方式无效"),
+    body("prizeTiers").optional().isArray().withMessage("奖励档位应为数组"),
+    body("prizeTiers.*.rank_from")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("奖励起始名次应为正整数"),
+    body("prizeTiers.*.rank_to")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("奖励结束名次应为正整数"),
+  ],
+  createContest
+)
+
+// 获取比赛详情（可选登录）
+router.get(
+  "/:id",
+  optionalAuth,
+  [param("id").isInt({ min: 1 }).withMessage("比赛ID应为正整数")],
+  getContestDetail
+)
+
+// 获取比赛排行榜
+router.get(
+  "/:id/leaderboard",
+  [
+    param("id").isInt({ min: 1 }).withMessage("比赛ID应为正整数"),
+    query("page").optional().isInt({ min: 1 }).withMessage("页码应为正整数"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("limit应在1-100之间"),
+  ],
+  getContestLeaderboard
+)
+
+// 报名比赛（需要登录）
+router.post(
+  "/:id/enroll",
+  authenticate,
+  [param("id").isInt({ min: 1 }).withMessage("比赛ID应为正整数")],
+  enrollContest
+)
+
+// 退出比赛（需要登录）
+router.delete(
+  "/:id/enroll",
+  authenticate,
+  [param("id").isInt({ min: 1 }).withMessage("比赛ID应为正整数")],
+  withdrawContest
+)
+
+// 结束比赛并冻结排名（管理员功能）
+router.post(
+  "/:id/close",
+  authenticate,
+  authorize("admin"),
+  [param("id").isInt({ min: 1 }).withMessage("比赛ID应为正整数")],
+  closeContest
+)
+
+module.exports = router
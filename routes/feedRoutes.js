@@ -0,0 +1,22 @@
+const express = require("express")
+const { query } = require("express-validator")
+const { getFeed } = require("../controllers/feedController")
+const { authenticate } = require("../middleware/authMiddleware")
+
+const router = express.Router()
+
+// 获取关注动态（需要登录）
+router.get(
+  "/",
+  authenticate,
+  [
+    query("cursor").optional().isString().withMessage("游标格式错误"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage("limit应在1-50之间"),
+  ],
+  getFeed
+)
+
+module.exports = router
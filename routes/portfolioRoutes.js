@@ -0,0 +1,32 @@
+const express = require("express")
+const { query } = require("express-validator")
+const {
+  getPortfolio,
+  getPositions,
+  getPnl,
+} = require("../controllers/portfolioController")
+const { authenticate } = require("../middleware/authMiddleware")
+
+const router = express.Router()
+
+// 获取模拟账户概况（需要登录）
+router.get("/", authenticate, getPortfolio)
+
+// 获取当前持仓（需要登录）
+router.get("/positions", authenticate, getPositions)
+
+// 获取已平仓盈亏（需要登录）
+router.get(
+  "/pnl",
+  authenticate,
+  [
+    query("page").optional().isInt({ min: 1 }).withMessage("页码应为正整数"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("limit应在1-100之间"),
+  ],
+  getPnl
+)
+
+module.exports = router
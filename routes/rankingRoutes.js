@@ -5,10 +5,16 @@ const {
   getMonthlyRanking,
   getTotalRanking,
   getUserRanking,
+  getMyLeaderboardRank,
+  getLeaderboardAround,
+  getLeaderboardByScore,
   calculateRankings,
   getRankingHistory,
   getRankingStats,
   getUserRankingTrend,
+  getScoringRules,
+  createScoringRule,
+  activateScoringRule,
 } = require("../controllers/rankingController")
 const {
   authenticate,
@@ -99,6 +105,56 @@ router.get(
   getUserRankingTrend
 )
 
+// 实时排行榜的类型和周期参数
+const leaderboardValidators = [
+  param("type")
+    .isIn(["weekly", "monthly", "total"])
+    .withMessage("排行榜类型无效"),
+  query("period").optional().notEmpty().withMessage("周期不能为空"),
+]
+
+// 获取我的实时名次（需要登录）
+router.get(
+  "/:type/me",
+  authenticate,
+  leaderboardValidators,
+  getMyLeaderboardRank
+)
+
+// 获取用户前后的排名（可选登录）
+router.get(
+  "/:type/around",
+  optionalAuth,
+  [
+    ...leaderboardValidators,
+    query("userId")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("用户ID应为正整数"),
+    query("radius")
+      .optional()
+      .isInt({ min: 0, max: 50 })
+      .withMessage("radius应在0-50之间"),
+  ],
+  getLeaderboardAround
+)
+
+// 按积分区间获取排名
+router.get(
+  "/:type/score-range",
+  [
+    ...leaderboardValidators,
+    query("min").isNumeric().withMessage("最低积分应为数字"),
+    query("max").isNumeric().withMessage("最高积分应为数字"),
+    query("page").optional().isInt({ min: 1 }).withMessage("页码应为正整数"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("limit应在1-100之间"),
+  ],
+  getLeaderboardByScore
+)
+
 // 获取排行榜统计信息
 router.get("/stats", getRankingStats)
 
@@ -128,8 +184,67 @@ router.post(
       .isIn(["all", "weekly", "monthly", "total"])
       .withMessage("排名类型无效"),
     body("period").optional().notEmpty().withMessage("周期不能为空"),
+    body("scoreMode")
+      .optional()
+      .isIn(["points", "alpha"])
+      .withMessage("计分方式无效"),
   ],
   calculateRankings
 )
 
+// 获取积分规则
+router.get("/scoring-rules", getScoringRules)
+
+// 创建积分规则版本（管理员功能）
+router.post(
+  "/scoring-rules",
+  authenticate,
+  authorize("admin"),
+  [
+    body("name")
+      .isLength({ min: 1, max: 50 })
+      .withMessage("规则名称长度应在1-50个字符之间"),
+    body("rules").isObject().withMessage("规则内容应为对象"),
+    body("rules.success_points")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("成功积分应为非负整数"),
+    body("rules.failure_points")
+      .optional()
+      .isInt({ max: 0 })
+      .withMessage("失败积分应为非正整数"),
+    body("rules.streak_bonuses")
+      .optional()
+      .isArray()
+      .withMessage("连胜奖励应为数组"),
+    body("rules.confidence_weights")
+      .optional()
+      .isObject()
+      .withMessage("信心指数权重应为对象"),
+    body("rules.hold_period_multipliers")
+      .optional()
+      .isObject()
+      .withMessage("持有期倍数应为对象"),
+    body("rules.accuracy")
+      .optional()
+      .isObject()
+      .withMessage("准确度规则应为对象"),
+    body("description")
+      .optional()
+      .isLength({ max: 200 })
+      .withMessage("规则说明不能超过200个字符"),
+    body("activate").optional().isBoolean().withMessage("activate应为布尔值"),
+  ],
+  createScoringRule
+)
+
+// 启用积分规则版本（管理员功能）
+router.put(
+  "/scoring-rules/:version/activate",
+  authenticate,
+  authorize("admin"),
+  [param("version").isInt({ min: 1 }).withMessage("规则版本号无效")],
+  activateScoringRule
+)
+
 module.exports = router
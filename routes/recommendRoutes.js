@@ -8,10 +8,21 @@ const {
   updateRecommend,
   deleteRecommend,
   getFeaturedRecommends,
+  getTrendingRecommends,
   followRecommend,
   unfollowRecommend,
   settleRecommend,
+  closeRecommend,
+  getRecommendSettlement,
   checkExpiredRecommends,
+  likeRecommend,
+  unlikeRecommend,
+  getRecommendLikes,
+  getRecommendComments,
+  getCommentReplies,
+  createComment,
+  deleteComment,
+  pinComment,
 } = require("../controllers/recommendController")
 const {
   authenticate,
@@ -34,6 +45,7 @@ router.get("/", (req, res) => {
         "POST /create - 创建推荐",
         "GET /detail/:id - 获取推荐详情",
         "GET /featured - 获取精选推荐",
+        "GET /trending - 获取热门推荐",
       ],
     },
   })
@@ -46,8 +58,19 @@ router.post(
   [
     body("stockCode").notEmpty().withMessage("股票代码不能为空"),
     body("stockName").notEmpty().withMessage("股票名称不能为空"),
-    body("currentPrice").isFloat({ min: 0 }).withMessage("当前价格必须为正数"),
     body("predictChange").isFloat().withMessage("预期涨跌幅必须为数字"),
+    body("direction")
+      .optional()
+      .isIn(["long", "short"])
+      .withMessage("推荐方向参数无效"),
+    body("targetPrice")
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage("止盈价必须为正数"),
+    body("stopLoss")
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage("止损价必须为正数"),
     body("reason")
       .isLength({ min: 10, max: 500 })
       .withMessage("推荐理由应在10-500字符之间"),
@@ -59,6 +82,10 @@ router.post(
       .isInt({ min: 1, max: 5 })
       .withMessage("信心指数应在1-5之间"),
     body("tags").optional().isArray().withMessage("标签应为数组格式"),
+    body("contestId")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("比赛ID应为正整数"),
   ],
   createRecommend
 )
@@ -74,13 +101,21 @@ router.get(
       .withMessage("limit应在1-100之间"),
     query("status")
       .optional()
-      .isIn(["all", "active", "success", "failed", "expired"])
+      .isIn(["all", "pending", "active", "success", "failed", "expired"])
       .withMessage("状态参数无效"),
     query("stockCode").optional().notEmpty().withMessage("股票代码不能为空"),
     query("userId")
       .optional()
       .isInt({ min: 1 })
       .withMessage("用户ID应为正整数"),
+    query("contestId")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("比赛ID应为正整数"),
+    query("direction")
+      .optional()
+      .isIn(["long", "short"])
+      .withMessage("推荐方向参数无效"),
     query("sortBy")
       .optional()
       .isIn(["created_at", "predict_change", "current_return", "follow_count"])
@@ -105,7 +140,7 @@ router.get(
       .withMessage("limit应在1-100之间"),
     query("status")
       .optional()
-      .isIn(["active", "success", "failed", "expired", "cancelled"])
+      .isIn(["pending", "active", "success", "failed", "expired", "cancelled"])
       .withMessage("状态参数无效"),
     query("statsOnly")
       .optional()
@@ -134,10 +169,6 @@ router.put(
       .isLength({ min: 10, max: 500 })
       .withMessage("推荐理由应在10-500字符之间"),
     body("tags").optional().isArray().withMessage("标签应为数组格式"),
-    body("confidence")
-      .optional()
-      .isInt({ min: 1, max: 5 })
-      .withMessage("信心指数应在1-5之间"),
   ],
   updateRecommend
 )
@@ -162,6 +193,22 @@ router.get(
   getFeaturedRecommends
 )
 
+// 获取热门推荐
+router.get(
+  "/trending",
+  [
+    query("window")
+      .optional()
+      .isIn(["1h", "24h", "7d"])
+      .withMessage("时间窗口应为1h/24h/7d"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage("limit应在1-50之间"),
+  ],
+  getTrendingRecommends
+)
+
 // 跟投推荐（需要登录）
 router.post(
   "/:id/follow",
@@ -199,6 +246,117 @@ router.post(
   settleRecommend
 )
 
+// 作者提前平仓（需要登录）
+router.post(
+  "/:id/close",
+  authenticate,
+  [param("id").isInt({ min: 1 }).withMessage("推荐ID应为正整数")],
+  closeRecommend
+)
+
+// 获取推荐结算记录
+router.get(
+  "/:id/settlement",
+  [param("id").isInt({ min: 1 }).withMessage("推荐ID应为正整数")],
+  getRecommendSettlement
+)
+
+// 游标分页参数
+const cursorValidators = [
+  query("cursor").optional().isInt({ min: 1 }).withMessage("游标应为正整数"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("limit应在1-50之间"),
+]
+
+// 点赞推荐（需要登录）
+router.post(
+  "/:id/likes",
+  authenticate,
+  [param("id").isInt({ min: 1 }).withMessage("推荐ID应为正整数")],
+  likeRecommend
+)
+
+// 取消点赞（需要登录）
+router.delete(
+  "/:id/likes",
+  authenticate,
+  [param("id").isInt({ min: 1 }).withMessage("推荐ID应为正整数")],
+  unlikeRecommend
+)
+
+// 获取点赞用户列表
+router.get(
+  "/:id/likes",
+  [
+    param("id").isInt({ min: 1 }).withMessage("推荐ID应为正整数"),
+    ...cursorValidators,
+  ],
+  getRecommendLikes
+)
+
+// 获取评论列表
+router.get(
+  "/:id/comments",
+  [
+    param("id").isInt({ min: 1 }).withMessage("推荐ID应为正整数"),
+    ...cursorValidators,
+  ],
+  getRecommendComments
+)
+
+// 获取评论回复
+router.get(
+  "/:id/comments/:commentId/replies",
+  [
+    param("id").isInt({ min: 1 }).withMessage("推荐ID应为正整数"),
+    param("commentId").isInt({ min: 1 }).withMessage("评论ID应为正整数"),
+    ...cursorValidators,
+  ],
+  getCommentReplies
+)
+
+// 发表评论或回复（需要登录）
+router.post(
+  "/:id/comments",
+  authenticate,
+  [
+    param("id").isInt({ min: 1 }).withMessage("推荐ID应为正整数"),
+    body("content")
+      .isLength({ min: 1, max: 1000 })
+      .withMessage("评论内容应在1-1000字符之间"),
+    body("parentId")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("回复的评论ID应为正整数"),
+  ],
+  createComment
+)
+
+// 删除评论（需要登录）
+router.delete(
+  "/:id/comments/:commentId",
+  authenticate,
+  [
+    param("id").isInt({ min: 1 }).withMessage("推荐ID应为正整数"),
+    param("commentId").isInt({ min: 1 }).withMessage("评论ID应为正整数"),
+  ],
+  deleteComment
+)
+
+// 置顶评论（推荐作者）
+router.put(
+  "/:id/comments/:commentId/pin",
+  authenticate,
+  [
+    param("id").isInt({ min: 1 }).withMessage("推荐ID应为正整数"),
+    param("commentId").isInt({ min: 1 }).withMessage("评论ID应为正整数"),
+    body("pinned").optional().isBoolean().withMessage("pinned应为布尔值"),
+  ],
+  pinComment
+)
+
 // 批量检查过期推荐（管理员功能或定时任务）
 router.post(
   "/check-expired",
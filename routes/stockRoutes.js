@@ -5,11 +5,15 @@ const {
   getStockDetail,
   getStockHistory,
   getPopularStocks,
+  getTrendingStocks,
   getStocksByMarket,
   updateStockPrices,
   updateAllStockPrices,
   createOrUpdateStock,
   getStockRecommendRanking,
+  getCorporateActions,
+  createCorporateAction,
+  updateTradingStatus,
 } = require("../controllers/stockController")
 const { authenticate, authorize } = require("../middleware/authMiddleware")
 
@@ -40,6 +44,18 @@ router.get(
       .optional()
       .isInt({ min: 1, max: 365 })
       .withMessage("天数应在1-365之间"),
+    query("startDate")
+      .optional()
+      .isDate({ format: "YYYY-MM-DD", strictMode: true })
+      .withMessage("开始日期格式应为YYYY-MM-DD"),
+    query("endDate")
+      .optional()
+      .isDate({ format: "YYYY-MM-DD", strictMode: true })
+      .withMessage("结束日期格式应为YYYY-MM-DD"),
+    query("interval")
+      .optional()
+      .isIn(["day", "week", "month"])
+      .withMessage("K线周期应为day/week/month"),
   ],
   getStockHistory
 )
@@ -56,6 +72,22 @@ router.get(
   getPopularStocks
 )
 
+// 获取热门股票（按互动热度）
+router.get(
+  "/trending",
+  [
+    query("window")
+      .optional()
+      .isIn(["1h", "24h", "7d"])
+      .withMessage("时间窗口应为1h/24h/7d"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage("limit应在1-50之间"),
+  ],
+  getTrendingStocks
+)
+
 // 按市场获取股票
 router.get(
   "/market",
@@ -85,6 +117,75 @@ router.get(
   getStockRecommendRanking
 )
 
+// 获取股票公司行为（分红送转）
+router.get(
+  "/corporate-actions",
+  [
+    query("code").notEmpty().withMessage("股票代码不能为空"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("limit应在1-100之间"),
+  ],
+  getCorporateActions
+)
+
+// 录入公司行为（管理员功能）
+router.post(
+  "/corporate-actions",
+  authenticate,
+  authorize("admin"),
+  [
+    body("stockCode").notEmpty().withMessage("股票代码不能为空"),
+    body("actionType")
+      .isIn(["dividend", "bonus", "split", "rights"])
+      .withMessage("公司行为类型无效"),
+    body("exDate")
+      .isISO8601({ strict: true })
+      .withMessage("除权除息日格式应为YYYY-MM-DD"),
+    body("cashDividend")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("每股分红应为非负数"),
+    body("shareRatio")
+      .optional()
+      .isFloat({ min: -0.99 })
+      .withMessage("送转比例无效"),
+    body("rightsRatio")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("配股比例应为非负数"),
+    body("rightsPrice")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("配股价应为非负数"),
+  ],
+  createCorporateAction
+)
+
+// 设置停牌/复牌、预计复牌日期和 ST 标记（管理员功能）
+router.put(
+  "/:code/trading-status",
+  authenticate,
+  authorize("admin"),
+  [
+    body("status")
+      .optional()
+      .isIn(["active", "suspended", "delisted"])
+      .withMessage("股票状态无效"),
+    body("suspendedSince")
+      .optional()
+      .isISO8601({ strict: true })
+      .withMessage("停牌日期格式应为YYYY-MM-DD"),
+    body("resumeDate")
+      .optional({ values: "null" })
+      .isISO8601({ strict: true })
+      .withMessage("复牌日期格式应为YYYY-MM-DD"),
+    body("isSt").optional().isBoolean().withMessage("isSt应为布尔值"),
+  ],
+  updateTradingStatus
+)
+
 // 批量更新股票价格（管理员功能）
 router.post(
   "/update-prices",
@@ -1,12 +1,20 @@
 const express = require("express")
-const { body } = require("express-validator")
+const { body, query, param } = require("express-validator")
 const {
   wechatLogin,
   getUserInfo,
   updateUserInfo,
   getUserStats,
+  getAdvancedStats,
   updateSettings,
   getSettings,
+  getNotifications,
+  markNotificationsRead,
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
+  getAchievements,
   deleteAccount,
   getUserList,
 } = require("../controllers/userController")
@@ -48,6 +56,9 @@ router.put(
 // 获取用户统计（需要登录）
 router.get("/stats", authenticate, getUserStats)
 
+// 获取用户高级统计（需要登录）
+router.get("/stats/advanced", authenticate, getAdvancedStats)
+
 // 更新用户设置（需要登录）
 router.put(
   "/settings",
@@ -67,6 +78,74 @@ router.put(
 // 获取用户设置（需要登录）
 router.get("/settings", authenticate, getSettings)
 
+// 获取我的通知（需要登录）
+router.get(
+  "/notifications",
+  authenticate,
+  [
+    query("page").optional().isInt({ min: 1 }).withMessage("页码应为正整数"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("limit应在1-100之间"),
+    query("unreadOnly")
+      .optional()
+      .isBoolean()
+      .withMessage("unreadOnly应为布尔值"),
+  ],
+  getNotifications
+)
+
+// 标记通知已读（需要登录）
+router.put(
+  "/notifications/read",
+  authenticate,
+  [
+    body("ids").optional().isArray().withMessage("通知ID应为数组格式"),
+    body("ids.*").optional().isInt({ min: 1 }).withMessage("通知ID应为正整数"),
+  ],
+  markNotificationsRead
+)
+
+// 关注列表的游标分页参数
+const followListValidators = [
+  param("id").isInt({ min: 1 }).withMessage("用户ID应为正整数"),
+  query("cursor").optional().isInt({ min: 1 }).withMessage("游标应为正整数"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("limit应在1-50之间"),
+]
+
+// 关注用户（需要登录）
+router.post(
+  "/:id/follow",
+  authenticate,
+  [param("id").isInt({ min: 1 }).withMessage("用户ID应为正整数")],
+  followUser
+)
+
+// 取消关注用户（需要登录）
+router.delete(
+  "/:id/follow",
+  authenticate,
+  [param("id").isInt({ min: 1 }).withMessage("用户ID应为正整数")],
+  unfollowUser
+)
+
+// 获取粉丝列表
+router.get("/:id/followers", followListValidators, getFollowers)
+
+// 获取关注列表
+router.get("/:id/following", followListValidators, getFollowing)
+
+// 获取用户成就
+router.get(
+  "/:id/achievements",
+  [param("id").isInt({ min: 1 }).withMessage("用户ID应为正整数")],
+  getAchievements
+)
+
 // 注销账户（需要登录）
 router.delete("/account", authenticate, deleteAccount)
 
@@ -0,0 +1,166 @@
+// 成就回填脚本
+// 按历史已结算推荐重放每个用户的累计统计（与结算时 User.updateStats 一致），成就时间为达成时的结算时间；
+// 再按已结束周期的周榜、月榜评估排行成就。已获得的成就不会重复记录，可重复运行；回填不发送通知
+// 用法: node scripts/backfillAchievements.js
+const { Op } = require("sequelize")
+const { sequelize } = require("../config/database")
+const { User, Recommend, Ranking } = require("../models")
+const achievementEngine = require("../utils/achievementEngine")
+
+const BATCH_SIZE = 500
+
+// 重放一批用户的已结算推荐
+const backfillSettlements = async (userIds) => {
+  const recommends = await Recommend.findAll({
+    where: {
+      user_id: userIds,
+      status: { [Op.in]: ["success", "failed"] },
+      settled_at: { [Op.ne]: null },
+    },
+    attributes: ["id", "user_id", "status", "settled_at"],
+    order: [
+      ["user_id", "ASC"],
+      ["settled_at", "ASC"],
+      ["id", "ASC"],
+    ],
+    raw: true,
+  })
+
+  const statsMap = {}
+  let awarded = 0
+
+  for (const recommend of recommends) {
+    const before = statsMap[recommend.user_id] || {
+      total_recommends: 0,
+      success_recommends: 0,
+      current_streak: 0,
+      max_streak: 0,
+    }
+    const stats = { ...before, total_recommends: before.total_recommends + 1 }
+    if (recommend.status === "success") {
+      stats.success_recommends += 1
+      stats.current_streak += 1
+      stats.max_streak = Math.max(stats.max_streak, stats.current_streak)
+    } else {
+      stats.current_streak = 0
+    }
+    statsMap[recommend.user_id] = stats
+
+    for (const rule of achievementEngine.matchSettlement(before, stats)) {
+      const created = await achievementEngine.award(
+        recommend.user_id,
+        rule,
+        {
+          achievedAt: recommend.settled_at,
+          data: { recommend_id: recommend.id },
+        },
+        false
+      )
+      if (created) {
+        awarded++
+      }
+    }
+  }
+
+  return awarded
+}
+
+// 评估一种排行所有已结束周期的排行成就
+const backfillRankings = async (type) => {
+  const rules = achievementEngine
+    .getRules()
+    .filter((rule) => rule.event === "ranking" && rule.rankingType === type)
+  if (rules.length === 0) {
+    return 0
+  }
+
+  const maxRank = Math.max(...rules.map((rule) => rule.maxRank))
+  const currentPeriod = Ranking.getCurrentPeriod(type)
+  const periods = await Ranking.findAll({
+    where: { ranking_type: type, period: { [Op.lt]: currentPeriod } },
+    attributes: ["period"],
+    group: ["period"],
+    order: [["period", "ASC"]],
+    raw: true,
+  })
+
+  let awarded = 0
+  for (const { period } of periods) {
+    const rankings = await Ranking.findAll({
+      where: {
+        ranking_type: type,
+        period,
+        is_active: true,
+        rank: { [Op.lte]: maxRank },
+      },
+      attributes: ["user_id", "rank", "total_recommends", "period_end"],
+      raw: true,
+    })
+    if (rankings.length === 0) {
+      continue
+    }
+
+    awarded += await achievementEngine.evaluateRanking(
+      type,
+      period,
+      rankings,
+      rankings[0].period_end || new Date(),
+      false
+    )
+  }
+
+  console.log(
+    `🏆 ${type} 排行: ${periods.length} 个周期, 新增 ${awarded} 个成就`
+  )
+  return awarded
+}
+
+const backfillAchievements = async () => {
+  let lastId = 0
+  let userCount = 0
+  let awarded = 0
+
+  for (;;) {
+    const users = await User.findAll({
+      where: { id: { [Op.gt]: lastId } },
+      attributes: ["id"],
+      order: [["id", "ASC"]],
+      limit: BATCH_SIZE,
+      raw: true,
+    })
+    if (users.length === 0) {
+      break
+    }
+
+    const userIds = users.map((user) => user.id)
+    awarded += await backfillSettlements(userIds)
+    userCount += users.length
+    lastId = userIds[userIds.length - 1]
+    console.log(`📦 已处理 ${userCount} 个用户, 新增 ${awarded} 个成就`)
+  }
+
+  for (const type of ["weekly", "monthly"]) {
+    awarded += await backfillRankings(type)
+  }
+
+  console.log(`✅ 成就回填完成: 共新增 ${awarded} 个成就`)
+}
+
+module.exports = { backfillAchievements }
+
+// 如果直接运行此脚本
+if (require.main === module) {
+  sequelize
+    .authenticate()
+    .then(() => {
+      console.log("数据库连接成功")
+      return backfillAchievements()
+    })
+    .then(() => {
+      process.exit(0)
+    })
+    .catch((error) => {
+      console.error("执行失败:", error)
+      process.exit(1)
+    })
+}
@@ -0,0 +1,65 @@
+// 股票板块和 ST 标记回填脚本
+// 上线涨跌停限制前创建的股票 board 默认为主板、is_st 默认为 false，
+// 按股票代码（Stock.getBoard）和名称（Stock.isStName）重新计算，只更新有变化的记录，可重复运行
+// 用法: node scripts/backfillStockBoards.js
+const { Op } = require("sequelize")
+const { sequelize } = require("../config/database")
+const { Stock } = require("../models")
+
+const BATCH_SIZE = 500
+
+async function backfillStockBoards() {
+  console.log("开始回填股票板块和 ST 标记...")
+
+  let lastCode = ""
+  let checked = 0
+  let updated = 0
+
+  for (;;) {
+    const stocks = await Stock.findAll({
+      where: { code: { [Op.gt]: lastCode } },
+      attributes: ["code", "name", "market", "board", "is_st"],
+      order: [["code", "ASC"]],
+      limit: BATCH_SIZE,
+    })
+    if (stocks.length === 0) {
+      break
+    }
+
+    for (const stock of stocks) {
+      const board = Stock.getBoard(stock.code, stock.market)
+      const isSt = Stock.isStName(stock.name)
+      if (stock.board === board && stock.is_st === isSt) {
+        continue
+      }
+
+      await stock.update({ board, is_st: isSt })
+      updated++
+    }
+
+    checked += stocks.length
+    lastCode = stocks[stocks.length - 1].code
+    console.log(`📦 已检查 ${checked} 只股票, 更新 ${updated} 只`)
+  }
+
+  console.log(`✅ 回填完成: 共检查 ${checked} 只股票, 更新 ${updated} 只`)
+}
+
+module.exports = { backfillStockBoards }
+
+// 如果直接运行此脚本
+if (require.main === module) {
+  sequelize
+    .authenticate()
+    .then(() => {
+      console.log("数据库连接成功")
+      return backfillStockBoards()
+    })
+    .then(() => {
+      process.exit(0)
+    })
+    .catch((error) => {
+      console.error("执行失败:", error)
+      process.exit(1)
+    })
+}
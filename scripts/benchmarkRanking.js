@@ -0,0 +1,207 @@
+// 排名计算基准测试脚本
+// 生成大量模拟用户和已结算推荐，对比逐用户查询（旧实现）和按批分组查询的耗时
+// 用法: node scripts/benchmarkRanking.js [用户数=20000] [每用户推荐数=5] [旧实现抽样用户数=500]
+// 仅用于测试库：模拟数据写入 2000-W01 周期，open_id 以 bench_ 开头，结束后全部删除
+const { Op } = require("sequelize")
+const { sequelize } = require("../config/database")
+const { User, Stock, Recommend, Ranking } = require("../models")
+
+const BENCH_STOCK = "BENCH0"
+const BENCH_PERIOD = "2000-W01"
+const BATCH_SIZE = 2000
+
+const elapsed = (startedAt) => Date.now() - startedAt
+
+// 旧实现：每个用户一条汇总查询和一条连胜查询
+const legacyUserStats = async (userId, start, end) => {
+  const where = { user_id: userId, created_at: { [Op.between]: [start, end] } }
+
+  await Recommend.findOne({
+    attributes: [
+      [sequelize.fn("COUNT", sequelize.col("id")), "total"],
+      [
+        sequelize.fn(
+          "COUNT",
+          sequelize.literal('CASE WHEN status = "success" THEN 1 END')
+        ),
+        "success",
+      ],
+      [sequelize.fn("AVG", sequelize.col("actual_return")), "avg_return"],
+      [sequelize.fn("MAX", sequelize.col("actual_return")), "max_return"],
+      [sequelize.fn("SUM", sequelize.col("points_awarded")), "period_score"],
+      [sequelize.fn("SUM", sequelize.col("alpha")), "total_alpha"],
+      [sequelize.fn("AVG", sequelize.col("alpha")), "avg_alpha"],
+    ],
+    where,
+    raw: true,
+  })
+
+  await Recommend.findAll({
+    where: { ...where, status: { [Op.in]: ["success", "failed"] } },
+    order: [["settled_at", "DESC"]],
+    limit: 20,
+  })
+}
+
+// 生成模拟用户和推荐
+const seed = async (runId, userCount, recommendsPerUser, start) => {
+  await Stock.findOrCreate({
+    where: { code: BENCH_STOCK },
+    defaults: { name: "基准测试", market: "SH" },
+  })
+
+  for (let i = 0; i < userCount; i += BATCH_SIZE) {
+    const users = []
+    for (let j = i; j < Math.min(i + BATCH_SIZE, userCount); j++) {
+      users.push({
+        open_id: `bench_${runId}_${j}`,
+        nickname: `bench${j}`,
+        total_score: Math.floor(Math.random() * 1000),
+      })
+    }
+    await User.bulkCreate(users)
+  }
+
+  const users = await User.findAll({
+    where: { open_id: { [Op.like]: `bench_${runId}_%` } },
+    attributes: ["id"],
+    raw: true,
+  })
+  const userIds = users.map((user) => user.id)
+
+  let recommends = []
+  for (const userId of userIds) {
+    for (let k = 0; k < recommendsPerUser; k++) {
+      const createdAt = new Date(start.getTime() + k * 60 * 60 * 1000)
+      const success = Math.random() < 0.5
+      const actualReturn = (Math.random() - 0.4) * 20
+      recommends.push({
+        user_id: userId,
+        stock_code: BENCH_STOCK,
+        predict_change: 5,
+        reason: "基准测试",
+        hold_period: "1week",
+        status: success ? "success" : "failed",
+        actual_return: actualReturn,
+        alpha: actualReturn - 1,
+        points_awarded: success ? 10 : -5,
+        start_date: createdAt,
+        end_date: createdAt,
+        settled_at: new Date(createdAt.getTime() + 30 * 60 * 1000),
+        createdAt,
+      })
+    }
+
+    if (recommends.length >= BATCH_SIZE) {
+      await Recommend.bulkCreate(recommends)
+      recommends = []
+    }
+  }
+  if (recommends.length > 0) {
+    await Recommend.bulkCreate(recommends)
+  }
+
+  return userIds
+}
+
+// 删除模拟数据
+const cleanup = async (runId) => {
+  await Ranking.destroy({
+    where: { ranking_type: "weekly", period: BENCH_PERIOD },
+  })
+
+  const users = await User.findAll({
+    where: { open_id: { [Op.like]: `bench_${runId}_%` } },
+    attributes: ["id"],
+    raw: true,
+  })
+  const userIds = users.map((user) => user.id)
+
+  for (let i = 0; i < userIds.length; i += BATCH_SIZE) {
+    const batch = userIds.slice(i, i + BATCH_SIZE)
+    await Recommend.destroy({ where: { user_id: batch } })
+    await User.destroy({ where: { id: batch } })
+  }
+
+  await Stock.destroy({ where: { code: BENCH_STOCK } })
+}
+
+const benchmarkRanking = async (
+  userCount = 20000,
+  recommendsPerUser = 5,
+  legacySample = 500
+) => {
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("基准测试会写入模拟数据，不能在生产环境运行")
+  }
+
+  const { start, end } = Ranking.getPeriodRange("weekly", BENCH_PERIOD)
+  const runId = Date.now().toString(36)
+
+  try {
+    let startedAt = Date.now()
+    const userIds = await seed(runId, userCount, recommendsPerUser, start)
+    console.log(
+      `📦 已生成 ${userIds.length} 个用户、${
+        userIds.length * recommendsPerUser
+      } 条推荐 (${elapsed(startedAt)}ms)`
+    )
+
+    // 旧实现按抽样用户计时，再按用户数折算
+    const sample = userIds.slice(0, Math.min(legacySample, userIds.length))
+    startedAt = Date.now()
+    for (const userId of sample) {
+      await legacyUserStats(userId, start, end)
+    }
+    const legacyPerUser = elapsed(startedAt) / sample.length
+    const legacyTotal = Math.round(legacyPerUser * userIds.length)
+    console.log(
+      `🐢 逐用户查询: 抽样 ${
+        sample.length
+      } 个用户, 平均 ${legacyPerUser.toFixed(
+        2
+      )}ms/用户, 预计全部 ${legacyTotal}ms (${sample.length * 2} 条查询)`
+    )
+
+    startedAt = Date.now()
+    const rankings = await Ranking.calculateRankings("weekly", BENCH_PERIOD)
+    const batchTotal = elapsed(startedAt)
+    console.log(
+      `🚀 分组查询: ${
+        rankings.length
+      } 个用户, 共 ${batchTotal}ms (每批 ${Ranking.getChunkSize()} 个用户)`
+    )
+
+    console.log(`📊 提速约 ${(legacyTotal / batchTotal).toFixed(1)} 倍`)
+  } finally {
+    await cleanup(runId)
+    console.log("🧹 模拟数据已清理")
+  }
+}
+
+module.exports = { benchmarkRanking }
+
+// 如果直接运行此脚本
+if (require.main === module) {
+  const [userCount, recommendsPerUser, legacySample] = process.argv
+    .slice(2)
+    .map((arg) => parseInt(arg))
+
+  sequelize
+    .authenticate()
+    .then(() => {
+      console.log("数据库连接成功")
+      return benchmarkRanking(
+        userCount || undefined,
+        recommendsPerUser || undefined,
+        legacySample || undefined
+      )
+    })
+    .then(() => {
+      process.exit(0)
+    })
+    .catch((error) => {
+      console.error("执行失败:", error)
+      process.exit(1)
+    })
+}
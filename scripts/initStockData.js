@@ -103,6 +103,29 @@ const stockData = [
     change_percent: 0.84,
     tags: ["银行", "金融"],
   },
+  // 基准指数
+  {
+    code: "000300",
+    name: "沪深300",
+    market: "SH",
+    current_price: 3520.15,
+    previous_close: 3508.62,
+    change_amount: 11.53,
+    change_percent: 0.33,
+    tags: ["指数"],
+    is_index: true,
+  },
+  {
+    code: "HSI",
+    name: "恒生指数",
+    market: "HK",
+    current_price: 17850.32,
+    previous_close: 17902.1,
+    change_amount: -51.78,
+    change_percent: -0.29,
+    tags: ["指数"],
+    is_index: true,
+  },
 ]
 
 async function initStockData() {
@@ -114,6 +137,8 @@ async function initStockData() {
         where: { code: stock.code },
         defaults: {
           ...stock,
+          board: Stock.getBoard(stock.code, stock.market),
+          is_st: Stock.isStName(stock.name),
           price_updated_at: new Date(),
         },
       })
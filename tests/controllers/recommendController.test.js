@@ -0,0 +1,167 @@
+// 创建推荐的建仓定价：交易时段内按服务端行情成交，非交易时段排队至下一交易时段开盘
+jest.mock("../../models", () => ({
+  sequelize: {},
+  User: { findByPk: jest.fn() },
+  Recommend: { findOne: jest.fn(), create: jest.fn() },
+  Stock: {
+    findByCode: jest.fn(),
+    ENTRY_RESTRICTIONS: {
+      suspended: "股票停牌中，暂不能推荐",
+      limit_up: "股票涨停封板，当前无法买入",
+    },
+  },
+}))
+jest.mock("../../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}))
+jest.mock("../../utils/quoteStore", () => ({ getFresh: jest.fn() }))
+jest.mock("../../utils/tradingCalendar", () => ({
+  isMarketOpen: jest.fn(),
+  getNextSessionOpen: jest.fn(),
+  getHoldPeriodEndDate: jest.fn(),
+}))
+jest.mock("../../utils/benchmark", () => ({
+  snapshot: jest.fn(),
+  getDefaultSuccessRule: jest.fn(() => "direction"),
+}))
+jest.mock("../../utils/viewCounter", () => ({}))
+jest.mock("../../utils/trendingService", () => ({}))
+
+const { User, Recommend, Stock } = require("../../models")
+const quoteStore = require("../../utils/quoteStore")
+const tradingCalendar = require("../../utils/tradingCalendar")
+const benchmark = require("../../utils/benchmark")
+const { createRecommend } = require("../../controllers/recommendController")
+
+const NEXT_OPEN = new Date("2024-03-05T01:30:00Z")
+const END_DATE = new Date("2024-03-12T07:00:00Z")
+
+const buildStock = (overrides = {}) => ({
+  code: "600519",
+  market: "SH",
+  is_index: false,
+  getEntryRestriction: jest.fn(() => null),
+  increment: jest.fn(),
+  ...overrides,
+})
+
+const buildRequest = (body = {}) => ({
+  user: { userId: 1 },
+  body: {
+    stockCode: "600519",
+    stockName: "贵州茅台",
+    predictChange: 5,
+    reason: "业绩超预期",
+    holdPeriod: 5,
+    ...body,
+  },
+})
+
+const buildResponse = () => {
+  const res = {}
+  res.status = jest.fn(() => res)
+  res.json = jest.fn(() => res)
+  return res
+}
+
+// 调用控制器，返回响应和传给 next 的错误
+const run = async (req) => {
+  const res = buildResponse()
+  const next = jest.fn()
+  await createRecommend(req, res, next)
+  return { res, error: next.mock.calls[0] && next.mock.calls[0][0] }
+}
+
+describe("createRecommend 建仓定价", () => {
+  let stock
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    stock = buildStock()
+    User.findByPk.mockResolvedValue({ id: 1 })
+    Recommend.findOne.mockResolvedValue(null)
+    Recommend.create.mockImplementation(async (values) => ({
+      ...values,
+      toJSON: () => values,
+    }))
+    Stock.findByCode.mockResolvedValue(stock)
+    tradingCalendar.getNextSessionOpen.mockReturnValue(NEXT_OPEN)
+    tradingCalendar.getHoldPeriodEndDate.mockReturnValue(END_DATE)
+    benchmark.snapshot.mockResolvedValue({ code: "000300", level: 3500 })
+  })
+
+  test("交易时段内按服务端行情成交，忽略客户端提交的价格", async () => {
+    const timestamp = new Date()
+    tradingCalendar.isMarketOpen.mockReturnValue(true)
+    quoteStore.getFresh.mockResolvedValue({ price: 1688.5, timestamp })
+
+    const { res, error } = await run(
+      buildRequest({ entryPrice: 1500, currentPrice: 1500 })
+    )
+
+    expect(error).toBeUndefined()
+    expect(quoteStore.getFresh).toHaveBeenCalledWith(stock, expect.any(Date))
+    expect(res.status).toHaveBeenCalledWith(201)
+
+    const values = Recommend.create.mock.calls[0][0]
+    expect(values.entry_price).toBe(1688.5)
+    expect(values.fill_price).toBe(1688.5)
+    expect(values.fill_type).toBe("realtime")
+    expect(values.filled_at).toBe(timestamp)
+    expect(values.status).toBe("active")
+    expect(values.benchmark_entry).toBe(3500)
+  })
+
+  test("交易时段内没有有效期内的行情时拒绝创建", async () => {
+    tradingCalendar.isMarketOpen.mockReturnValue(true)
+    quoteStore.getFresh.mockResolvedValue(null)
+
+    const { error } = await run(buildRequest())
+
+    expect(error.statusCode).toBe(503)
+    expect(error.message).toBe("暂无最新行情，请稍后再试")
+    expect(Recommend.create).not.toHaveBeenCalled()
+  })
+
+  test("涨停封板时不能看多建仓", async () => {
+    tradingCalendar.isMarketOpen.mockReturnValue(true)
+    quoteStore.getFresh.mockResolvedValue({ price: 11, timestamp: new Date() })
+    stock.getEntryRestriction.mockImplementation((quote) =>
+      quote ? "limit_up" : null
+    )
+
+    const { error } = await run(buildRequest())
+
+    expect(error.statusCode).toBe(400)
+    expect(error.message).toBe(Stock.ENTRY_RESTRICTIONS.limit_up)
+    expect(Recommend.create).not.toHaveBeenCalled()
+  })
+
+  test("非交易时段排队至下一交易时段开盘成交", async () => {
+    tradingCalendar.isMarketOpen.mockReturnValue(false)
+
+    const { res, error } = await run(buildRequest({ entryPrice: 1500 }))
+
+    expect(error).toBeUndefined()
+    expect(quoteStore.getFresh).not.toHaveBeenCalled()
+    expect(benchmark.snapshot).not.toHaveBeenCalled()
+    expect(tradingCalendar.getHoldPeriodEndDate).toHaveBeenCalledWith(
+      NEXT_OPEN,
+      5,
+      "SH"
+    )
+
+    const values = Recommend.create.mock.calls[0][0]
+    expect(values.status).toBe("pending")
+    expect(values.fill_type).toBe("next_open")
+    expect(values.entry_price).toBeNull()
+    expect(values.fill_price).toBeNull()
+    expect(values.start_date).toBe(NEXT_OPEN)
+    expect(values.end_date).toBe(END_DATE)
+    expect(res.json.mock.calls[0][0].message).toBe(
+      "当前非交易时段，推荐将在下一交易时段开盘成交"
+    )
+  })
+})
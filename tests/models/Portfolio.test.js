@@ -0,0 +1,62 @@
+// 模拟账户：整手股数计算和扣减资金的金额校验
+const Portfolio = require("../../models/Portfolio")
+
+describe("Portfolio.calculateShares", () => {
+  test("按整手向下取整", () => {
+    expect(Portfolio.calculateShares(10000, 10)).toBe(1000)
+    expect(Portfolio.calculateShares("10500", "10")).toBe(1000)
+    expect(Portfolio.calculateShares(900, 10)).toBe(0)
+  })
+
+  test.each([-1000000, 0, "abc", NaN, Infinity, undefined])(
+    "金额 %p 无效时返回 0",
+    (amount) => {
+      expect(Portfolio.calculateShares(amount, 10)).toBe(0)
+    }
+  )
+
+  test("价格无效时返回 0", () => {
+    expect(Portfolio.calculateShares(10000, 0)).toBe(0)
+    expect(Portfolio.calculateShares(10000, -5)).toBe(0)
+    expect(Portfolio.calculateShares(10000, "abc")).toBe(0)
+  })
+})
+
+describe("Portfolio.debit", () => {
+  const buildPortfolio = () => {
+    const portfolio = Portfolio.build({
+      user_id: 1,
+      initial_cash: 100000,
+      cash: "100000.00",
+      trade_count: 0,
+    })
+    jest.spyOn(portfolio, "save").mockResolvedValue(portfolio)
+    return portfolio
+  }
+
+  test("扣减资金并记录交易次数", async () => {
+    const portfolio = buildPortfolio()
+
+    await portfolio.debit(25000.5)
+
+    expect(portfolio.cash).toBe("74999.50")
+    expect(portfolio.trade_count).toBe(1)
+  })
+
+  test.each([-1000000, 0, NaN, Infinity])(
+    "金额 %p 无效时拒绝扣减",
+    async (amount) => {
+      const portfolio = buildPortfolio()
+
+      await expect(portfolio.debit(amount)).rejects.toThrow("扣减金额无效")
+      expect(portfolio.cash).toBe("100000.00")
+      expect(portfolio.save).not.toHaveBeenCalled()
+    }
+  )
+
+  test("超过可用资金时拒绝扣减", async () => {
+    const portfolio = buildPortfolio()
+
+    await expect(portfolio.debit(100000.01)).rejects.toThrow("可用资金不足")
+  })
+})
@@ -0,0 +1,170 @@
+// 排名顺序：同分比较规则、名次计算方式和并列标记
+jest.mock("../../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}))
+
+const Ranking = require("../../models/Ranking")
+
+const ENV_KEYS = ["RANKING_TIE_BREAKERS", "RANKING_RANK_MODE"]
+
+const entry = (userId, score, values = {}) => ({
+  user_id: userId,
+  score,
+  score_mode: "points",
+  win_rate: 50,
+  avg_return: 1,
+  score_reached_at: null,
+  ...values,
+})
+
+// 排序并分配名次，返回 [用户ID, 名次, 是否并列]
+const rank = (entries) =>
+  Ranking.assignRanks(
+    [...entries].sort((a, b) => Ranking.compareEntries(a, b))
+  ).map((e) => [e.user_id, e.rank, e.is_tied])
+
+describe("Ranking 排名顺序", () => {
+  const saved = {}
+
+  beforeEach(() => {
+    ENV_KEYS.forEach((key) => {
+      saved[key] = process.env[key]
+      delete process.env[key]
+    })
+  })
+
+  afterEach(() => {
+    ENV_KEYS.forEach((key) => {
+      if (saved[key] === undefined) {
+        delete process.env[key]
+      } else {
+        process.env[key] = saved[key]
+      }
+    })
+  })
+
+  describe("getTieBreakers", () => {
+    test("默认依次比较胜率和平均收益率", () => {
+      expect(Ranking.getTieBreakers("points")).toEqual([
+        { field: "win_rate", order: "DESC" },
+        { field: "avg_return", order: "DESC" },
+      ])
+    })
+
+    test("按配置顺序比较，忽略未知规则", () => {
+      process.env.RANKING_TIE_BREAKERS = "earliest, unknown ,win_rate"
+      expect(Ranking.getTieBreakers("points")).toEqual([
+        { field: "score_reached_at", order: "ASC" },
+        { field: "win_rate", order: "DESC" },
+      ])
+    })
+
+    test("留空时只按积分排名", () => {
+      process.env.RANKING_TIE_BREAKERS = ""
+      expect(Ranking.getTieBreakers("points")).toEqual([])
+    })
+
+    test("超额收益计分时先比较平均超额收益", () => {
+      expect(Ranking.getTieBreakers("alpha")[0]).toEqual({
+        field: "avg_alpha",
+        order: "DESC",
+      })
+    })
+  })
+
+  describe("compareScores", () => {
+    test("积分高者在前", () => {
+      expect(Ranking.compareScores(entry(1, 100), entry(2, 90))).toBeLessThan(0)
+      expect(Ranking.compareScores(entry(1, -10), entry(2, 0))).toBeGreaterThan(
+        0
+      )
+    })
+
+    test("同分时按胜率、再按平均收益率比较", () => {
+      const a = entry(1, 100, { win_rate: 60, avg_return: 1 })
+      const b = entry(2, 100, { win_rate: 50, avg_return: 9 })
+      const c = entry(3, 100, { win_rate: 50, avg_return: "2.5" })
+
+      expect(Ranking.compareScores(a, b)).toBeLessThan(0)
+      expect(Ranking.compareScores(b, c)).toBeLessThan(0)
+    })
+
+    test("先达到该成绩者在前，空值排在最后", () => {
+      process.env.RANKING_TIE_BREAKERS = "earliest"
+      const early = entry(1, 100, { score_reached_at: "2024-03-01T02:00:00Z" })
+      const late = entry(2, 100, { score_reached_at: "2024-03-02T02:00:00Z" })
+      const never = entry(3, 100, { score_reached_at: null })
+
+      expect(Ranking.compareScores(early, late)).toBeLessThan(0)
+      expect(Ranking.compareScores(late, never)).toBeLessThan(0)
+      expect(Ranking.compareScores(never, early)).toBeGreaterThan(0)
+    })
+
+    test("积分和所有比较字段都相同时为并列", () => {
+      expect(Ranking.compareScores(entry(1, 100), entry(2, 100))).toBe(0)
+    })
+
+    test("并列时 compareEntries 按用户ID排列", () => {
+      expect(
+        Ranking.compareEntries(entry(2, 100), entry(1, 100))
+      ).toBeGreaterThan(0)
+    })
+  })
+
+  describe("assignRanks", () => {
+    const entries = [
+      entry(5, 80),
+      entry(3, 90),
+      entry(1, 100),
+      entry(4, 90),
+      entry(2, 70),
+    ]
+
+    test("competition 模式跳过并列占用的名次", () => {
+      expect(rank(entries)).toEqual([
+        [1, 1, false],
+        [3, 2, true],
+        [4, 2, true],
+        [5, 4, false],
+        [2, 5, false],
+      ])
+    })
+
+    test("dense 模式不跳过名次", () => {
+      process.env.RANKING_RANK_MODE = "dense"
+      expect(rank(entries)).toEqual([
+        [1, 1, false],
+        [3, 2, true],
+        [4, 2, true],
+        [5, 3, false],
+        [2, 4, false],
+      ])
+    })
+
+    test("同分但比较字段不同时不并列", () => {
+      expect(
+        rank([entry(1, 90, { win_rate: 40 }), entry(2, 90, { win_rate: 70 })])
+      ).toEqual([
+        [2, 1, false],
+        [1, 2, false],
+      ])
+    })
+
+    test("不配置同分比较规则时同分即并列", () => {
+      process.env.RANKING_TIE_BREAKERS = ""
+      expect(
+        rank([
+          entry(2, 90, { win_rate: 40 }),
+          entry(1, 90, { win_rate: 70 }),
+          entry(3, 90),
+        ])
+      ).toEqual([
+        [1, 1, true],
+        [2, 1, true],
+        [3, 1, true],
+      ])
+    })
+  })
+})
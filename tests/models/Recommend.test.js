@@ -0,0 +1,81 @@
+// 排队推荐成交：计划成交时间不晚于当日首个交易时段开盘时按开盘价成交
+jest.mock("../../utils/tradingCalendar", () => ({ getSessions: jest.fn() }))
+jest.mock("../../utils/benchmark", () => ({ snapshot: jest.fn() }))
+jest.mock("../../utils/scoringEngine", () => ({}))
+
+const tradingCalendar = require("../../utils/tradingCalendar")
+const benchmark = require("../../utils/benchmark")
+const Recommend = require("../../models/Recommend")
+
+const SESSION_OPEN = new Date("2024-03-04T01:30:00Z")
+const SESSION_CLOSE = new Date("2024-03-04T03:30:00Z")
+
+const buildPending = (values = {}) => {
+  const recommend = Recommend.build({
+    user_id: 1,
+    stock_code: "600519",
+    direction: "long",
+    predict_change: 5,
+    reason: "业绩超预期",
+    hold_period: 5,
+    fill_type: "next_open",
+    start_date: SESSION_OPEN,
+    end_date: new Date("2024-03-11T07:00:00Z"),
+    status: "pending",
+    ...values,
+  })
+  jest.spyOn(recommend, "update").mockResolvedValue(recommend)
+  return recommend
+}
+
+describe("Recommend.fillPending", () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    tradingCalendar.getSessions.mockReturnValue([
+      { open: SESSION_OPEN, close: SESSION_CLOSE },
+    ])
+    benchmark.snapshot.mockResolvedValue({ code: "000300", level: 3500 })
+  })
+
+  test("开盘成交时按开盘价建仓，成交时间为开盘时间", async () => {
+    const recommend = buildPending()
+    const quote = {
+      price: 1700,
+      open: 1680,
+      timestamp: new Date("2024-03-04T01:31:00Z"),
+    }
+
+    await recommend.fillPending(quote, "SH", new Date("2024-03-04T01:31:00Z"))
+
+    const values = recommend.update.mock.calls[0][0]
+    expect(values.entry_price).toBe(1680)
+    expect(values.fill_price).toBe(1680)
+    expect(values.filled_at).toBe(SESSION_OPEN)
+    expect(values.current_price).toBe(1700)
+    expect(values.current_return).toBe("1.19")
+    expect(values.benchmark_entry).toBe(3500)
+    expect(values.status).toBe("active")
+  })
+
+  test("计划成交时间晚于开盘时按最新价成交", async () => {
+    const startDate = new Date("2024-03-04T02:00:00Z")
+    const recommend = buildPending({ start_date: startDate })
+    const quote = { price: 1700, open: 1680, timestamp: startDate }
+
+    await recommend.fillPending(quote, "SH", startDate)
+
+    const values = recommend.update.mock.calls[0][0]
+    expect(values.entry_price).toBe(1700)
+    expect(values.filled_at).toBe(startDate)
+    expect(values.current_return).toBe("0.00")
+  })
+
+  test("看空推荐按持仓方向计算当前收益", async () => {
+    const recommend = buildPending({ direction: "short", predict_change: -5 })
+    const quote = { price: 1700, open: 1680, timestamp: SESSION_OPEN }
+
+    await recommend.fillPending(quote, "SH", SESSION_OPEN)
+
+    expect(recommend.update.mock.calls[0][0].current_return).toBe("-1.19")
+  })
+})
@@ -0,0 +1,101 @@
+// 结算类成就：按本次结算前后作者的累计统计评估
+jest.mock("../../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}))
+jest.mock("../../models", () => ({
+  UserAchievement: { award: jest.fn() },
+  Notification: { notify: jest.fn() },
+}))
+
+const { UserAchievement, Notification } = require("../../models")
+const achievementEngine = require("../../utils/achievementEngine")
+
+const stats = (values = {}) => ({
+  total_recommends: 0,
+  success_recommends: 0,
+  current_streak: 0,
+  max_streak: 0,
+  ...values,
+})
+
+const keys = (rules) => rules.map((rule) => rule.key)
+
+describe("achievementEngine.matchSettlement", () => {
+  test("只返回这次结算新达到的规则", () => {
+    const before = stats({ total_recommends: 4, success_recommends: 4 })
+    const after = stats({
+      total_recommends: 5,
+      success_recommends: 5,
+      current_streak: 5,
+      max_streak: 5,
+    })
+
+    expect(keys(achievementEngine.matchSettlement(before, after))).toEqual([
+      "streak_5",
+    ])
+  })
+
+  test("结算前已满足的规则不再返回", () => {
+    const before = stats({ total_recommends: 120, success_recommends: 60 })
+    const after = stats({ total_recommends: 121, success_recommends: 61 })
+
+    expect(achievementEngine.matchSettlement(before, after)).toEqual([])
+  })
+
+  test("首次成功时达到首胜", () => {
+    expect(
+      keys(
+        achievementEngine.matchSettlement(
+          stats({ total_recommends: 2 }),
+          stats({
+            total_recommends: 3,
+            success_recommends: 1,
+            current_streak: 1,
+            max_streak: 1,
+          })
+        )
+      )
+    ).toEqual(["first_win"])
+  })
+})
+
+describe("achievementEngine.onSettled", () => {
+  const recommend = { id: 9, user_id: 1 }
+  const settlement = { createdAt: new Date("2024-03-08T07:00:00Z") }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    UserAchievement.award.mockResolvedValue({ scope: "" })
+  })
+
+  test("按结算时的统计记录成就，成就时间为结算时间", async () => {
+    await achievementEngine.onSettled({
+      recommend,
+      settlement,
+      userStats: {
+        before: stats({ total_recommends: 1 }),
+        after: stats({
+          total_recommends: 2,
+          success_recommends: 1,
+          current_streak: 1,
+          max_streak: 1,
+        }),
+      },
+    })
+
+    expect(UserAchievement.award).toHaveBeenCalledTimes(1)
+    expect(UserAchievement.award).toHaveBeenCalledWith(1, "first_win", {
+      achievedAt: settlement.createdAt,
+      data: { recommend_id: 9 },
+    })
+    expect(Notification.notify).toHaveBeenCalledTimes(1)
+  })
+
+  test("没有结算统计时不评估", async () => {
+    await achievementEngine.onSettled({ recommend, settlement })
+
+    expect(UserAchievement.award).not.toHaveBeenCalled()
+  })
+})
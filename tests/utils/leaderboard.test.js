@@ -0,0 +1,134 @@
+// 排行榜成员编码：字典序与 Ranking.compareEntries 的顺序一致
+jest.mock("../../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}))
+jest.mock("../../utils/cacheManager", () => ({}))
+jest.mock("../../models", () => ({
+  Ranking: jest.requireActual("../../models/Ranking"),
+}))
+
+const { Ranking } = require("../../models")
+const leaderboard = require("../../utils/leaderboard")
+
+const entry = (userId, score, values = {}) => ({
+  user_id: userId,
+  score,
+  score_mode: "points",
+  win_rate: 50,
+  avg_return: 1,
+  score_reached_at: null,
+  ...values,
+})
+
+// 按成员字典序排列后的用户ID
+const lexOrder = (entries) =>
+  entries
+    .map((e) => ({ member: leaderboard.encodeMember(e), userId: e.user_id }))
+    .sort((a, b) => (a.member < b.member ? -1 : a.member > b.member ? 1 : 0))
+    .map((e) => e.userId)
+
+const compareOrder = (entries) =>
+  [...entries]
+    .sort((a, b) => Ranking.compareEntries(a, b))
+    .map((e) => e.user_id)
+
+describe("leaderboard 成员编码", () => {
+  const saved = process.env.RANKING_TIE_BREAKERS
+
+  afterEach(() => {
+    if (saved === undefined) {
+      delete process.env.RANKING_TIE_BREAKERS
+    } else {
+      process.env.RANKING_TIE_BREAKERS = saved
+    }
+  })
+
+  test("积分编码为 1e12 - 积分的 13 位定长数字串", () => {
+    expect(leaderboard.encodeScore(100)).toBe("0999999999900")
+    expect(leaderboard.encodeScore(0)).toBe("1000000000000")
+    expect(leaderboard.encodeScore(-50)).toBe("1000000000050")
+  })
+
+  test("负积分排在零分和正积分之后", () => {
+    const encoded = [-50, 100, 0, -3, 7].map((score) =>
+      leaderboard.encodeScore(score)
+    )
+    const sorted = [...encoded].sort()
+    expect(sorted.map((s) => 1e12 - parseInt(s, 10))).toEqual([
+      100, 7, 0, -3, -50,
+    ])
+  })
+
+  test("成员由积分、同分比较字段和用户ID组成", () => {
+    const member = leaderboard.encodeMember(
+      entry(42, 100, { win_rate: "62.5", avg_return: -1.25 })
+    )
+    expect(member).toBe(
+      [
+        "0999999999900",
+        String(1e12 - 625000).padStart(13, "0"),
+        String(1e12 + 12500).padStart(13, "0"),
+        "0000000042",
+      ].join(":")
+    )
+    expect(leaderboard.decodeUserId(member)).toBe(42)
+  })
+
+  test("未达到成绩时间为空时编码为 9…9，排在最后", () => {
+    process.env.RANKING_TIE_BREAKERS = "earliest"
+    const reachedAt = new Date("2024-03-01T02:00:00Z")
+
+    const never = leaderboard.encodeMember(entry(1, 100))
+    const reached = leaderboard.encodeMember(
+      entry(2, 100, { score_reached_at: reachedAt })
+    )
+
+    expect(never.split(":")[1]).toBe("9".repeat(15))
+    expect(reached.split(":")[1]).toBe(
+      String(reachedAt.getTime()).padStart(15, "0")
+    )
+    expect(reached < never).toBe(true)
+  })
+
+  test("并列用户的成绩前缀相同", () => {
+    const a = leaderboard.encodeMember(entry(1, 100))
+    const b = leaderboard.encodeMember(entry(2, 100))
+    const c = leaderboard.encodeMember(entry(3, 100, { win_rate: 51 }))
+
+    expect(leaderboard.getGroup(a)).toBe(leaderboard.getGroup(b))
+    expect(leaderboard.getGroup(a)).not.toBe(leaderboard.getGroup(c))
+  })
+
+  test.each(["win_rate,avg_return", "", "earliest", "avg_return,earliest"])(
+    "字典序与 compareEntries 一致（%s）",
+    (tieBreakers) => {
+      process.env.RANKING_TIE_BREAKERS = tieBreakers
+      const days = [null, "2024-03-01T02:00:00Z", "2024-03-02T02:00:00Z"]
+      const entries = []
+      for (let i = 1; i <= 60; i++) {
+        entries.push(
+          entry(i, ((i * 37) % 7) * 10 - 20, {
+            win_rate: ((i * 13) % 3) * 25,
+            avg_return: (((i * 11) % 5) - 2) * 1.5,
+            score_reached_at: days[(i * 7) % 3],
+          })
+        )
+      }
+
+      expect(lexOrder(entries)).toEqual(compareOrder(entries))
+    }
+  )
+
+  test("超额收益计分时字典序与 compareEntries 一致", () => {
+    const entries = [
+      entry(1, 300, { score_mode: "alpha", avg_alpha: 1.2 }),
+      entry(2, 300, { score_mode: "alpha", avg_alpha: -0.4 }),
+      entry(3, 300, { score_mode: "alpha", avg_alpha: 1.2, win_rate: 80 }),
+      entry(4, -120, { score_mode: "alpha", avg_alpha: -3 }),
+    ]
+    expect(lexOrder(entries)).toEqual(compareOrder(entries))
+    expect(lexOrder(entries)).toEqual([3, 1, 2, 4])
+  })
+})
@@ -0,0 +1,66 @@
+// 游标分页：参数无效时不生成无效查询
+const { Op } = require("sequelize")
+const pagination = require("../../utils/pagination")
+
+const buildModel = (ids) => ({
+  findAll: jest.fn(async ({ limit }) =>
+    ids.slice(0, limit).map((id) => ({ id }))
+  ),
+})
+
+describe("pagination.findPageByCursor", () => {
+  test("按游标查询下一页并返回下一页游标", async () => {
+    const Model = buildModel([9, 8, 7])
+
+    const { items, nextCursor } = await pagination.findPageByCursor(Model, {
+      where: { recommend_id: 1 },
+      cursor: "10",
+      limit: "2",
+    })
+
+    const query = Model.findAll.mock.calls[0][0]
+    expect(query.where).toEqual({ recommend_id: 1, id: { [Op.lt]: 10 } })
+    expect(query.limit).toBe(3)
+    expect(items.map((item) => item.id)).toEqual([9, 8])
+    expect(nextCursor).toBe(8)
+  })
+
+  test("正序时查询之后的记录，没有更多时游标为空", async () => {
+    const Model = buildModel([11])
+
+    const { nextCursor } = await pagination.findPageByCursor(Model, {
+      where: {},
+      cursor: 10,
+      order: "ASC",
+    })
+
+    expect(Model.findAll.mock.calls[0][0].where).toEqual({
+      id: { [Op.gt]: 10 },
+    })
+    expect(nextCursor).toBeNull()
+  })
+
+  test.each(["abc", "-5", "0", ""])(
+    "无效游标 %p 按第一页处理",
+    async (cursor) => {
+      const Model = buildModel([])
+
+      await pagination.findPageByCursor(Model, { where: { a: 1 }, cursor })
+
+      expect(Model.findAll.mock.calls[0][0].where).toEqual({ a: 1 })
+    }
+  )
+
+  test.each([
+    ["abc", 21],
+    ["-5", 21],
+    ["0", 21],
+    ["1000", 51],
+  ])("limit %p 限制在 1-50 之间", async (limit, queried) => {
+    const Model = buildModel([])
+
+    await pagination.findPageByCursor(Model, { where: {}, limit })
+
+    expect(Model.findAll.mock.calls[0][0].limit).toBe(queried)
+  })
+})
@@ -0,0 +1,90 @@
+// 服务端行情有效期（默认 180 秒）
+jest.mock("../../utils/cacheManager", () => ({
+  get: jest.fn(),
+  set: jest.fn(),
+}))
+jest.mock("../../utils/marketData", () => ({ fetchQuote: jest.fn() }))
+jest.mock("../../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}))
+
+const cacheManager = require("../../utils/cacheManager")
+const marketData = require("../../utils/marketData")
+const quoteStore = require("../../utils/quoteStore")
+
+const NOW = new Date("2024-03-04T02:00:00Z")
+const stock = { code: "600519", market: "SH" }
+
+const secondsAgo = (seconds) => new Date(NOW.getTime() - seconds * 1000)
+
+describe("quoteStore 行情有效期", () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  test("默认有效期为 180 秒", () => {
+    expect(quoteStore.maxAgeMs).toBe(180 * 1000)
+    expect(quoteStore.isFresh({ timestamp: secondsAgo(180) }, NOW)).toBe(true)
+    expect(quoteStore.isFresh({ timestamp: secondsAgo(181) }, NOW)).toBe(false)
+    expect(quoteStore.isFresh(null, NOW)).toBe(false)
+  })
+
+  test("缓存行情在有效期内时直接使用，不请求行情源", async () => {
+    cacheManager.get.mockResolvedValue({
+      code: stock.code,
+      price: 1688.5,
+      timestamp: secondsAgo(60).toISOString(),
+      receivedAt: secondsAgo(59).toISOString(),
+    })
+
+    const quote = await quoteStore.getFresh(stock, NOW)
+
+    expect(quote.price).toBe(1688.5)
+    expect(quote.timestamp).toEqual(secondsAgo(60))
+    expect(marketData.fetchQuote).not.toHaveBeenCalled()
+  })
+
+  test("缓存行情过期时向行情源补拉并保存", async () => {
+    cacheManager.get.mockResolvedValue({
+      code: stock.code,
+      price: 1680,
+      timestamp: secondsAgo(600).toISOString(),
+      receivedAt: secondsAgo(600).toISOString(),
+    })
+    marketData.fetchQuote.mockResolvedValue({
+      code: stock.code,
+      price: 1690,
+      timestamp: secondsAgo(5),
+    })
+
+    const quote = await quoteStore.getFresh(stock, NOW)
+
+    expect(marketData.fetchQuote).toHaveBeenCalledWith("600519", "SH")
+    expect(quote.price).toBe(1690)
+    expect(cacheManager.set).toHaveBeenCalledWith(
+      "quote:600519",
+      expect.objectContaining({ price: 1690 }),
+      expect.any(Number)
+    )
+  })
+
+  test("补拉的行情仍然过期时返回 null", async () => {
+    cacheManager.get.mockResolvedValue(null)
+    marketData.fetchQuote.mockResolvedValue({
+      code: stock.code,
+      price: 1690,
+      timestamp: secondsAgo(300),
+    })
+
+    expect(await quoteStore.getFresh(stock, NOW)).toBeNull()
+  })
+
+  test("行情源不可用时返回 null", async () => {
+    cacheManager.get.mockResolvedValue(null)
+    marketData.fetchQuote.mockRejectedValue(new Error("timeout"))
+
+    expect(await quoteStore.getFresh(stock, NOW)).toBeNull()
+  })
+})
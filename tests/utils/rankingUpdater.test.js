@@ -0,0 +1,55 @@
+// 用户注销后从所在的排行中移除
+jest.mock("../../models", () => ({
+  Ranking: {
+    findAll: jest.fn(),
+    removeUserRanking: jest.fn(),
+    updateUserRanking: jest.fn(),
+    getCurrentPeriod: jest.fn(),
+  },
+}))
+jest.mock("../../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}))
+
+const { Ranking } = require("../../models")
+const eventBus = require("../../utils/eventBus")
+const rankingUpdater = require("../../utils/rankingUpdater")
+
+describe("rankingUpdater.removeUser", () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  test("从用户所在的每个排行中移除", async () => {
+    Ranking.findAll.mockResolvedValue([
+      { ranking_type: "weekly", period: "2024-W10" },
+      { ranking_type: "total", period: "total" },
+    ])
+
+    await rankingUpdater.removeUser(7)
+
+    expect(Ranking.findAll).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { user_id: 7 } })
+    )
+    expect(Ranking.removeUserRanking.mock.calls).toEqual([
+      ["weekly", "2024-W10", 7],
+      ["total", "total", 7],
+    ])
+  })
+
+  test("订阅用户注销事件", async () => {
+    Ranking.findAll.mockResolvedValue([
+      { ranking_type: "total", period: "total" },
+    ])
+    rankingUpdater.init()
+
+    eventBus.publish("user.deactivated", { userId: 3 })
+    await new Promise((resolve) => setImmediate(resolve))
+    await rankingUpdater.queue
+
+    expect(Ranking.removeUserRanking).toHaveBeenCalledWith("total", "total", 3)
+    expect(Ranking.updateUserRanking).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,151 @@
+// 排队推荐的开盘成交和未成交取消
+jest.mock("../../models", () => ({
+  Stock: {},
+  Recommend: { findAll: jest.fn() },
+  StockPrice: {},
+  CorporateAction: {},
+  Contest: {},
+}))
+jest.mock("../../utils/logger", () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}))
+jest.mock("../../utils/quoteStore", () => ({ getFresh: jest.fn() }))
+jest.mock("../../utils/tradingCalendar", () => ({
+  firstTradingDayOnOrAfter: jest.fn(),
+  getSessionClose: jest.fn(),
+}))
+jest.mock("../../utils/marketData", () => ({}))
+jest.mock("../../utils/viewCounter", () => ({}))
+jest.mock("../../utils/trendingService", () => ({}))
+
+const { Recommend } = require("../../models")
+const quoteStore = require("../../utils/quoteStore")
+const tradingCalendar = require("../../utils/tradingCalendar")
+const stockUpdateJob = require("../../utils/stockUpdateJob")
+
+const buildPending = (id, stockOverrides = {}) => ({
+  id,
+  stock_code: "600519",
+  direction: "long",
+  start_date: new Date("2024-03-04T01:30:00Z"),
+  fillPending: jest.fn(),
+  cancelUnfilled: jest.fn(),
+  stock: {
+    code: "600519",
+    market: "SH",
+    current_price: "1688.50",
+    previous_close: "1650.00",
+    getEntryRestriction: jest.fn(() => null),
+    ...stockOverrides,
+  },
+})
+
+describe("fillPendingRecommends", () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  test("按有效期内的开盘行情成交", async () => {
+    const recommend = buildPending(1)
+    const quote = { price: 1690, open: 1680, timestamp: new Date() }
+    Recommend.findAll.mockResolvedValue([recommend])
+    quoteStore.getFresh.mockResolvedValue(quote)
+
+    await stockUpdateJob.fillPendingRecommends(["SH"])
+
+    expect(quoteStore.getFresh).toHaveBeenCalledWith(
+      recommend.stock,
+      expect.any(Date)
+    )
+    expect(recommend.fillPending).toHaveBeenCalledWith(
+      quote,
+      "SH",
+      expect.any(Date)
+    )
+  })
+
+  test("没有有效行情时继续排队", async () => {
+    const recommend = buildPending(1)
+    Recommend.findAll.mockResolvedValue([recommend])
+    quoteStore.getFresh.mockResolvedValue(null)
+
+    await stockUpdateJob.fillPendingRecommends(["SH"])
+
+    expect(recommend.fillPending).not.toHaveBeenCalled()
+  })
+
+  test("停牌或封板时不成交", async () => {
+    const suspended = buildPending(1, {
+      getEntryRestriction: jest.fn(() => "suspended"),
+    })
+    const sealed = buildPending(2, {
+      getEntryRestriction: jest.fn((quote) => (quote ? "limit_up" : null)),
+    })
+    Recommend.findAll.mockResolvedValue([suspended, sealed])
+    quoteStore.getFresh.mockResolvedValue({ price: 11, timestamp: new Date() })
+
+    await stockUpdateJob.fillPendingRecommends(["SH"])
+
+    expect(quoteStore.getFresh).toHaveBeenCalledTimes(1)
+    expect(suspended.fillPending).not.toHaveBeenCalled()
+    expect(sealed.fillPending).not.toHaveBeenCalled()
+  })
+
+  test("单条成交失败不影响其他推荐", async () => {
+    const failing = buildPending(1)
+    const filling = buildPending(2)
+    failing.fillPending.mockRejectedValue(new Error("db error"))
+    Recommend.findAll.mockResolvedValue([failing, filling])
+    quoteStore.getFresh.mockResolvedValue({
+      price: 1690,
+      timestamp: new Date(),
+    })
+
+    await stockUpdateJob.fillPendingRecommends(["SH"])
+
+    expect(filling.fillPending).toHaveBeenCalled()
+  })
+})
+
+describe("cancelUnfilledRecommends", () => {
+  const now = new Date("2024-03-04T08:00:00Z")
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    tradingCalendar.firstTradingDayOnOrAfter.mockReturnValue("2024-03-04")
+  })
+
+  test("计划成交日收盘后仍未成交的推荐取消并记录原因", async () => {
+    const noQuote = buildPending(1)
+    const sealed = buildPending(2, {
+      getEntryRestriction: jest.fn(() => "limit_up"),
+    })
+    Recommend.findAll.mockResolvedValue([noQuote, sealed])
+    tradingCalendar.getSessionClose.mockReturnValue(
+      new Date("2024-03-04T07:00:00Z")
+    )
+
+    await stockUpdateJob.cancelUnfilledRecommends(now)
+
+    expect(noQuote.cancelUnfilled).toHaveBeenCalledWith("no_quote")
+    expect(sealed.cancelUnfilled).toHaveBeenCalledWith("limit_up")
+    expect(sealed.stock.getEntryRestriction).toHaveBeenCalledWith(
+      { price: "1688.50", previousClose: "1650.00" },
+      "long"
+    )
+  })
+
+  test("计划成交日尚未收盘时保留排队", async () => {
+    const recommend = buildPending(1)
+    Recommend.findAll.mockResolvedValue([recommend])
+    tradingCalendar.getSessionClose.mockReturnValue(
+      new Date("2024-03-04T09:00:00Z")
+    )
+
+    await stockUpdateJob.cancelUnfilledRecommends(now)
+
+    expect(recommend.cancelUnfilled).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,273 @@
+// utils/achievementEngine.js
+// 成就引擎：按声明式规则在推荐结算（recommend.settled）和排行计算完成（ranking.calculated）后
+// 为用户记录成就；scripts/backfillAchievements.js 用同一套规则回填历史数据
+const { Op } = require("sequelize")
+const eventBus = require("./eventBus")
+const logger = require("./logger")
+
+// 成就规则
+// settlement：用户的累计统计 stat 在某次结算后达到 min（统计字段与 User 一致）
+// ranking：已结束周期的 rankingType 排行中名次不超过 maxRank 且周期内有推荐，
+//   consecutive 为需要连续达成的周期数；repeatable 的成就每个周期记录一次
+const RULES = [
+  {
+    key: "first_win",
+    name: "首胜",
+    description: "第一次推荐成功",
+    event: "settlement",
+    stat: "success_recommends",
+    min: 1,
+  },
+  {
+    key: "wins_50",
+    name: "五十胜",
+    description: "累计 50 次推荐成功",
+    event: "settlement",
+    stat: "success_recommends",
+    min: 50,
+  },
+  {
+    key: "streak_5",
+    name: "五连胜",
+    description: "连续 5 次推荐成功",
+    event: "settlement",
+    stat: "max_streak",
+    min: 5,
+  },
+  {
+    key: "streak_10",
+    name: "十连胜",
+    description: "连续 10 次推荐成功",
+    event: "settlement",
+    stat: "max_streak",
+    min: 10,
+  },
+  {
+    key: "picks_100",
+    name: "百次推荐",
+    description: "累计 100 次推荐完成结算",
+    event: "settlement",
+    stat: "total_recommends",
+    min: 100,
+  },
+  {
+    key: "weekly_champion",
+    name: "周冠军",
+    description: "获得周榜第一名",
+    event: "ranking",
+    rankingType: "weekly",
+    maxRank: 1,
+    repeatable: true,
+  },
+  {
+    key: "monthly_champion",
+    name: "月冠军",
+    description: "获得月榜第一名",
+    event: "ranking",
+    rankingType: "monthly",
+    maxRank: 1,
+    repeatable: true,
+  },
+  {
+    key: "monthly_top10_streak",
+    name: "三月连榜",
+    description: "连续 3 个月进入月榜前十",
+    event: "ranking",
+    rankingType: "monthly",
+    maxRank: 10,
+    consecutive: 3,
+  },
+]
+
+class AchievementEngine {
+  constructor() {
+    this.queue = Promise.resolve()
+    this.isListening = false
+  }
+
+  getRules() {
+    return RULES
+  }
+
+  getRule(key) {
+    return RULES.find((rule) => rule.key === key) || null
+  }
+
+  // 订阅推荐结算和排行计算事件
+  init() {
+    if (this.isListening) {
+      return
+    }
+
+    eventBus.on("recommend.settled", (payload) =>
+      this.enqueue(
+        () => this.onSettled(payload),
+        `推荐 ${payload.recommend.id}`
+      )
+    )
+    eventBus.on("ranking.calculated", (payload) =>
+      this.enqueue(
+        () => this.onRankingCalculated(payload),
+        `排行 ${payload.type} ${payload.period}`
+      )
+    )
+    this.isListening = true
+  }
+
+  // 同一进程内按顺序处理，避免同一成就并发写入
+  enqueue(handler, label) {
+    const task = this.queue.then(handler)
+    this.queue = task.catch((error) => {
+      logger.error(`评估成就失败 [${label}]:`, error)
+    })
+    return this.queue
+  }
+
+  // 累计统计满足的结算规则
+  matchStats(stats) {
+    return RULES.filter(
+      (rule) =>
+        rule.event === "settlement" &&
+        (parseInt(stats[rule.stat]) || 0) >= rule.min
+    )
+  }
+
+  // 本次结算使累计统计达到的结算规则（结算前未满足、结算后满足）
+  matchSettlement(before, after) {
+    const matchedBefore = new Set(
+      this.matchStats(before).map((rule) => rule.key)
+    )
+    return this.matchStats(after).filter((rule) => !matchedBefore.has(rule.key))
+  }
+
+  // 记录成就并通知用户，已获得时返回 false
+  async award(userId, rule, options = {}, notify = true) {
+    const { UserAchievement, Notification } = require("../models")
+
+    const achievement = await UserAchievement.award(userId, rule.key, options)
+    if (!achievement) {
+      return false
+    }
+
+    logger.info(`用户 ${userId} 获得成就 ${rule.name} ${options.scope || ""}`)
+    if (notify) {
+      await Notification.notify(
+        userId,
+        "achievement",
+        `获得成就「${rule.name}」`,
+        rule.description,
+        { achievement_key: rule.key, scope: achievement.scope }
+      )
+    }
+    return true
+  }
+
+  // 推荐结算后按本次结算前后作者的累计统计评估，只记录由这次结算达成的成就，
+  // 成就时间和关联推荐即本次结算（累计统计在结算事务中记录，不受之后的结算影响）
+  async onSettled({ recommend, settlement, userStats }) {
+    if (!userStats) {
+      return
+    }
+
+    const { before, after } = userStats
+    for (const rule of this.matchSettlement(before, after)) {
+      await this.award(recommend.user_id, rule, {
+        achievedAt: settlement.createdAt,
+        data: { recommend_id: recommend.id },
+      })
+    }
+  }
+
+  // 只评估已结束周期的排行（周期内名次仍会变化），如定时任务计算的上周、上月最终排行
+  async onRankingCalculated({ type, period, rankings }) {
+    const { Ranking } = require("../models")
+
+    if (period >= Ranking.getCurrentPeriod(type)) {
+      return
+    }
+    await this.evaluateRanking(type, period, rankings, new Date())
+  }
+
+  // 按一个已结束周期的排行评估排行规则，返回新获得的成就数
+  async evaluateRanking(type, period, rankings, achievedAt, notify = true) {
+    let awarded = 0
+
+    for (const rule of RULES) {
+      if (rule.event !== "ranking" || rule.rankingType !== type) {
+        continue
+      }
+
+      const qualified = rankings.filter(
+        (entry) => entry.rank <= rule.maxRank && entry.total_recommends > 0
+      )
+      const userIds =
+        rule.consecutive > 1
+          ? await this.filterConsecutive(
+              type,
+              period,
+              qualified.map((entry) => entry.user_id),
+              rule
+            )
+          : qualified.map((entry) => entry.user_id)
+
+      for (const entry of qualified) {
+        if (!userIds.includes(entry.user_id)) {
+          continue
+        }
+
+        const created = await this.award(
+          entry.user_id,
+          rule,
+          {
+            scope: rule.repeatable ? period : "",
+            achievedAt,
+            data: { ranking_type: type, period, rank: entry.rank },
+          },
+          notify
+        )
+        if (created) {
+          awarded++
+        }
+      }
+    }
+
+    return awarded
+  }
+
+  // 之前 consecutive - 1 个周期也都达成名次条件的用户
+  async filterConsecutive(type, period, userIds, rule) {
+    const { Ranking } = require("../models")
+
+    if (userIds.length === 0) {
+      return []
+    }
+
+    const periods = []
+    let previous = period
+    for (let i = 1; i < rule.consecutive; i++) {
+      previous = Ranking.getPreviousPeriod(type, previous)
+      periods.push(previous)
+    }
+
+    const rows = await Ranking.findAll({
+      where: {
+        ranking_type: type,
+        period: periods,
+        user_id: userIds,
+        rank: { [Op.lte]: rule.maxRank },
+        total_recommends: { [Op.gt]: 0 },
+      },
+      attributes: ["user_id"],
+      raw: true,
+    })
+
+    const counts = {}
+    rows.forEach((row) => {
+      counts[row.user_id] = (counts[row.user_id] || 0) + 1
+    })
+    return userIds.filter((userId) => counts[userId] === periods.length)
+  }
+}
+
+// 导出单例
+module.exports = new AchievementEngine()
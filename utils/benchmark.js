@@ -0,0 +1,93 @@
+// utils/benchmark.js
+// 基准指数：记录推荐期间的同期基准收益，计算超额收益（alpha）
+const logger = require("./logger")
+
+// 基准指数以 is_index 股票记录维护行情和日线
+const BENCHMARKS = {
+  "000300": { code: "000300", name: "沪深300", market: "SH" },
+  HSI: { code: "HSI", name: "恒生指数", market: "HK" },
+}
+
+// 各市场使用的基准指数（美股暂无基准）
+const MARKET_BENCHMARKS = {
+  SH: "000300",
+  SZ: "000300",
+  HK: "HSI",
+}
+
+// 推荐成功判定规则：direction 按绝对收益方向，alpha 按相对基准的超额收益
+const SUCCESS_RULES = ["direction", "alpha"]
+
+class Benchmark {
+  getBenchmarks() {
+    return Object.values(BENCHMARKS)
+  }
+
+  getBenchmarkCode(market) {
+    return MARKET_BENCHMARKS[market] || null
+  }
+
+  isBenchmark(code) {
+    return Object.prototype.hasOwnProperty.call(BENCHMARKS, code)
+  }
+
+  // 默认成功判定规则，可通过 SUCCESS_RULE 配置
+  getDefaultSuccessRule() {
+    const rule = process.env.SUCCESS_RULE
+    if (rule && !SUCCESS_RULES.includes(rule)) {
+      logger.warn(`未知的推荐判定规则: ${rule}，使用 direction`)
+      return "direction"
+    }
+    return rule || "direction"
+  }
+
+  isValidSuccessRule(rule) {
+    return SUCCESS_RULES.includes(rule)
+  }
+
+  // 获取指数点位：指定交易日时取当日收盘，否则取最新点位
+  async getLevel(code, tradeDate = null) {
+    const { Stock, StockPrice } = require("../models")
+
+    if (tradeDate) {
+      const bar = await StockPrice.findOne({
+        where: { stock_code: code, trade_date: tradeDate },
+      })
+      if (bar) {
+        return parseFloat(bar.close)
+      }
+    }
+
+    const index = await Stock.findByCode(code)
+    if (!index || !index.current_price) {
+      return null
+    }
+    return parseFloat(index.current_price)
+  }
+
+  // 推荐创建时的基准快照
+  async snapshot(market) {
+    const code = this.getBenchmarkCode(market)
+    if (!code) {
+      return { code: null, level: null }
+    }
+
+    try {
+      return { code, level: await this.getLevel(code) }
+    } catch (error) {
+      logger.error(`获取基准 ${code} 点位失败:`, error.message)
+      return { code, level: null }
+    }
+  }
+
+  // 区间收益率(%)
+  computeReturn(entryLevel, exitLevel) {
+    if (!entryLevel || !exitLevel) {
+      return null
+    }
+    return ((exitLevel - entryLevel) / entryLevel) * 100
+  }
+}
+
+// 导出单例
+module.exports = new Benchmark()
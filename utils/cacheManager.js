@@ -1,10 +1,95 @@
 const redis = require("redis")
 const logger = require("./logger")
 
+// 内存有序集合（未配置 Redis 时使用）：按 (score, value) 升序保存，名次查询为二分查找
+class MemorySortedSet {
+  constructor() {
+    this.scores = new Map()
+    this.items = []
+  }
+
+  get size() {
+    return this.items.length
+  }
+
+  // 第一个不小于 item 的位置
+  lowerBound(item) {
+    let low = 0
+    let high = this.items.length
+    while (low < high) {
+      const mid = (low + high) >> 1
+      const current = this.items[mid]
+      const before =
+        current.score < item.score ||
+        (current.score === item.score && current.value < item.value)
+      if (before) {
+        low = mid + 1
+      } else {
+        high = mid
+      }
+    }
+    return low
+  }
+
+  add(value, score) {
+    this.remove(value)
+    const item = { value, score }
+    this.items.splice(this.lowerBound(item), 0, item)
+    this.scores.set(value, score)
+  }
+
+  remove(value) {
+    if (!this.scores.has(value)) {
+      return false
+    }
+    const index = this.lowerBound({ value, score: this.scores.get(value) })
+    this.items.splice(index, 1)
+    this.scores.delete(value)
+    return true
+  }
+
+  rank(value) {
+    if (!this.scores.has(value)) {
+      return null
+    }
+    return this.lowerBound({ value, score: this.scores.get(value) })
+  }
+
+  range(start, stop) {
+    const end = stop < 0 ? this.items.length + stop : stop
+    return this.items.slice(start, end + 1).map((item) => ({ ...item }))
+  }
+
+  // 字典序区间边界的位置："-"、"+"、"[值"（含）、"(值"（不含）
+  // 与 Redis 一致，只在所有成员分数相同时有意义
+  lexIndex(bound, isMin) {
+    if (bound === "-") return 0
+    if (bound === "+") return this.items.length
+
+    const value = bound.slice(1)
+    const score = this.items.length > 0 ? this.items[0].score : 0
+    const index = this.lowerBound({ value, score })
+    const exists = this.scores.has(value)
+    const inclusive = bound[0] === "["
+    return exists && inclusive !== isMin ? index + 1 : index
+  }
+
+  lexCount(min, max) {
+    return Math.max(0, this.lexIndex(max, false) - this.lexIndex(min, true))
+  }
+
+  rangeByLex(min, max, offset, count) {
+    const start = this.lexIndex(min, true) + offset
+    const end = Math.min(this.lexIndex(max, false), start + count)
+    return this.items.slice(start, end).map((item) => ({ ...item }))
+  }
+}
+
 class CacheManager {
   constructor() {
     this.client = null
     this.isConnected = false
+    this.hasConnected = false
     this.defaultTTL = 300 // 默认5分钟过期
   }
 
@@ -19,42 +104,54 @@ class CacheManager {
       }
 
       this.client = redis.createClient({
-        host: process.env.REDIS_HOST || "localhost",
-        port: process.env.REDIS_PORT || 6379,
-        password: process.env.REDIS_PASSWORD || undefined,
-        retry_strategy: (options) => {
-          if (options.error && options.error.code === "ECONNREFUSED") {
-            logger.error("Redis连接被拒绝")
-            return new Error("Redis连接被拒绝")
-          }
-          if (options.total_retry_time > 1000 * 60 * 60) {
-            logger.error("Redis重试超时")
-            return new Error("Redis重试超时")
-          }
-          if (options.attempt > 10) {
-            return undefined
-          }
-          return Math.min(options.attempt * 100, 3000)
+        socket: {
+          host: process.env.REDIS_HOST || "localhost",
+          port: parseInt(process.env.REDIS_PORT) || 6379,
+          // 首次连接重试 3 次后放弃（改用内存缓存），连接成功后断线则持续重连
+          reconnectStrategy: (retries, cause) => {
+            if (!this.hasConnected && retries >= 3) {
+              return cause
+            }
+            return Math.min((retries + 1) * 100, 3000)
+          },
         },
+        password: process.env.REDIS_PASSWORD || undefined,
       })
 
-      await this.client.connect()
-
-      this.client.on("connect", () => {
+      // 连接状态：断线重连期间 isConnected 为 false，读写返回空结果
+      this.client.on("ready", () => {
         this.isConnected = true
+        this.hasConnected = true
         logger.info("Redis连接成功")
       })
 
+      this.client.on("reconnecting", () => {
+        this.isConnected = false
+        logger.warn("Redis连接断开，正在重连")
+      })
+
+      this.client.on("end", () => {
+        this.isConnected = false
+      })
+
       this.client.on("error", (err) => {
         this.isConnected = false
         logger.error("Redis错误:", err)
       })
+
+      await this.client.connect()
+      this.isConnected = true
     } catch (error) {
       logger.error("初始化缓存失败:", error)
       this.useMemoryCache()
     }
   }
 
+  // 缓存是否可用（内存缓存或 Redis 已连接）
+  isAvailable() {
+    return Boolean(this.memoryCache) || this.isConnected
+  }
+
   // 使用内存缓存作为后备方案
   useMemoryCache() {
     this.memoryCache = new Map()
@@ -165,6 +262,361 @@ class CacheManager {
     }
   }
 
+  // 键不存在时设置缓存，返回是否设置成功（用于去重）
+  async setIfAbsent(key, value, ttl = this.defaultTTL) {
+    try {
+      const jsonValue = JSON.stringify(value)
+
+      if (this.memoryCache) {
+        const item = this.memoryCache.get(key)
+        if (item && (!item.expireAt || item.expireAt > Date.now())) {
+          return false
+        }
+        this.memoryCache.set(key, {
+          value: jsonValue,
+          expireAt: ttl > 0 ? Date.now() + ttl * 1000 : null,
+        })
+        return true
+      }
+
+      if (!this.isConnected) return false
+
+      const result = await this.client.set(key, jsonValue, {
+        NX: true,
+        ...(ttl > 0 ? { EX: ttl } : {}),
+      })
+      return result === "OK"
+    } catch (error) {
+      logger.error(`设置缓存失败 [${key}]:`, error)
+      return false
+    }
+  }
+
+  // 计数器累加，首次累加时设置过期时间，返回累加后的值（用于限流）
+  async incr(key, ttl = this.defaultTTL) {
+    try {
+      if (this.memoryCache) {
+        const item = this.memoryCache.get(key)
+        const live = item && (!item.expireAt || item.expireAt > Date.now())
+        const count = live ? JSON.parse(item.value) + 1 : 1
+        this.memoryCache.set(key, {
+          value: JSON.stringify(count),
+          expireAt: live
+            ? item.expireAt
+            : ttl > 0
+            ? Date.now() + ttl * 1000
+            : null,
+        })
+        return count
+      }
+
+      if (!this.isConnected) return null
+
+      const count = await this.client.incr(key)
+      if (count === 1 && ttl > 0) {
+        await this.client.expire(key, ttl)
+      }
+      return count
+    } catch (error) {
+      logger.error(`累加计数失败 [${key}]:`, error)
+      return null
+    }
+  }
+
+  // 哈希字段累加（用于计数缓冲）
+  async hIncrBy(key, field, increment = 1) {
+    try {
+      if (this.memoryCache) {
+        const item = this.memoryCache.get(key)
+        const hash = item ? JSON.parse(item.value) : {}
+        hash[field] = (hash[field] || 0) + increment
+        this.memoryCache.set(key, {
+          value: JSON.stringify(hash),
+          expireAt: null,
+        })
+        return hash[field]
+      }
+
+      if (!this.isConnected) return null
+
+      return await this.client.hIncrBy(key, String(field), increment)
+    } catch (error) {
+      logger.error(`累加缓存失败 [${key}]:`, error)
+      return null
+    }
+  }
+
+  // 取出并清空哈希，返回 { 字段: 数值 }；取出期间的新累加写入新的哈希
+  async hTakeAll(key) {
+    try {
+      if (this.memoryCache) {
+        const item = this.memoryCache.get(key)
+        this.memoryCache.delete(key)
+        return item ? JSON.parse(item.value) : {}
+      }
+
+      if (!this.isConnected) return {}
+
+      if (!(await this.client.exists(key))) {
+        return {}
+      }
+
+      // 先改名再读取，保证读取和清空之间的累加不会丢失
+      const takingKey = `${key}:taking:${Date.now()}`
+      await this.client.rename(key, takingKey)
+      const hash = await this.client.hGetAll(takingKey)
+      await this.client.del(takingKey)
+
+      return Object.entries(hash).reduce((acc, [field, value]) => {
+        acc[field] = parseInt(value)
+        return acc
+      }, {})
+    } catch (error) {
+      logger.error(`读取计数缓存失败 [${key}]:`, error)
+      return {}
+    }
+  }
+
+  // 哈希：写入多个字段 { 字段: 值 }
+  async hSet(key, values) {
+    try {
+      if (this.memoryCache) {
+        const item = this.memoryCache.get(key)
+        const hash = item ? JSON.parse(item.value) : {}
+        Object.assign(hash, values)
+        this.memoryCache.set(key, {
+          value: JSON.stringify(hash),
+          expireAt: null,
+        })
+        return true
+      }
+
+      if (!this.isConnected) return false
+
+      await this.client.hSet(key, values)
+      return true
+    } catch (error) {
+      logger.error(`写入哈希缓存失败 [${key}]:`, error)
+      return false
+    }
+  }
+
+  // 哈希：读取多个字段，返回与 fields 顺序对应的数组（不存在的字段为 null）
+  async hmGet(key, fields) {
+    try {
+      if (fields.length === 0) return []
+
+      if (this.memoryCache) {
+        const item = this.memoryCache.get(key)
+        const hash = item ? JSON.parse(item.value) : {}
+        return fields.map((field) =>
+          hash[field] !== undefined ? String(hash[field]) : null
+        )
+      }
+
+      if (!this.isConnected) return fields.map(() => null)
+
+      return await this.client.hmGet(key, fields.map(String))
+    } catch (error) {
+      logger.error(`读取哈希缓存失败 [${key}]:`, error)
+      return fields.map(() => null)
+    }
+  }
+
+  // 哈希：删除字段
+  async hDel(key, fields) {
+    try {
+      if (fields.length === 0) return true
+
+      if (this.memoryCache) {
+        const item = this.memoryCache.get(key)
+        if (!item) return true
+        const hash = JSON.parse(item.value)
+        fields.forEach((field) => delete hash[field])
+        this.memoryCache.set(key, {
+          value: JSON.stringify(hash),
+          expireAt: null,
+        })
+        return true
+      }
+
+      if (!this.isConnected) return false
+
+      await this.client.hDel(key, fields.map(String))
+      return true
+    } catch (error) {
+      logger.error(`删除哈希字段失败 [${key}]:`, error)
+      return false
+    }
+  }
+
+  // 内存有序集合（不存在时按需创建）
+  getMemorySortedSet(key, create = false) {
+    const item = this.memoryCache.get(key)
+    if (item && item.sortedSet) {
+      return item.sortedSet
+    }
+    if (!create) {
+      return null
+    }
+
+    const sortedSet = new MemorySortedSet()
+    this.memoryCache.set(key, { sortedSet, expireAt: null })
+    return sortedSet
+  }
+
+  // 有序集合：写入成员，members 为 [{ score, value }]
+  async zAdd(key, members) {
+    try {
+      if (members.length === 0) return true
+
+      if (this.memoryCache) {
+        const sortedSet = this.getMemorySortedSet(key, true)
+        members.forEach(({ score, value }) => sortedSet.add(value, score))
+        return true
+      }
+
+      if (!this.isConnected) return false
+
+      await this.client.zAdd(key, members)
+      return true
+    } catch (error) {
+      logger.error(`写入有序集合失败 [${key}]:`, error)
+      return false
+    }
+  }
+
+  // 有序集合：删除成员
+  async zRem(key, values) {
+    try {
+      if (this.memoryCache) {
+        const sortedSet = this.getMemorySortedSet(key)
+        if (sortedSet) {
+          values.forEach((value) => sortedSet.remove(value))
+        }
+        return true
+      }
+
+      if (!this.isConnected) return false
+
+      await this.client.zRem(key, values)
+      return true
+    } catch (error) {
+      logger.error(`删除有序集合成员失败 [${key}]:`, error)
+      return false
+    }
+  }
+
+  // 有序集合：成员按分数升序的名次（从 0 开始），不存在时返回 null
+  async zRank(key, value) {
+    try {
+      if (this.memoryCache) {
+        const sortedSet = this.getMemorySortedSet(key)
+        return sortedSet ? sortedSet.rank(value) : null
+      }
+
+      if (!this.isConnected) return null
+
+      return await this.client.zRank(key, value)
+    } catch (error) {
+      logger.error(`读取有序集合名次失败 [${key}]:`, error)
+      return null
+    }
+  }
+
+  // 有序集合：按名次区间读取（含两端，stop 为 -1 表示到末尾），返回 [{ value, score }]
+  async zRange(key, start, stop) {
+    try {
+      if (this.memoryCache) {
+        const sortedSet = this.getMemorySortedSet(key)
+        return sortedSet ? sortedSet.range(start, stop) : []
+      }
+
+      if (!this.isConnected) return []
+
+      return await this.client.zRangeWithScores(key, start, stop)
+    } catch (error) {
+      logger.error(`读取有序集合失败 [${key}]:`, error)
+      return []
+    }
+  }
+
+  // 有序集合：按字典序区间读取（成员分数都相同时），返回 [{ value, score }]
+  // min、max 为 "-"、"+"、"[值"（含）或 "(值"（不含）
+  async zRangeByLex(key, min, max, offset = 0, count = 50) {
+    try {
+      if (this.memoryCache) {
+        const sortedSet = this.getMemorySortedSet(key)
+        return sortedSet ? sortedSet.rangeByLex(min, max, offset, count) : []
+      }
+
+      if (!this.isConnected) return []
+
+      const values = await this.client.zRangeByLex(key, min, max, {
+        LIMIT: { offset, count },
+      })
+      return values.map((value) => ({ value, score: 0 }))
+    } catch (error) {
+      logger.error(`读取有序集合失败 [${key}]:`, error)
+      return []
+    }
+  }
+
+  // 有序集合：字典序区间内的成员数（成员分数都相同时）
+  async zLexCount(key, min, max) {
+    try {
+      if (this.memoryCache) {
+        const sortedSet = this.getMemorySortedSet(key)
+        return sortedSet ? sortedSet.lexCount(min, max) : 0
+      }
+
+      if (!this.isConnected) return 0
+
+      return await this.client.zLexCount(key, min, max)
+    } catch (error) {
+      logger.error(`读取有序集合失败 [${key}]:`, error)
+      return 0
+    }
+  }
+
+  // 有序集合：成员数
+  async zCard(key) {
+    try {
+      if (this.memoryCache) {
+        const sortedSet = this.getMemorySortedSet(key)
+        return sortedSet ? sortedSet.size : 0
+      }
+
+      if (!this.isConnected) return 0
+
+      return await this.client.zCard(key)
+    } catch (error) {
+      logger.error(`读取有序集合失败 [${key}]:`, error)
+      return 0
+    }
+  }
+
+  // 重命名键（覆盖已有的目标键），用于整体替换
+  async rename(key, newKey) {
+    try {
+      if (this.memoryCache) {
+        const item = this.memoryCache.get(key)
+        if (!item) return false
+        this.memoryCache.set(newKey, item)
+        this.memoryCache.delete(key)
+        return true
+      }
+
+      if (!this.isConnected) return false
+
+      await this.client.rename(key, newKey)
+      return true
+    } catch (error) {
+      logger.error(`重命名缓存失败 [${key}]:`, error)
+      return false
+    }
+  }
+
   // 缓存装饰器
   cache(keyPrefix, ttl = this.defaultTTL) {
     return (target, propertyName, descriptor) => {
@@ -0,0 +1,23 @@
+// utils/eventBus.js
+// 进程内事件总线：业务事件发布后由订阅方异步处理，处理失败只记录日志，不影响发布方
+// 事件：recommend.settled { recommend, settlement, userStats } 推荐结算完成（userStats 为作者结算前后的累计统计）
+//      ranking.calculated { type, period, rankings } 排行全量计算完成
+//      user.deactivated { userId } 用户注销
+const EventEmitter = require("events")
+const logger = require("./logger")
+
+class EventBus extends EventEmitter {
+  // 发布事件，各监听器在当前调用结束后依次开始执行
+  publish(event, payload) {
+    this.listeners(event).forEach((listener) => {
+      Promise.resolve()
+        .then(() => listener(payload))
+        .catch((error) => {
+          logger.error(`处理事件 ${event} 失败:`, error)
+        })
+    })
+  }
+}
+
+// 导出单例
+module.exports = new EventBus()
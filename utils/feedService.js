@@ -0,0 +1,149 @@
+// utils/feedService.js
+// 关注动态：合并关注用户发布的推荐和推荐结算，按时间倒序游标分页；
+// 不公开推荐（settings.publicRecommends 为 false）的用户不出现在动态中
+const { Op } = require("sequelize")
+const pagination = require("./pagination")
+
+const USER_ATTRIBUTES = ["id", "nickname", "avatar", "level"]
+const STOCK_ATTRIBUTES = ["name", "current_price", "change_percent", "market"]
+
+class FeedService {
+  // 获取用户的关注动态
+  // 游标记录推荐和结算两个数据源各自读到的位置 { r: { t, id }, s: { t, id } }
+  async getTimeline(userId, cursor, limit = 20) {
+    const pageSize = parseInt(limit)
+    const position = pagination.decodeCursor(cursor) || {}
+
+    const authorIds = await this.getVisibleAuthorIds(userId)
+    if (authorIds.length === 0) {
+      return { items: [], nextCursor: null }
+    }
+
+    const [recommends, settlements] = await Promise.all([
+      this.findRecommends(authorIds, position.r, pageSize + 1),
+      this.findSettlements(authorIds, position.s, pageSize + 1),
+    ])
+
+    const entries = [
+      ...recommends.map((recommend) => ({
+        source: "r",
+        time: recommend.createdAt,
+        id: recommend.id,
+        item: {
+          type: "recommend",
+          time: recommend.createdAt,
+          user: recommend.user,
+          recommend,
+        },
+      })),
+      ...settlements.map((settlement) => ({
+        source: "s",
+        time: settlement.createdAt,
+        id: settlement.id,
+        item: {
+          type: "settlement",
+          time: settlement.createdAt,
+          user: settlement.recommend.user,
+          recommend: settlement.recommend,
+          settlement,
+        },
+      })),
+    ].sort((a, b) => b.time - a.time || (a.source < b.source ? -1 : 1))
+
+    const page = entries.slice(0, pageSize)
+    if (entries.length <= pageSize) {
+      return { items: page.map((entry) => entry.item), nextCursor: null }
+    }
+
+    // 下一页从每个数据源本页最后一条之后继续
+    const next = { r: position.r, s: position.s }
+    page.forEach((entry) => {
+      next[entry.source] = { t: new Date(entry.time).getTime(), id: entry.id }
+    })
+
+    return {
+      items: page.map((entry) => entry.item),
+      nextCursor: pagination.encodeCursor(next),
+    }
+  }
+
+  // 关注的、状态正常且公开推荐的用户ID
+  async getVisibleAuthorIds(userId) {
+    const { User, Follow } = require("../models")
+
+    const followingIds = await Follow.getFollowingIds(userId)
+    if (followingIds.length === 0) {
+      return []
+    }
+
+    const users = await User.findAll({
+      where: { id: followingIds, status: "active" },
+      attributes: ["id", "settings"],
+    })
+    return users
+      .filter((user) => user.isRecommendsPublic())
+      .map((user) => user.id)
+  }
+
+  // 按 (created_at, id) 倒序读取游标之后的记录
+  buildWhere(where, position) {
+    if (!position) {
+      return where
+    }
+
+    const time = new Date(position.t)
+    return {
+      ...where,
+      [Op.or]: [
+        { created_at: { [Op.lt]: time } },
+        { created_at: time, id: { [Op.lt]: position.id } },
+      ],
+    }
+  }
+
+  findRecommends(authorIds, position, limit) {
+    const { Recommend, User, Stock } = require("../models")
+
+    return Recommend.findAll({
+      where: this.buildWhere(
+        { user_id: authorIds, status: { [Op.ne]: "cancelled" } },
+        position
+      ),
+      include: [
+        { model: User, as: "user", attributes: USER_ATTRIBUTES },
+        { model: Stock, as: "stock", attributes: STOCK_ATTRIBUTES },
+      ],
+      order: [
+        ["created_at", "DESC"],
+        ["id", "DESC"],
+      ],
+      limit,
+    })
+  }
+
+  findSettlements(authorIds, position, limit) {
+    const { Settlement, Recommend, User, Stock } = require("../models")
+
+    return Settlement.findAll({
+      where: this.buildWhere({ user_id: authorIds }, position),
+      include: [
+        {
+          model: Recommend,
+          as: "recommend",
+          include: [
+            { model: User, as: "user", attributes: USER_ATTRIBUTES },
+            { model: Stock, as: "stock", attributes: STOCK_ATTRIBUTES },
+          ],
+        },
+      ],
+      order: [
+        ["created_at", "DESC"],
+        ["id", "DESC"],
+      ],
+      limit,
+    })
+  }
+}
+
+// 导出单例
+module.exports = new FeedService()
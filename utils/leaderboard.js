@@ -0,0 +1,476 @@
+// utils/leaderboard.js
+// 实时排行榜：每个排行（类型 + 周期）保存为一个有序集合，名次、附近用户、前 N 名和分数区间查询
+// 都是 O(log n)；MySQL rankings 表为持久快照，有序集合为空时（如 Redis 重启后）从快照加载。
+// 成员分数都为 0，按成员字典序排列；并列用户的成员前缀（成绩）相同，名次按成绩分组计算。
+// 未配置 Redis 时使用 cacheManager 的内存有序集合；Redis 断线期间直接查询快照
+const { Op } = require("sequelize")
+const cacheManager = require("./cacheManager")
+
+const KEY_PREFIX = "leaderboard"
+const BATCH_SIZE = 2000
+
+// 保存在排行榜中的排名字段（名次、并列和徽章按实时名次计算）
+const ENTRY_FIELDS = [
+  "user_id",
+  "score",
+  "period_score",
+  "total_recommends",
+  "success_recommends",
+  "win_rate",
+  "avg_return",
+  "max_return",
+  "avg_alpha",
+  "score_mode",
+  "current_streak",
+  "max_streak",
+  "score_reached_at",
+  "previous_rank",
+  "period_start",
+  "period_end",
+]
+const DECIMAL_FIELDS = ["win_rate", "avg_return", "max_return", "avg_alpha"]
+
+// 定长数字串，字典序与数值顺序一致
+const pad = (value, length) => String(value).padStart(length, "0")
+
+// Redis 断线期间有写入被跳过的排行，重连后丢弃并从快照重新加载
+const staleBoards = new Set()
+
+class Leaderboard {
+  // 有序集合：排名顺序的成员
+  getKey(type, period) {
+    return `${KEY_PREFIX}:${type}:${period}`
+  }
+
+  // 哈希：用户ID -> 排名记录和成员
+  getDataKey(type, period) {
+    return `${this.getKey(type, period)}:data`
+  }
+
+  // 哈希：成绩 -> 取得该成绩的用户数（大于 1 即并列）
+  getGroupsKey(type, period) {
+    return `${this.getKey(type, period)}:groups`
+  }
+
+  // 有序集合：不同的成绩，dense 名次即成绩在其中的位置
+  getScoresKey(type, period) {
+    return `${this.getKey(type, period)}:scores`
+  }
+
+  // 积分编码：积分越高字典序越小
+  encodeScore(score) {
+    return pad(1e12 - score, 13)
+  }
+
+  // 成员：积分、Ranking.getTieBreakers 的各字段、用户ID，各段为定长数字串，
+  // 字典序与 Ranking.compareEntries 一致；去掉用户ID的前缀即成绩
+  encodeMember(entry) {
+    const { Ranking } = require("../models")
+
+    const parts = [this.encodeScore(entry.score)]
+    Ranking.getTieBreakers(entry.score_mode).forEach(({ field, order }) => {
+      const value = entry[field]
+      if (field === "score_reached_at") {
+        // 空值排在最后
+        parts.push(value ? pad(new Date(value).getTime(), 15) : "9".repeat(15))
+      } else {
+        const scaled = Math.round((parseFloat(value) || 0) * 10000)
+        parts.push(pad(order === "DESC" ? 1e12 - scaled : 1e12 + scaled, 13))
+      }
+    })
+    parts.push(pad(entry.user_id, 10))
+    return parts.join(":")
+  }
+
+  decodeUserId(member) {
+    return parseInt(member.split(":").pop())
+  }
+
+  getGroup(member) {
+    return member.slice(0, member.lastIndexOf(":"))
+  }
+
+  serialize(entry, member) {
+    const data = { member }
+    ENTRY_FIELDS.forEach((field) => {
+      data[field] = entry[field] !== undefined ? entry[field] : null
+    })
+    // 快照中的小数字段为字符串
+    DECIMAL_FIELDS.forEach((field) => {
+      data[field] = parseFloat(data[field]) || 0
+    })
+    return JSON.stringify(data)
+  }
+
+  // 排行各个键
+  getKeys(type, period) {
+    return [
+      this.getKey(type, period),
+      this.getDataKey(type, period),
+      this.getGroupsKey(type, period),
+      this.getScoresKey(type, period),
+    ]
+  }
+
+  // 排行的快照查询条件
+  getSnapshotWhere(type, period) {
+    return { ranking_type: type, period, is_active: true }
+  }
+
+  // 从快照按名次顺序读取（Redis 不可用时）
+  async getSnapshotPage(type, period, where, offset, limit) {
+    const { Ranking } = require("../models")
+    const rows = await Ranking.findAll({
+      where: { ...this.getSnapshotWhere(type, period), ...where },
+      order: [
+        ["rank", "ASC"],
+        ["user_id", "ASC"],
+      ],
+      offset,
+      limit,
+    })
+    return rows.map((row) => row.toJSON())
+  }
+
+  // 排行榜中的用户数；有序集合为空时从 MySQL 快照加载，Redis 不可用时返回快照中的用户数
+  async ensureLoaded(type, period) {
+    const key = this.getKey(type, period)
+
+    if (!cacheManager.isAvailable()) {
+      staleBoards.add(key)
+      const { Ranking } = require("../models")
+      return Ranking.count({ where: this.getSnapshotWhere(type, period) })
+    }
+
+    if (staleBoards.has(key)) {
+      for (const k of this.getKeys(type, period)) {
+        await cacheManager.del(k)
+      }
+      staleBoards.delete(key)
+    }
+
+    const count = await cacheManager.zCard(key)
+    if (count > 0) {
+      return count
+    }
+
+    const { Ranking } = require("../models")
+    const rows = await Ranking.findAll({
+      where: this.getSnapshotWhere(type, period),
+      raw: true,
+    })
+    if (rows.length === 0) {
+      return 0
+    }
+
+    await this.rebuild(type, period, rows)
+    return cacheManager.zCard(this.getKey(type, period))
+  }
+
+  // 用完整计算结果替换排行：写入临时键后整体改名
+  async rebuild(type, period, rankings) {
+    const keys = this.getKeys(type, period)
+
+    if (!cacheManager.isAvailable()) {
+      staleBoards.add(keys[0])
+      return
+    }
+    staleBoards.delete(keys[0])
+
+    if (rankings.length === 0) {
+      for (const key of keys) {
+        await cacheManager.del(key)
+      }
+      return
+    }
+
+    const suffix = `rebuilding:${Date.now()}`
+    const [key, dataKey, groupsKey, scoresKey] = keys.map(
+      (k) => `${k}:${suffix}`
+    )
+    const groups = {}
+
+    for (let i = 0; i < rankings.length; i += BATCH_SIZE) {
+      const batch = rankings.slice(i, i + BATCH_SIZE)
+      const members = []
+      const data = {}
+      batch.forEach((entry) => {
+        const member = this.encodeMember(entry)
+        const group = this.getGroup(member)
+        members.push({ score: 0, value: member })
+        data[entry.user_id] = this.serialize(entry, member)
+        groups[group] = (groups[group] || 0) + 1
+      })
+
+      await cacheManager.zAdd(key, members)
+      await cacheManager.hSet(dataKey, data)
+    }
+
+    const groupNames = Object.keys(groups)
+    for (let i = 0; i < groupNames.length; i += BATCH_SIZE) {
+      const batch = groupNames.slice(i, i + BATCH_SIZE)
+      await cacheManager.zAdd(
+        scoresKey,
+        batch.map((group) => ({ score: 0, value: group }))
+      )
+    }
+    await cacheManager.hSet(groupsKey, groups)
+
+    for (const k of keys) {
+      await cacheManager.rename(`${k}:${suffix}`, k)
+    }
+  }
+
+  // 写入或更新一个用户的排名记录；排行尚未加载时跳过（加载时从快照读取最新记录）
+  async update(entry) {
+    const { ranking_type: type, period } = entry
+    const key = this.getKey(type, period)
+    const dataKey = this.getDataKey(type, period)
+    const groupsKey = this.getGroupsKey(type, period)
+    const scoresKey = this.getScoresKey(type, period)
+
+    if (!cacheManager.isAvailable()) {
+      staleBoards.add(key)
+      return
+    }
+
+    if (staleBoards.has(key) || (await cacheManager.zCard(key)) === 0) {
+      return
+    }
+
+    const member = this.encodeMember(entry)
+    const [previous] = await cacheManager.hmGet(dataKey, [entry.user_id])
+    const previousMember = previous ? JSON.parse(previous).member : null
+
+    if (previousMember !== member) {
+      if (previousMember) {
+        await this.removeMember(type, period, previousMember)
+      }
+
+      const group = this.getGroup(member)
+      await cacheManager.zAdd(key, [{ score: 0, value: member }])
+      if ((await cacheManager.hIncrBy(groupsKey, group, 1)) === 1) {
+        await cacheManager.zAdd(scoresKey, [{ score: 0, value: group }])
+      }
+    }
+
+    await cacheManager.hSet(dataKey, {
+      [entry.user_id]: this.serialize(entry, member),
+    })
+  }
+
+  // 从排行中移除一个用户（如账户注销）；排行尚未加载时跳过
+  async remove(type, period, userId) {
+    const key = this.getKey(type, period)
+    const dataKey = this.getDataKey(type, period)
+
+    if (!cacheManager.isAvailable()) {
+      staleBoards.add(key)
+      return
+    }
+
+    if (staleBoards.has(key) || (await cacheManager.zCard(key)) === 0) {
+      return
+    }
+
+    const [previous] = await cacheManager.hmGet(dataKey, [userId])
+    if (!previous) {
+      return
+    }
+
+    await this.removeMember(type, period, JSON.parse(previous).member)
+    await cacheManager.hDel(dataKey, [userId])
+  }
+
+  // 移除成员，成绩无人并列时同时移除该成绩
+  async removeMember(type, period, member) {
+    const groupsKey = this.getGroupsKey(type, period)
+    const group = this.getGroup(member)
+
+    await cacheManager.zRem(this.getKey(type, period), [member])
+    if ((await cacheManager.hIncrBy(groupsKey, group, -1)) <= 0) {
+      await cacheManager.hDel(groupsKey, [group])
+      await cacheManager.zRem(this.getScoresKey(type, period), [group])
+    }
+  }
+
+  // 成绩的名次：competition 为成绩更好的用户数 + 1，dense 为更好的成绩数 + 1
+  async getGroupRank(type, period, group) {
+    const { Ranking } = require("../models")
+
+    if (Ranking.getRankMode() === "dense") {
+      const position = await cacheManager.zRank(
+        this.getScoresKey(type, period),
+        group
+      )
+      return position === null ? null : position + 1
+    }
+
+    const ahead = await cacheManager.zLexCount(
+      this.getKey(type, period),
+      "-",
+      `(${group}`
+    )
+    return ahead + 1
+  }
+
+  // 由连续的成员生成排名记录，firstPosition 为第一个成员的位置（从 1 开始）
+  async hydrate(type, period, members, firstPosition) {
+    const { Ranking } = require("../models")
+
+    if (members.length === 0) {
+      return []
+    }
+
+    const userIds = members.map((item) => this.decodeUserId(item.value))
+    const groups = members.map((item) => this.getGroup(item.value))
+    const [data, counts] = await Promise.all([
+      cacheManager.hmGet(this.getDataKey(type, period), userIds),
+      cacheManager.hmGet(this.getGroupsKey(type, period), groups),
+    ])
+
+    // 只有第一个成员需要查询名次，之后的成员由前一个推出
+    const dense = Ranking.getRankMode() === "dense"
+    let rank = await this.getGroupRank(type, period, groups[0])
+
+    return members.map((item, index) => {
+      if (index > 0 && groups[index] !== groups[index - 1]) {
+        rank = dense ? rank + 1 : firstPosition + index
+      }
+
+      const entry = data[index]
+        ? JSON.parse(data[index])
+        : { user_id: userIds[index] }
+      delete entry.member
+
+      return {
+        ...entry,
+        ranking_type: type,
+        period,
+        rank,
+        is_tied: parseInt(counts[index]) > 1,
+        badge: Ranking.getBadge(type, rank),
+        rank_change: entry.previous_rank ? entry.previous_rank - rank : 0,
+      }
+    })
+  }
+
+  // 按名次分页读取（offset 从 0 开始）
+  async getPage(type, period, offset, limit) {
+    if (!cacheManager.isAvailable()) {
+      return this.getSnapshotPage(type, period, {}, offset, limit)
+    }
+
+    const members = await cacheManager.zRange(
+      this.getKey(type, period),
+      offset,
+      offset + limit - 1
+    )
+    return this.hydrate(type, period, members, offset + 1)
+  }
+
+  // 用户的实时名次，不在排行中时返回 null
+  async getRank(type, period, userId) {
+    const around = await this.getAround(type, period, userId, 0)
+    return around ? around.me : null
+  }
+
+  // 用户及其前后各 radius 名用户
+  async getAround(type, period, userId, radius = 5) {
+    if (!cacheManager.isAvailable()) {
+      return this.getSnapshotAround(type, period, userId, radius)
+    }
+
+    const [data] = await cacheManager.hmGet(this.getDataKey(type, period), [
+      userId,
+    ])
+    if (!data) {
+      return null
+    }
+
+    const key = this.getKey(type, period)
+    const position = await cacheManager.zRank(key, JSON.parse(data).member)
+    if (position === null) {
+      return null
+    }
+
+    const start = Math.max(0, position - radius)
+    const members = await cacheManager.zRange(key, start, position + radius)
+    const entries = await this.hydrate(type, period, members, start + 1)
+
+    return {
+      me: entries[position - start],
+      around: entries,
+    }
+  }
+
+  // 从快照读取用户及其前后各 radius 名用户（位置按名次、用户ID排序）
+  async getSnapshotAround(type, period, userId, radius) {
+    const { Ranking } = require("../models")
+    const board = this.getSnapshotWhere(type, period)
+
+    const me = await Ranking.findOne({
+      where: { ...board, user_id: userId },
+      attributes: ["user_id", "rank"],
+    })
+    if (!me) {
+      return null
+    }
+
+    const position = await Ranking.count({
+      where: {
+        ...board,
+        [Op.or]: [
+          { rank: { [Op.lt]: me.rank } },
+          { rank: me.rank, user_id: { [Op.lt]: me.user_id } },
+        ],
+      },
+    })
+    const start = Math.max(0, position - radius)
+    const entries = await this.getSnapshotPage(
+      type,
+      period,
+      {},
+      start,
+      position - start + radius + 1
+    )
+
+    return {
+      me: entries[position - start],
+      around: entries,
+    }
+  }
+
+  // 积分在 [minScore, maxScore] 之间的用户，按名次排列
+  async getByScoreRange(type, period, minScore, maxScore, offset, limit) {
+    if (!cacheManager.isAvailable()) {
+      return this.getSnapshotPage(
+        type,
+        period,
+        {
+          score: { [Op.between]: [Math.ceil(minScore), Math.floor(maxScore)] },
+        },
+        offset,
+        limit
+      )
+    }
+
+    const key = this.getKey(type, period)
+    const members = await cacheManager.zRangeByLex(
+      key,
+      `[${this.encodeScore(Math.floor(maxScore))}`,
+      `(${this.encodeScore(Math.ceil(minScore) - 1)}`,
+      offset,
+      limit
+    )
+    if (members.length === 0) {
+      return []
+    }
+
+    const position = await cacheManager.zRank(key, members[0].value)
+    return this.hydrate(type, period, members, position + 1)
+  }
+}
+
+// 导出单例
+module.exports = new Leaderboard()
@@ -0,0 +1,80 @@
+const axios = require("axios")
+const { toSymbol, parseQuoteText } = require("./quoteParser")
+
+// 基于 HTTP 文本接口的行情源（新浪、腾讯共用）
+class HttpQuoteProvider {
+  constructor({ name, baseURL, headers = {}, batchSize = 50, timeout = 5000 }) {
+    this.name = name
+    this.baseURL = baseURL
+    this.headers = headers
+    this.batchSize = batchSize
+    this.timeout = timeout
+  }
+
+  // 子类实现：根据代码列表构造请求地址
+  buildUrl(symbols) {
+    throw new Error(`${this.name} 未实现 buildUrl`)
+  }
+
+  // 批量获取行情，返回 Map<code, quote>
+  async fetchQuotes(stocks) {
+    const symbols = stocks
+      .map((stock) => toSymbol(stock.code, stock.market))
+      .filter(Boolean)
+
+    const quotes = new Map()
+
+    for (let i = 0; i < symbols.length; i += this.batchSize) {
+      const batch = symbols.slice(i, i + this.batchSize)
+      const response = await axios.get(this.buildUrl(batch), {
+        headers: this.headers,
+        timeout: this.timeout,
+        responseType: "arraybuffer",
+      })
+
+      // 两个接口均返回 GBK 编码文本
+      const text = new TextDecoder("gbk").decode(response.data)
+      for (const [code, quote] of parseQuoteText(text)) {
+        quotes.set(code, { ...quote, source: this.name })
+      }
+    }
+
+    return quotes
+  }
+}
+
+class SinaProvider extends HttpQuoteProvider {
+  constructor(options = {}) {
+    super({
+      name: "sina",
+      baseURL: "https://hq.sinajs.cn",
+      // 新浪接口校验 Referer
+      headers: { Referer: "https://finance.sina.com.cn" },
+      ...options,
+    })
+  }
+
+  buildUrl(symbols) {
+    return `${this.baseURL}/list=${symbols.join(",")}`
+  }
+}
+
+class TencentProvider extends HttpQuoteProvider {
+  constructor(options = {}) {
+    super({
+      name: "tencent",
+      baseURL: "https://qt.gtimg.cn",
+      ...options,
+    })
+  }
+
+  buildUrl(symbols) {
+    return `${this.baseURL}/q=${symbols.join(",")}`
+  }
+}
+
+module.exports = {
+  HttpQuoteProvider,
+  SinaProvider,
+  TencentProvider,
+}
@@ -0,0 +1,138 @@
+const logger = require("../logger")
+const { SinaProvider, TencentProvider } = require("./httpProvider")
+const ReplayProvider = require("./replayProvider")
+const MockProvider = require("./mockProvider")
+
+// 可用的行情源
+const PROVIDER_FACTORIES = {
+  sina: () => new SinaProvider(),
+  tencent: () => new TencentProvider(),
+  replay: () => new ReplayProvider({ dir: process.env.MARKET_DATA_REPLAY_DIR }),
+  mock: () => new MockProvider(),
+}
+
+// 默认行情源顺序：生产/预发环境不使用模拟数据
+const defaultProviderNames = () =>
+  process.env.NODE_ENV === "development" ? "sina,tencent,mock" : "sina,tencent"
+
+class MarketDataService {
+  constructor() {
+    this.providers = null
+    this.health = new Map()
+    this.maxFailures = parseInt(process.env.MARKET_DATA_MAX_FAILURES) || 3
+    this.cooldownMs = parseInt(process.env.MARKET_DATA_COOLDOWN_MS) || 60000
+  }
+
+  // 按配置创建行情源（MARKET_DATA_PROVIDERS=sina,tencent,mock）
+  getProviders() {
+    if (this.providers) {
+      return this.providers
+    }
+
+    const names = (process.env.MARKET_DATA_PROVIDERS || defaultProviderNames())
+      .split(",")
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean)
+
+    this.providers = names
+      .map((name) => {
+        const factory = PROVIDER_FACTORIES[name]
+        if (!factory) {
+          logger.warn(`未知的行情源配置: ${name}`)
+          return null
+        }
+        return factory()
+      })
+      .filter(Boolean)
+
+    logger.info(
+      `行情源: ${this.providers.map((p) => p.name).join(" -> ") || "无"}`
+    )
+    return this.providers
+  }
+
+  // 替换行情源（测试或运行时切换使用）
+  setProviders(providers) {
+    this.providers = providers
+    this.health.clear()
+  }
+
+  // 行情源是否处于熔断冷却期
+  isCoolingDown(provider) {
+    const state = this.health.get(provider.name)
+    return !!(state && state.coolUntil && state.coolUntil > Date.now())
+  }
+
+  recordSuccess(provider) {
+    this.health.set(provider.name, { failures: 0, coolUntil: null })
+  }
+
+  recordFailure(provider, error) {
+    const state = this.health.get(provider.name) || { failures: 0 }
+    state.failures += 1
+
+    if (state.failures >= this.maxFailures) {
+      state.coolUntil = Date.now() + this.cooldownMs
+      state.failures = 0
+      logger.warn(
+        `行情源 ${provider.name} 连续失败，暂停使用 ${this.cooldownMs}ms`
+      )
+    }
+
+    this.health.set(provider.name, state)
+    logger.error(`行情源 ${provider.name} 获取失败:`, error.message)
+  }
+
+  // 批量获取行情，按顺序故障转移，返回 Map<code, quote>
+  async fetchQuotes(stocks) {
+    const quotes = new Map()
+    let pending = stocks
+
+    for (const provider of this.getProviders()) {
+      if (pending.length === 0) break
+      if (this.isCoolingDown(provider)) continue
+
+      try {
+        const result = await provider.fetchQuotes(pending)
+        this.recordSuccess(provider)
+
+        for (const [code, quote] of result) {
+          quotes.set(code, quote)
+        }
+
+        // 未取到的股票交给下一个行情源
+        pending = pending.filter((stock) => !quotes.has(stock.code))
+      } catch (error) {
+        this.recordFailure(provider, error)
+      }
+    }
+
+    if (pending.length > 0) {
+      logger.warn(
+        `${pending.length} 只股票未获取到行情: ${pending
+          .slice(0, 10)
+          .map((s) => s.code)
+          .join(",")}`
+      )
+    }
+
+    return quotes
+  }
+
+  // 获取单只股票行情
+  async fetchQuote(code, market) {
+    const quotes = await this.fetchQuotes([{ code, market }])
+    return quotes.get(code) || null
+  }
+
+  // 行情源状态（健康检查使用）
+  getStatus() {
+    return this.getProviders().map((provider) => ({
+      name: provider.name,
+      coolingDown: this.isCoolingDown(provider),
+    }))
+  }
+}
+
+// 导出单例
+module.exports = new MarketDataService()
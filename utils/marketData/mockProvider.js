@@ -0,0 +1,41 @@
+// 模拟行情源（开发测试用，仅作为最后的兜底）
+class MockProvider {
+  constructor() {
+    this.name = "mock"
+  }
+
+  // 生成模拟价格数据
+  generateMockPrice(code) {
+    const basePrice = parseFloat(code.substring(3)) || 100
+    const randomChange = (Math.random() - 0.5) * 10 // -5% 到 +5%
+    const price = basePrice * (1 + randomChange / 100)
+
+    return {
+      code,
+      price: parseFloat(price.toFixed(2)),
+      open: parseFloat(basePrice.toFixed(2)),
+      previousClose: parseFloat(basePrice.toFixed(2)),
+      changeAmount: parseFloat((price - basePrice).toFixed(2)),
+      changePercent: parseFloat(randomChange.toFixed(2)),
+      volume: Math.floor(Math.random() * 1000000),
+      turnover: Math.floor(Math.random() * 100000000),
+      high: parseFloat((price * 1.02).toFixed(2)),
+      low: parseFloat((price * 0.98).toFixed(2)),
+      timestamp: new Date(),
+      source: this.name,
+    }
+  }
+
+  async fetchQuotes(stocks) {
+    const quotes = new Map()
+    stocks.forEach((stock) => {
+      quotes.set(stock.code, {
+        ...this.generateMockPrice(stock.code),
+        market: stock.market,
+      })
+    })
+    return quotes
+  }
+}
+
+module.exports = MockProvider
@@ -0,0 +1,190 @@
+// 新浪 / 腾讯行情文本解析
+// 新浪: var hq_str_sh600519="贵州茅台,1676.00,1675.00,1680.00,...";
+// 腾讯: v_sh600519="1~贵州茅台~600519~1680.00~1675.00~1676.00~...";
+
+// 股票代码转换为行情接口使用的代码
+const toSymbol = (code, market) => {
+  switch (market) {
+    case "SH":
+      return `sh${code}`
+    case "SZ":
+      return `sz${code}`
+    case "HK":
+      return `hk${code}`
+    default:
+      return null
+  }
+}
+
+// 行情接口代码还原为股票代码和市场
+const fromSymbol = (symbol) => {
+  const prefix = symbol.substring(0, 2).toLowerCase()
+  const code = symbol.substring(2)
+  const market = { sh: "SH", sz: "SZ", hk: "HK" }[prefix]
+  return market ? { code, market } : null
+}
+
+const toNumber = (value) => {
+  const num = parseFloat(value)
+  return Number.isFinite(num) ? num : 0
+}
+
+const round = (value, digits = 2) => parseFloat(value.toFixed(digits))
+
+// 北京时间字符串转换为 Date
+const parseBeijingTime = (date, time) => {
+  if (!date) return null
+  const normalizedDate = date.replace(/\//g, "-")
+  const normalizedTime = (time || "00:00:00").padEnd(8, ":00").substring(0, 8)
+  const parsed = new Date(`${normalizedDate}T${normalizedTime}+08:00`)
+  return isNaN(parsed.getTime()) ? null : parsed
+}
+
+// 统一的行情结构
+const buildQuote = (fields) => {
+  const price = fields.price
+  const previousClose = fields.previousClose
+  const changeAmount =
+    fields.changeAmount !== undefined
+      ? fields.changeAmount
+      : previousClose > 0
+      ? price - previousClose
+      : 0
+  const changePercent =
+    fields.changePercent !== undefined
+      ? fields.changePercent
+      : previousClose > 0
+      ? ((price - previousClose) / previousClose) * 100
+      : 0
+
+  return {
+    code: fields.code,
+    market: fields.market,
+    name: fields.name,
+    price: round(price),
+    open: round(fields.open),
+    previousClose: round(previousClose),
+    changeAmount: round(changeAmount),
+    changePercent: round(changePercent),
+    high: round(fields.high),
+    low: round(fields.low),
+    volume: Math.round(fields.volume),
+    turnover: round(fields.turnover),
+    timestamp: fields.timestamp || new Date(),
+  }
+}
+
+// 解析新浪单行行情
+const parseSinaLine = (symbol, body) => {
+  const target = fromSymbol(symbol)
+  if (!target || !body) return null
+
+  const parts = body.split(",")
+
+  if (target.market === "HK") {
+    // 英文名,中文名,开盘,昨收,最高,最低,最新,涨跌额,涨跌幅,买一,卖一,成交额,成交量,...,日期,时间
+    if (parts.length < 19) return null
+    return buildQuote({
+      ...target,
+      name: parts[1],
+      open: toNumber(parts[2]),
+      previousClose: toNumber(parts[3]),
+      high: toNumber(parts[4]),
+      low: toNumber(parts[5]),
+      price: toNumber(parts[6]),
+      changeAmount: toNumber(parts[7]),
+      changePercent: toNumber(parts[8]),
+      turnover: toNumber(parts[11]),
+      volume: toNumber(parts[12]),
+      timestamp: parseBeijingTime(parts[17], parts[18]),
+    })
+  }
+
+  // 名称,开盘,昨收,最新,最高,最低,买一,卖一,成交量(股),成交额(元),...,日期,时间
+  if (parts.length < 32) return null
+  return buildQuote({
+    ...target,
+    name: parts[0],
+    open: toNumber(parts[1]),
+    previousClose: toNumber(parts[2]),
+    price: toNumber(parts[3]),
+    high: toNumber(parts[4]),
+    low: toNumber(parts[5]),
+    volume: toNumber(parts[8]),
+    turnover: toNumber(parts[9]),
+    timestamp: parseBeijingTime(parts[30], parts[31]),
+  })
+}
+
+// 解析腾讯单行行情
+const parseTencentLine = (symbol, body) => {
+  const target = fromSymbol(symbol)
+  if (!target || !body) return null
+
+  const parts = body.split("~")
+  if (parts.length < 38) return null
+
+  // 腾讯 A股成交量单位为手、成交额单位为万元，港股为股和港元
+  const isAShare = target.market !== "HK"
+  const rawTime = parts[30] || ""
+  const compact = rawTime.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/)
+  let timestamp = null
+  if (compact) {
+    const [, year, month, day, hour, minute, second] = compact
+    timestamp = parseBeijingTime(
+      `${year}-${month}-${day}`,
+      `${hour}:${minute}:${second}`
+    )
+  } else if (rawTime) {
+    const [date, time] = rawTime.split(" ")
+    timestamp = parseBeijingTime(date, time)
+  }
+
+  return buildQuote({
+    ...target,
+    name: parts[1],
+    price: toNumber(parts[3]),
+    previousClose: toNumber(parts[4]),
+    open: toNumber(parts[5]),
+    volume: toNumber(parts[6]) * (isAShare ? 100 : 1),
+    changeAmount: toNumber(parts[31]),
+    changePercent: toNumber(parts[32]),
+    high: toNumber(parts[33]),
+    low: toNumber(parts[34]),
+    turnover: toNumber(parts[37]) * (isAShare ? 10000 : 1),
+    timestamp,
+  })
+}
+
+const SINA_LINE = /var\s+hq_str_(\w+)="([^"]*)"/
+const TENCENT_LINE = /v_(\w+)="([^"]*)"/
+
+// 解析行情文本（自动识别新浪/腾讯格式），返回 Map<code, quote>
+const parseQuoteText = (text) => {
+  const quotes = new Map()
+
+  for (const line of String(text || "").split(/[;\n]/)) {
+    let quote = null
+    let match = line.match(SINA_LINE)
+    if (match) {
+      quote = parseSinaLine(match[1], match[2])
+    } else if ((match = line.match(TENCENT_LINE))) {
+      quote = parseTencentLine(match[1], match[2])
+    }
+
+    // 价格为0表示无有效成交（停牌或数据缺失）
+    if (quote && quote.price > 0) {
+      quotes.set(quote.code, quote)
+    }
+  }
+
+  return quotes
+}
+
+module.exports = {
+  toSymbol,
+  fromSymbol,
+  parseQuoteText,
+  parseSinaLine,
+  parseTencentLine,
+}
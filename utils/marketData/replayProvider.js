@@ -0,0 +1,68 @@
+const fs = require("fs")
+const path = require("path")
+const { toSymbol, parseQuoteText } = require("./quoteParser")
+
+// 回放行情源：按顺序读取录制的行情文件，结果可重复（用于测试和预发环境）
+// 目录下每只股票一个文件，如 sh600519.txt，每行一条新浪或腾讯格式的原始行情
+class ReplayProvider {
+  constructor({ dir } = {}) {
+    this.name = "replay"
+    this.dir = dir
+    this.cursors = new Map()
+    this.frames = new Map()
+  }
+
+  // 读取并缓存某只股票的录制帧
+  loadFrames(symbol) {
+    if (this.frames.has(symbol)) {
+      return this.frames.get(symbol)
+    }
+
+    const file = path.join(this.dir, `${symbol}.txt`)
+    const frames = fs.existsSync(file)
+      ? fs
+          .readFileSync(file, "utf8")
+          .split("\n")
+          .map((line) => line.trim())
+          .filter(Boolean)
+      : []
+
+    this.frames.set(symbol, frames)
+    return frames
+  }
+
+  async fetchQuotes(stocks) {
+    if (!this.dir) {
+      throw new Error("未配置回放目录 MARKET_DATA_REPLAY_DIR")
+    }
+
+    const quotes = new Map()
+
+    for (const stock of stocks) {
+      const symbol = toSymbol(stock.code, stock.market)
+      if (!symbol) continue
+
+      const frames = this.loadFrames(symbol)
+      if (frames.length === 0) continue
+
+      // 每次读取前进一帧，播放完后停留在最后一帧
+      const cursor = this.cursors.get(symbol) || 0
+      this.cursors.set(symbol, Math.min(cursor + 1, frames.length - 1))
+
+      const quote = parseQuoteText(frames[cursor]).get(stock.code)
+      if (quote) {
+        quotes.set(stock.code, { ...quote, source: this.name })
+      }
+    }
+
+    return quotes
+  }
+
+  // 重置回放进度
+  reset() {
+    this.cursors.clear()
+    this.frames.clear()
+  }
+}
+
+module.exports = ReplayProvider
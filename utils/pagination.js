@@ -0,0 +1,55 @@
+// utils/pagination.js
+// 游标分页：列表按ID排序，cursor 为上一页最后一条记录的ID，next_cursor 为空表示没有更多；
+// 多个数据源合并的列表使用不透明游标（encodeCursor / decodeCursor）
+const { Op } = require("sequelize")
+
+const DEFAULT_LIMIT = 20
+const MAX_LIMIT = 50
+
+class Pagination {
+  // 按ID游标查询一页；参数由路由校验，这里只保证不会生成无效查询：
+  // limit 限制在 1-50 之间，不是正整数的游标按第一页处理
+  async findPageByCursor(
+    Model,
+    { where, cursor, limit = DEFAULT_LIMIT, order = "DESC", ...options }
+  ) {
+    const requested = parseInt(limit)
+    const pageSize =
+      requested > 0 ? Math.min(requested, MAX_LIMIT) : DEFAULT_LIMIT
+    const lastId = parseInt(cursor)
+    const rows = await Model.findAll({
+      ...options,
+      where:
+        lastId > 0
+          ? { ...where, id: { [order === "DESC" ? Op.lt : Op.gt]: lastId } }
+          : where,
+      order: [["id", order]],
+      limit: pageSize + 1,
+    })
+
+    const hasMore = rows.length > pageSize
+    const items = hasMore ? rows.slice(0, pageSize) : rows
+    return {
+      items,
+      nextCursor: hasMore ? items[items.length - 1].id : null,
+    }
+  }
+
+  // 编码不透明游标
+  encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString("base64url")
+  }
+
+  // 解码不透明游标，格式错误时返回 null
+  decodeCursor(cursor) {
+    if (!cursor) return null
+    try {
+      return JSON.parse(Buffer.from(cursor, "base64url").toString())
+    } catch (error) {
+      return null
+    }
+  }
+}
+
+// 导出单例
+module.exports = new Pagination()
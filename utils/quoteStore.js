@@ -0,0 +1,97 @@
+// utils/quoteStore.js
+// 服务端行情快照：保存定时任务拉取的最新行情，推荐建仓价格以此为准
+const cacheManager = require("./cacheManager")
+const marketData = require("./marketData")
+const logger = require("./logger")
+
+const CACHE_PREFIX = "quote"
+const CACHE_TTL = 24 * 60 * 60
+
+class QuoteStore {
+  constructor() {
+    // 行情有效期，超过后视为过期，可通过 QUOTE_MAX_AGE_SECONDS 配置
+    this.maxAgeMs = (parseInt(process.env.QUOTE_MAX_AGE_SECONDS) || 180) * 1000
+  }
+
+  getCacheKey(code) {
+    return `${CACHE_PREFIX}:${code}`
+  }
+
+  // 保存单条行情
+  async save(quote) {
+    if (!quote || !quote.code || !(quote.price > 0)) return
+    await cacheManager.set(
+      this.getCacheKey(quote.code),
+      { ...quote, receivedAt: new Date() },
+      CACHE_TTL
+    )
+  }
+
+  // 批量保存定时任务拉取的行情
+  async saveAll(quotes) {
+    for (const quote of quotes.values()) {
+      await this.save(quote)
+    }
+  }
+
+  // 读取最新行情，缓存未命中时使用股票表中定时任务写入的价格
+  async get(stock) {
+    const cached = await cacheManager.get(this.getCacheKey(stock.code))
+    if (cached) {
+      return {
+        ...cached,
+        timestamp: new Date(cached.timestamp),
+        receivedAt: new Date(cached.receivedAt),
+      }
+    }
+
+    if (stock.current_price && stock.price_updated_at) {
+      return {
+        code: stock.code,
+        market: stock.market,
+        price: parseFloat(stock.current_price),
+        open: parseFloat(stock.open_price) || 0,
+        previousClose: parseFloat(stock.previous_close) || 0,
+        timestamp: new Date(stock.price_updated_at),
+        receivedAt: new Date(stock.price_updated_at),
+      }
+    }
+
+    return null
+  }
+
+  // 行情是否在有效期内
+  isFresh(quote, now = new Date()) {
+    if (!quote || !quote.timestamp) return false
+    const age = new Date(now).getTime() - new Date(quote.timestamp).getTime()
+    return age >= 0 ? age <= this.maxAgeMs : true
+  }
+
+  // 获取有效期内的行情；已过期时向行情源补拉一次并保存，仍无有效行情返回 null
+  async getFresh(stock, now = new Date()) {
+    const quote = await this.get(stock)
+    if (this.isFresh(quote, now)) {
+      return quote
+    }
+
+    const refreshed = await this.refresh(stock)
+    return this.isFresh(refreshed, now) ? refreshed : null
+  }
+
+  // 从行情源拉取并保存
+  async refresh(stock) {
+    try {
+      const quote = await marketData.fetchQuote(stock.code, stock.market)
+      if (quote) {
+        await this.save(quote)
+      }
+      return quote
+    } catch (error) {
+      logger.warn(`刷新股票 ${stock.code} 行情失败: ${error.message}`)
+      return null
+    }
+  }
+}
+
+// 导出单例
+module.exports = new QuoteStore()
@@ -0,0 +1,84 @@
+// utils/rankingUpdater.js
+// 排行增量更新：推荐结算后更新作者在周榜、月榜和总榜中的记录，只调整名次变化的区间；
+// 用户注销后从所在的排行中移除；
+// 全量重算（Ranking.calculateRankings）由定时任务对账
+const eventBus = require("./eventBus")
+const logger = require("./logger")
+
+const RANKING_TYPES = ["weekly", "monthly", "total"]
+
+class RankingUpdater {
+  constructor() {
+    this.queue = Promise.resolve()
+    this.isListening = false
+  }
+
+  // 订阅推荐结算和用户注销事件
+  init() {
+    if (this.isListening) {
+      return
+    }
+
+    eventBus.on("recommend.settled", ({ recommend }) =>
+      this.enqueue(() => this.apply(recommend), `推荐 ${recommend.id}`)
+    )
+    eventBus.on("user.deactivated", ({ userId }) =>
+      this.enqueue(() => this.removeUser(userId), `用户 ${userId}`)
+    )
+    this.isListening = true
+  }
+
+  // 同一进程内按顺序处理，避免并发调整同一排行的名次
+  enqueue(handler, label) {
+    const task = this.queue.then(handler)
+    this.queue = task.catch((error) => {
+      logger.error(`增量更新排行失败 [${label}]:`, error)
+    })
+    return this.queue
+  }
+
+  // 更新推荐所在周期的周榜、月榜和总榜（周期按推荐创建时间）
+  async apply(recommend) {
+    const { Ranking } = require("../models")
+
+    for (const type of RANKING_TYPES) {
+      const period =
+        type === "total"
+          ? "total"
+          : Ranking.getCurrentPeriod(type, recommend.createdAt)
+      const entry = await Ranking.updateUserRanking(
+        type,
+        period,
+        recommend.user_id
+      )
+
+      if (entry) {
+        logger.info(
+          `排行已更新 ${type} ${period}: 用户 ${recommend.user_id} 第 ${entry.rank} 名`
+        )
+      }
+    }
+  }
+
+  // 从用户所在的所有排行中移除（全量计算只包含活跃用户）
+  async removeUser(userId) {
+    const { Ranking } = require("../models")
+
+    const boards = await Ranking.findAll({
+      where: { user_id: userId },
+      attributes: ["ranking_type", "period"],
+      raw: true,
+    })
+
+    for (const { ranking_type: type, period } of boards) {
+      await Ranking.removeUserRanking(type, period, userId)
+    }
+
+    if (boards.length > 0) {
+      logger.info(`已从 ${boards.length} 个排行中移除注销用户 ${userId}`)
+    }
+  }
+}
+
+// 导出单例
+module.exports = new RankingUpdater()
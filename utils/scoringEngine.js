@@ -0,0 +1,237 @@
+// utils/scoringEngine.js
+// 积分规则引擎：推荐成功判定、积分计算（规则按版本从数据库加载）
+const logger = require("./logger")
+const cacheManager = require("./cacheManager")
+const { DEFAULT_RULES, DEFAULT_VERSION } = require("../config/scoringRules")
+
+const ACTIVE_RULE_CACHE_KEY = "scoring:active_rule"
+const ACTIVE_RULE_CACHE_TTL = 300
+
+class ScoringEngine {
+  // 合并默认规则，缺省字段使用默认值
+  normalizeRules(rules = {}) {
+    return {
+      ...DEFAULT_RULES,
+      ...rules,
+      accuracy: { ...DEFAULT_RULES.accuracy, ...(rules.accuracy || {}) },
+      confidence_weights: {
+        ...DEFAULT_RULES.confidence_weights,
+        ...(rules.confidence_weights || {}),
+      },
+      hold_period_multipliers: {
+        ...DEFAULT_RULES.hold_period_multipliers,
+        ...(rules.hold_period_multipliers || {}),
+      },
+      early_close: {
+        ...DEFAULT_RULES.early_close,
+        ...(rules.early_close || {}),
+      },
+      author_close: {
+        ...DEFAULT_RULES.author_close,
+        ...(rules.author_close || {}),
+      },
+      streak_bonuses: rules.streak_bonuses || DEFAULT_RULES.streak_bonuses,
+    }
+  }
+
+  getDefaultRuleSet() {
+    return {
+      version: DEFAULT_VERSION,
+      rules: this.normalizeRules(DEFAULT_RULES),
+    }
+  }
+
+  // 获取当前启用的规则版本，数据库中没有时使用默认规则
+  async getActiveRuleSet() {
+    const cached = await cacheManager.get(ACTIVE_RULE_CACHE_KEY)
+    if (cached) {
+      return cached
+    }
+
+    let ruleSet = this.getDefaultRuleSet()
+    try {
+      const { ScoringRule } = require("../models")
+      const active = await ScoringRule.getActive()
+      if (active) {
+        ruleSet = {
+          version: active.version,
+          rules: this.normalizeRules(active.rules),
+        }
+      }
+    } catch (error) {
+      logger.error("加载积分规则失败，使用默认规则:", error.message)
+    }
+
+    await cacheManager.set(
+      ACTIVE_RULE_CACHE_KEY,
+      ruleSet,
+      ACTIVE_RULE_CACHE_TTL
+    )
+    return ruleSet
+  }
+
+  // 获取指定版本的规则
+  async getRuleSet(version) {
+    if (version === DEFAULT_VERSION) {
+      return this.getDefaultRuleSet()
+    }
+
+    const { ScoringRule } = require("../models")
+    const stored = await ScoringRule.getByVersion(version)
+    if (!stored) {
+      return null
+    }
+    return { version, rules: this.normalizeRules(stored.rules) }
+  }
+
+  // 启用新版本后清除缓存
+  async invalidate() {
+    await cacheManager.del(ACTIVE_RULE_CACHE_KEY)
+  }
+
+  // 判定推荐结果
+  // judgedReturn 为用于判定的收益率（绝对收益或超额收益）
+  judge(judgedReturn, predictChange, rules) {
+    const { success_threshold, high_threshold } = rules.accuracy
+    const predictDirection = predictChange > 0 ? "up" : "down"
+    const actualDirection = judgedReturn > 0 ? "up" : "down"
+
+    if (predictDirection !== actualDirection) {
+      return { status: "failed", accuracyScore: null, outcome: "wrong" }
+    }
+
+    // 方向预测正确
+    const accuracyScore = 100 - Math.abs(judgedReturn - predictChange)
+
+    if (accuracyScore >= high_threshold) {
+      return { status: "success", accuracyScore, outcome: "accurate" }
+    }
+    if (accuracyScore >= success_threshold) {
+      // 方向对就算成功，但积分会不同
+      return { status: "success", accuracyScore, outcome: "direction" }
+    }
+    return { status: "failed", accuracyScore, outcome: "deviation" }
+  }
+
+  // 提前平仓奖励：closeReason 为 target_price / stop_loss 时生效，
+  // remainingRatio 为触发时剩余持有期比例（0-1）
+  computeEarlyCloseBonus(closeReason, remainingRatio, isSuccess, rules) {
+    const { target_bonus, stop_loss_relief, scale_by_remaining } =
+      rules.early_close
+    const scale = scale_by_remaining
+      ? Math.min(1, Math.max(0, remainingRatio || 0))
+      : 1
+
+    if (closeReason === "target_price" && isSuccess) {
+      return target_bonus * scale
+    }
+    if (closeReason === "stop_loss" && !isSuccess) {
+      return stop_loss_relief * scale
+    }
+    return 0
+  }
+
+  // 作者提前平仓倍数：closeReason 为 closed_early 时生效，
+  // 成功按已持有期比例（1 - remainingRatio）折算，失败按 failure_multiplier 加重
+  computeAuthorCloseMultiplier(closeReason, remainingRatio, isSuccess, rules) {
+    if (closeReason !== "closed_early") {
+      return 1
+    }
+
+    const { min_multiplier, failure_multiplier } = rules.author_close
+    if (!isSuccess) {
+      return failure_multiplier
+    }
+
+    const elapsedRatio = 1 - Math.min(1, Math.max(0, remainingRatio || 0))
+    return Math.min(1, Math.max(min_multiplier, elapsedRatio))
+  }
+
+  // 计算积分，返回总分和明细
+  // streak 为本次结算后的连胜次数
+  computePoints(
+    {
+      isSuccess,
+      streak = 0,
+      confidence = 3,
+      holdPeriod,
+      accuracyScore,
+      closeReason = null,
+      remainingRatio = 0,
+    },
+    rules
+  ) {
+    const confidenceWeight = parseFloat(rules.confidence_weights[confidence])
+    const weight = Number.isFinite(confidenceWeight) ? confidenceWeight : 1
+    const earlyCloseBonus = this.computeEarlyCloseBonus(
+      closeReason,
+      remainingRatio,
+      isSuccess,
+      rules
+    )
+    const authorCloseMultiplier = this.computeAuthorCloseMultiplier(
+      closeReason,
+      remainingRatio,
+      isSuccess,
+      rules
+    )
+
+    if (!isSuccess) {
+      // 止损减少扣分，但不会变为加分
+      const points = Math.min(
+        0,
+        Math.round(
+          (rules.failure_points + earlyCloseBonus) *
+            weight *
+            authorCloseMultiplier
+        )
+      )
+      return {
+        points,
+        breakdown: {
+          base: rules.failure_points,
+          early_close_bonus: earlyCloseBonus,
+          confidence_weight: weight,
+          author_close_multiplier: authorCloseMultiplier,
+        },
+      }
+    }
+
+    const streakBonus = rules.streak_bonuses
+      .filter((bonus) => streak >= bonus.streak)
+      .reduce((sum, bonus) => sum + bonus.points, 0)
+
+    const accuracyBonus =
+      accuracyScore !== null &&
+      accuracyScore !== undefined &&
+      accuracyScore >= rules.accuracy.high_threshold
+        ? rules.accuracy.high_bonus
+        : 0
+
+    const holdMultiplier = parseFloat(rules.hold_period_multipliers[holdPeriod])
+    const multiplier = Number.isFinite(holdMultiplier) ? holdMultiplier : 1
+
+    const points = Math.round(
+      (rules.success_points + streakBonus + accuracyBonus + earlyCloseBonus) *
+        weight *
+        multiplier *
+        authorCloseMultiplier
+    )
+
+    return {
+      points,
+      breakdown: {
+        base: rules.success_points,
+        streak_bonus: streakBonus,
+        accuracy_bonus: accuracyBonus,
+        early_close_bonus: earlyCloseBonus,
+        confidence_weight: weight,
+        hold_period_multiplier: multiplier,
+        author_close_multiplier: authorCloseMultiplier,
+      },
+    }
+  }
+}
+
+// 导出单例
+module.exports = new ScoringEngine()
@@ -1,8 +1,25 @@
 // utils/stockUpdateJob.js
 const cron = require("node-cron")
-const { Stock, Recommend } = require("../models")
+const { Op } = require("sequelize")
+const {
+  Stock,
+  Recommend,
+  StockPrice,
+  CorporateAction,
+  Contest,
+} = require("../models")
 const logger = require("./logger")
-const axios = require("axios")
+const tradingCalendar = require("./tradingCalendar")
+const marketData = require("./marketData")
+const quoteStore = require("./quoteStore")
+const viewCounter = require("./viewCounter")
+const trendingService = require("./trendingService")
+
+// 股票所属市场
+const MARKETS = ["SH", "SZ", "HK", "US"]
+
+// 定时任务按北京时间执行，与交易日历一致（不受服务器时区影响）
+const CRON_OPTIONS = { timezone: "Asia/Shanghai" }
 
 class StockUpdateJob {
   constructor() {
@@ -10,46 +27,160 @@ class StockUpdateJob {
     this.lastUpdateTime = null
   }
 
-  // 初始化定时任务
-  init() {
-    // 每个交易日 9:30-15:00 每分钟更新一次
-    cron.schedule("*/1 9-15 * * 1-5", () => {
-      const now = new Date()
-      const hours = now.getHours()
-      const minutes = now.getMinutes()
+  // 当前处于交易时段的市场
+  getOpenMarkets(date = new Date()) {
+    return MARKETS.filter((market) =>
+      tradingCalendar.isMarketOpen(date, market)
+    )
+  }
 
-      // 11:30-13:00 午休时间不更新
-      if (hours === 11 && minutes >= 30) return
-      if (hours === 12) return
+  // 今天是交易日的市场
+  getTradingMarkets(date = new Date()) {
+    return MARKETS.filter((market) =>
+      tradingCalendar.isTradingDay(date, market)
+    )
+  }
 
-      this.updateAllStockPrices()
-    })
+  // 初始化定时任务
+  init() {
+    // 交易时段内每分钟更新一次（按交易日历判断各市场的开市、午休和节假日）
+    cron.schedule(
+      "* 9-16 * * 1-5",
+      () => {
+        const markets = this.getOpenMarkets()
+        if (markets.length > 0) {
+          this.updateAllStockPrices(markets)
+        }
+      },
+      CRON_OPTIONS
+    )
 
     // 每天 9:00 更新前一日收盘价
-    cron.schedule("0 9 * * 1-5", () => {
-      this.updatePreviousClose()
-    })
-
-    // 每天 15:30 结算到期的推荐
-    cron.schedule("30 15 * * 1-5", () => {
-      this.settleExpiredRecommends()
-    })
-
-    // 每周一凌晨 1:00 计算周排行
-    cron.schedule("0 1 * * 1", () => {
-      this.calculateWeeklyRanking()
-    })
-
-    // 每月1日凌晨 1:00 计算月排行
-    cron.schedule("0 1 1 * *", () => {
-      this.calculateMonthlyRanking()
-    })
+    cron.schedule(
+      "0 9 * * 1-5",
+      () => {
+        const markets = this.getTradingMarkets()
+        if (markets.length > 0) {
+          this.updatePreviousClose(markets)
+        }
+      },
+      CRON_OPTIONS
+    )
+
+    // 每天 9:05 开盘前处理除权除息
+    cron.schedule(
+      "5 9 * * 1-5",
+      () => {
+        if (this.getTradingMarkets().length > 0) {
+          this.applyCorporateActions()
+        }
+      },
+      CRON_OPTIONS
+    )
+
+    // 每天收盘后写入日线并识别停牌股票（A股 15:05，港股 16:15）
+    cron.schedule(
+      "5 15 * * 1-5",
+      async () => {
+        const markets = this.getTradingMarkets().filter((m) => m !== "HK")
+        if (markets.length > 0) {
+          await this.recordDailyBars(markets)
+          await this.updateSuspensions(markets)
+        }
+      },
+      CRON_OPTIONS
+    )
+
+    cron.schedule(
+      "15 16 * * 1-5",
+      async () => {
+        if (tradingCalendar.isTradingDay(new Date(), "HK")) {
+          await this.recordDailyBars(["HK"])
+          await this.updateSuspensions(["HK"])
+        }
+      },
+      CRON_OPTIONS
+    )
+
+    // 收盘后取消未成交的排队推荐，结算到期的推荐（A股 15:30，港股 16:30）
+    cron.schedule(
+      "30 15,16 * * 1-5",
+      async () => {
+        if (this.getTradingMarkets().length > 0) {
+          await this.cancelUnfilledRecommends()
+          await this.settleExpiredRecommends()
+        }
+      },
+      CRON_OPTIONS
+    )
+
+    // 结算后更新比赛排行（A股 15:45，港股 16:45），每天 0:10 开始/结束比赛
+    cron.schedule(
+      "45 15,16 * * 1-5",
+      () => {
+        this.updateContests()
+      },
+      CRON_OPTIONS
+    )
+
+    cron.schedule(
+      "10 0 * * *",
+      () => {
+        this.updateContests()
+      },
+      CRON_OPTIONS
+    )
+
+    // 每周一凌晨 1:00 计算上周的最终排行
+    cron.schedule(
+      "0 1 * * 1",
+      () => {
+        this.calculateWeeklyRanking()
+      },
+      CRON_OPTIONS
+    )
+
+    // 每分钟将缓冲的推荐查看计数写入数据库
+    cron.schedule(
+      "* * * * *",
+      () => {
+        viewCounter.flush()
+      },
+      CRON_OPTIONS
+    )
+
+    // 每5分钟计算热门推荐和热门股票
+    cron.schedule(
+      "*/5 * * * *",
+      () => {
+        trendingService.refreshAll()
+      },
+      CRON_OPTIONS
+    )
+
+    // 每月1日凌晨 1:00 计算上月的最终排行
+    cron.schedule(
+      "0 1 1 * *",
+      () => {
+        this.calculateMonthlyRanking()
+      },
+      CRON_OPTIONS
+    )
+
+    // 每天凌晨 2:00 全量重算当前周榜、月榜和总榜，校正增量更新的结果
+    cron.schedule(
+      "0 2 * * *",
+      () => {
+        this.reconcileRankings()
+      },
+      CRON_OPTIONS
+    )
 
     logger.info("股票更新定时任务已启动")
   }
 
   // 更新所有股票价格
-  async updateAllStockPrices() {
+  async updateAllStockPrices(markets = MARKETS) {
     if (this.isRunning) {
       logger.warn("股票价格更新任务正在执行中，跳过本次执行")
       return
@@ -61,33 +192,44 @@ class StockUpdateJob {
     try {
       logger.info("开始更新股票价格...")
 
-      // 获取所有活跃的股票
+      // 获取所有活跃和停牌中的股票（停牌股票有成交后自动复牌）
       const stocks = await Stock.findAll({
-        where: { status: "active" },
-        attributes: ["id", "code", "market"],
+        where: { status: ["active", "suspended"], market: markets },
+        attributes: ["id", "code", "market", "previous_close", "status"],
       })
 
-      // 批量获取股票价格
-      const pricePromises = stocks.map((stock) =>
-        this.fetchStockPrice(stock.code, stock.market)
-      )
-
-      const prices = await Promise.allSettled(pricePromises)
+      // 批量获取股票价格（按配置的行情源依次故障转移）
+      const quotes = await marketData.fetchQuotes(stocks)
 
       // 批量更新数据库
       const updatePromises = []
-      prices.forEach((result, index) => {
-        if (result.status === "fulfilled" && result.value) {
-          const stock = stocks[index]
+      stocks.forEach((stock) => {
+        const quote = quotes.get(stock.code)
+        if (quote) {
+          // 停牌股票出现成交视为复牌；名称带 ST 的为风险警示股票
+          const tradingStatus =
+            stock.status === "suspended" && quote.volume > 0
+              ? { status: "active", suspended_since: null, resume_date: null }
+              : {}
+          if (tradingStatus.status) {
+            logger.info(`股票 ${stock.code} 已复牌`)
+          }
+          if (quote.name) {
+            tradingStatus.is_st = Stock.isStName(quote.name)
+          }
+
           updatePromises.push(
             stock.update({
-              current_price: result.value.price,
-              change_amount: result.value.changeAmount,
-              change_percent: result.value.changePercent,
-              volume: result.value.volume,
-              turnover: result.value.turnover,
-              high_price: result.value.high,
-              low_price: result.value.low,
+              ...tradingStatus,
+              current_price: quote.price,
+              previous_close: quote.previousClose || stock.previous_close,
+              open_price: quote.open,
+              change_amount: quote.changeAmount,
+              change_percent: quote.changePercent,
+              volume: quote.volume,
+              turnover: quote.turnover,
+              high_price: quote.high,
+              low_price: quote.low,
               price_updated_at: new Date(),
             })
           )
@@ -96,8 +238,14 @@ class StockUpdateJob {
 
       await Promise.all(updatePromises)
 
-      // 更新推荐的当前收益
-      await this.updateRecommendReturns()
+      // 保存最新行情，推荐建仓价格以此为准
+      await quoteStore.saveAll(quotes)
+
+      // 排队中的推荐按开盘行情成交
+      await this.fillPendingRecommends(markets)
+
+      // 更新推荐的当前收益，检查止盈止损
+      await this.updateRecommendReturns(markets)
 
       const duration = Date.now() - startTime
       logger.info(
@@ -112,56 +260,23 @@ class StockUpdateJob {
     }
   }
 
-  // 从外部API获取股票价格
+  // 从行情源获取股票价格
   async fetchStockPrice(code, market) {
     try {
-      // 这里需要替换为实际的股票数据API
-      // 示例使用新浪财经接口格式
-      let symbol = ""
-      if (market === "SH") {
-        symbol = `sh${code}`
-      } else if (market === "SZ") {
-        symbol = `sz${code}`
-      } else if (market === "HK") {
-        symbol = `hk${code}`
-      }
-
-      // 实际项目中需要使用真实的股票API
-      // const response = await axios.get(`http://hq.sinajs.cn/list=${symbol}`)
-
-      // 模拟返回数据
-      const mockPrice = this.generateMockPrice(code)
-      return mockPrice
+      return await marketData.fetchQuote(code, market)
     } catch (error) {
       logger.error(`获取股票 ${code} 价格失败:`, error.message)
       return null
     }
   }
 
-  // 生成模拟价格数据（开发测试用）
-  generateMockPrice(code) {
-    const basePrice = parseFloat(code.substring(3)) || 100
-    const randomChange = (Math.random() - 0.5) * 10 // -5% 到 +5%
-    const price = basePrice * (1 + randomChange / 100)
-
-    return {
-      price: parseFloat(price.toFixed(2)),
-      changeAmount: parseFloat((price - basePrice).toFixed(2)),
-      changePercent: parseFloat(randomChange.toFixed(2)),
-      volume: Math.floor(Math.random() * 1000000),
-      turnover: Math.floor(Math.random() * 100000000),
-      high: parseFloat((price * 1.02).toFixed(2)),
-      low: parseFloat((price * 0.98).toFixed(2)),
-    }
-  }
-
   // 更新前一日收盘价
-  async updatePreviousClose() {
+  async updatePreviousClose(markets = MARKETS) {
     try {
       logger.info("开始更新前一日收盘价...")
 
       const stocks = await Stock.findAll({
-        where: { status: "active" },
+        where: { status: "active", market: markets },
       })
 
       const updatePromises = stocks.map((stock) =>
@@ -178,8 +293,202 @@ class StockUpdateJob {
     }
   }
 
-  // 更新推荐的当前收益
-  async updateRecommendReturns() {
+  // 收盘后将当日行情写入日线表
+  async recordDailyBars(markets = MARKETS) {
+    try {
+      logger.info(`开始写入日线数据: ${markets.join(",")}`)
+
+      const tradeDate = StockPrice.toTradeDate()
+      const stocks = await Stock.findAll({
+        where: { status: "active", market: markets },
+      })
+
+      let recorded = 0
+      for (const stock of stocks) {
+        // 当日没有更新过价格或没有成交的股票（如停牌）不写入
+        if (
+          !stock.current_price ||
+          !stock.price_updated_at ||
+          StockPrice.toTradeDate(stock.price_updated_at) !== tradeDate ||
+          !(parseInt(stock.volume) > 0)
+        ) {
+          continue
+        }
+
+        await StockPrice.recordDailyBar(stock, tradeDate, "market_close")
+        recorded++
+      }
+
+      logger.info(`日线写入完成，交易日 ${tradeDate}，共 ${recorded} 条`)
+    } catch (error) {
+      logger.error("写入日线数据失败:", error)
+    }
+  }
+
+  // 收盘后识别停牌股票：当日没有行情或没有成交的标记为停牌
+  // 当日所有股票都没有行情时视为行情源故障，不做处理
+  async updateSuspensions(markets = MARKETS) {
+    try {
+      const tradeDate = tradingCalendar.toTradeDate()
+      const stocks = await Stock.findAll({
+        where: { status: "active", is_index: false, market: markets },
+      })
+
+      const tradedToday = (stock) =>
+        stock.price_updated_at &&
+        tradingCalendar.toTradeDate(stock.price_updated_at) === tradeDate &&
+        parseInt(stock.volume) > 0
+
+      if (!stocks.some(tradedToday)) {
+        logger.warn(`${markets.join(",")} 当日无成交行情，跳过停牌识别`)
+        return
+      }
+
+      const suspended = stocks.filter((stock) => !tradedToday(stock))
+      for (const stock of suspended) {
+        await stock.suspend(tradeDate)
+      }
+
+      if (suspended.length > 0) {
+        logger.info(
+          `识别停牌股票 ${suspended.length} 只: ${suspended
+            .slice(0, 10)
+            .map((s) => s.code)
+            .join(",")}`
+        )
+      }
+    } catch (error) {
+      logger.error("识别停牌股票失败:", error)
+    }
+  }
+
+  // 处理到达除权除息日的公司行为，调整活跃推荐和跟投的买入价
+  async applyCorporateActions(date = new Date()) {
+    try {
+      const tradeDate = tradingCalendar.toTradeDate(date)
+      const actions = await CorporateAction.getDue(tradeDate)
+
+      for (const action of actions) {
+        try {
+          const result = await action.apply()
+          // 其他进程已处理
+          if (!result) {
+            continue
+          }
+          const { stock_code, ex_date } = action
+          logger.info(
+            `除权除息处理完成: ${stock_code} ${ex_date}，` +
+              `因子 ${result.factor.toFixed(6)}，` +
+              `调整推荐 ${result.recommends} 条，跟投 ${result.follows} 条`
+          )
+        } catch (error) {
+          logger.error(`处理公司行为 ${action.id} 失败:`, error)
+        }
+      }
+    } catch (error) {
+      logger.error("处理公司行为失败:", error)
+    }
+  }
+
+  // 非交易时段提交的推荐，到达计划成交时间后按开盘行情成交
+  async fillPendingRecommends(markets = MARKETS) {
+    try {
+      const now = new Date()
+      const pendingRecommends = await Recommend.findAll({
+        where: {
+          status: "pending",
+          start_date: { [Op.lte]: now },
+        },
+        include: [
+          {
+            model: Stock,
+            as: "stock",
+            where: { market: markets },
+          },
+        ],
+      })
+
+      let filled = 0
+      for (const recommend of pendingRecommends) {
+        try {
+          // 停牌或涨跌停封板时无法成交，等待下次成交
+          const restriction = recommend.stock.getEntryRestriction()
+          const quote = restriction
+            ? null
+            : await quoteStore.getFresh(recommend.stock, now)
+          const quoteRestriction =
+            restriction ||
+            (quote &&
+              recommend.stock.getEntryRestriction(quote, recommend.direction))
+          if (!quote || quoteRestriction) {
+            logger.warn(
+              `推荐 ${recommend.id}（${recommend.stock_code}）暂无法成交: ` +
+                (quoteRestriction || "无有效行情")
+            )
+            continue
+          }
+
+          await recommend.fillPending(quote, recommend.stock.market, now)
+          filled++
+        } catch (error) {
+          logger.error(`推荐 ${recommend.id} 成交失败:`, error)
+        }
+      }
+
+      if (pendingRecommends.length > 0) {
+        logger.info(
+          `排队推荐成交完成: ${filled}/${pendingRecommends.length} 条`
+        )
+      }
+    } catch (error) {
+      logger.error("排队推荐成交失败:", error)
+    }
+  }
+
+  // 计划成交日收盘后仍未成交的排队推荐取消，并记录原因
+  async cancelUnfilledRecommends(now = new Date()) {
+    try {
+      const pendingRecommends = await Recommend.findAll({
+        where: {
+          status: "pending",
+          start_date: { [Op.lte]: now },
+        },
+        include: [{ model: Stock, as: "stock" }],
+      })
+
+      let cancelled = 0
+      for (const recommend of pendingRecommends) {
+        const { stock } = recommend
+        const fillDate = tradingCalendar.firstTradingDayOnOrAfter(
+          recommend.start_date,
+          stock.market
+        )
+        if (tradingCalendar.getSessionClose(fillDate, stock.market) > now) {
+          continue
+        }
+
+        const reason =
+          stock.getEntryRestriction(
+            {
+              price: stock.current_price,
+              previousClose: stock.previous_close,
+            },
+            recommend.direction
+          ) || "no_quote"
+        await recommend.cancelUnfilled(reason)
+        cancelled++
+      }
+
+      if (cancelled > 0) {
+        logger.info(`取消未成交的排队推荐 ${cancelled} 条`)
+      }
+    } catch (error) {
+      logger.error("取消未成交推荐失败:", error)
+    }
+  }
+
+  // 更新推荐的当前收益；交易中的市场检查止盈止损，触发后按最新价提前结算
+  async updateRecommendReturns(markets = []) {
     try {
       const activeRecommends = await Recommend.findAll({
         where: { status: "active" },
@@ -187,15 +496,31 @@ class StockUpdateJob {
           {
             model: Stock,
             as: "stock",
-            attributes: ["current_price"],
+            attributes: [
+              "current_price",
+              "previous_close",
+              "market",
+              "board",
+              "is_st",
+              "is_index",
+              "status",
+            ],
           },
         ],
       })
 
+      const triggered = []
       const updatePromises = activeRecommends.map((recommend) => {
-        const currentPrice = recommend.stock.current_price
-        const entryPrice = recommend.entry_price
-        const currentReturn = ((currentPrice - entryPrice) / entryPrice) * 100
+        const { stock } = recommend
+        const currentPrice = stock.current_price
+        const currentReturn = recommend.getPositionReturn(currentPrice)
+
+        if (markets.includes(stock.market) && !stock.isSuspended()) {
+          const closeReason = recommend.getTriggeredExit(currentPrice, stock)
+          if (closeReason) {
+            triggered.push({ recommend, closeReason, price: currentPrice })
+          }
+        }
 
         return recommend.update({
           current_price: currentPrice,
@@ -204,6 +529,23 @@ class StockUpdateJob {
       })
 
       await Promise.all(updatePromises)
+
+      for (const { recommend, closeReason, price } of triggered) {
+        try {
+          const settlement = await recommend.settle(price, { closeReason })
+          // 已被到期结算或作者平仓先行结算
+          if (!settlement) {
+            continue
+          }
+          logger.info(
+            `推荐 ${recommend.id}（${recommend.stock_code}）触发` +
+              `${closeReason === "target_price" ? "止盈" : "止损"}，` +
+              `按 ${price} 提前结算`
+          )
+        } catch (error) {
+          logger.error(`推荐 ${recommend.id} 止盈止损结算失败:`, error)
+        }
+      }
     } catch (error) {
       logger.error("更新推荐收益失败:", error)
     }
@@ -227,21 +569,71 @@ class StockUpdateJob {
         recommend.settle()
       )
 
-      await Promise.all(settlePromises)
+      const settlements = await Promise.all(settlePromises)
+      const settled = settlements.filter(Boolean).length
+      // 未结算且仍为活跃状态的是停牌顺延，其余已被其他流程先行结算
+      const extended = expiredRecommends.filter(
+        (recommend, index) =>
+          !settlements[index] && recommend.status === "active"
+      ).length
 
-      logger.info(`结算完成，共结算 ${expiredRecommends.length} 条推荐`)
+      logger.info(
+        `结算完成，共结算 ${settled} 条推荐` +
+          (extended > 0 ? `，${extended} 条因停牌顺延` : "")
+      )
     } catch (error) {
       logger.error("结算推荐失败:", error)
     }
   }
 
+  // 开始到期的比赛，更新进行中比赛的排行，结束并冻结已完赛的比赛
+  async updateContests() {
+    try {
+      const { Ranking } = require("../models")
+
+      for (const contest of await Contest.getDueToStart()) {
+        await contest.update({ status: "active" })
+        logger.info(`比赛开始: ${contest.id} ${contest.name}`)
+      }
+
+      // 到期且推荐已全部结算的比赛冻结最终排名
+      for (const contest of await Contest.getDueToClose()) {
+        try {
+          await contest.close()
+          logger.info(`比赛结束，最终排名已冻结: ${contest.id} ${contest.name}`)
+        } catch (error) {
+          logger.error(`结束比赛 ${contest.id} 失败:`, error)
+        }
+      }
+
+      const activeContests = await Contest.findAll({
+        where: { status: "active" },
+      })
+      for (const contest of activeContests) {
+        try {
+          await Ranking.calculateRankings("contest", contest.getPeriod(), {
+            contest,
+          })
+        } catch (error) {
+          logger.error(`计算比赛 ${contest.id} 排行失败:`, error)
+        }
+      }
+    } catch (error) {
+      logger.error("更新比赛失败:", error)
+    }
+  }
+
   // 计算周排行
   async calculateWeeklyRanking() {
     try {
       logger.info("开始计算周排行榜...")
 
+      // 计算刚结束的周期，得到该周期的最终排行
       const { Ranking } = require("../models")
-      await Ranking.calculateRankings("weekly")
+      await Ranking.calculateRankings(
+        "weekly",
+        Ranking.getPreviousPeriod("weekly", Ranking.getCurrentPeriod("weekly"))
+      )
 
       logger.info("周排行榜计算完成")
     } catch (error) {
@@ -254,8 +646,15 @@ class StockUpdateJob {
     try {
       logger.info("开始计算月排行榜...")
 
+      // 计算刚结束的周期，得到该周期的最终排行
       const { Ranking } = require("../models")
-      await Ranking.calculateRankings("monthly")
+      await Ranking.calculateRankings(
+        "monthly",
+        Ranking.getPreviousPeriod(
+          "monthly",
+          Ranking.getCurrentPeriod("monthly")
+        )
+      )
 
       logger.info("月排行榜计算完成")
     } catch (error) {
@@ -263,6 +662,20 @@ class StockUpdateJob {
     }
   }
 
+  // 排行对账：全量重算当前周期的周榜、月榜和总榜
+  async reconcileRankings() {
+    const { Ranking } = require("../models")
+
+    for (const type of ["weekly", "monthly", "total"]) {
+      try {
+        await Ranking.calculateRankings(type)
+      } catch (error) {
+        logger.error(`排行对账失败 [${type}]:`, error)
+      }
+    }
+    logger.info("排行对账完成")
+  }
+
   // 停止所有定时任务
   stop() {
     cron.getTasks().forEach((task) => task.stop())
@@ -0,0 +1,204 @@
+const {
+  SESSIONS,
+  MARKET_CALENDARS,
+  HOLIDAYS,
+  HALF_DAYS,
+} = require("../config/tradingCalendar")
+const logger = require("./logger")
+
+const BEIJING_OFFSET = 8 * 60 * 60 * 1000
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// 持有期对应的自然日长度
+const HOLD_PERIODS = {
+  "1week": { days: 7 },
+  "2weeks": { days: 14 },
+  "1month": { months: 1 },
+  "3months": { months: 3 },
+}
+
+// 交易日历：交易日、半日市、各市场交易时段（统一按北京时间计算）
+class TradingCalendar {
+  constructor() {
+    this.holidaySets = {}
+    this.halfDaySets = {}
+    this.warnedYears = new Set()
+
+    Object.keys(HOLIDAYS).forEach((calendar) => {
+      this.holidaySets[calendar] = new Set(
+        Object.values(HOLIDAYS[calendar]).flat()
+      )
+      this.halfDaySets[calendar] = new Set(
+        Object.values(HALF_DAYS[calendar] || {}).flat()
+      )
+    })
+  }
+
+  getCalendarCode(market) {
+    return MARKET_CALENDARS[market] || "CN"
+  }
+
+  // 北京时间的交易日期 (YYYY-MM-DD)
+  toTradeDate(date = new Date()) {
+    if (typeof date === "string" && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return date
+    }
+    const beijing = new Date(new Date(date).getTime() + BEIJING_OFFSET)
+    return beijing.toISOString().split("T")[0]
+  }
+
+  // 北京时间当日已过的分钟数
+  minutesOfDay(date) {
+    const beijing = new Date(new Date(date).getTime() + BEIJING_OFFSET)
+    return beijing.getUTCHours() * 60 + beijing.getUTCMinutes()
+  }
+
+  // 交易日期 + 分钟数 转换为 Date
+  toDate(tradeDate, minutes = 0) {
+    return new Date(
+      Date.parse(`${tradeDate}T00:00:00Z`) - BEIJING_OFFSET + minutes * 60000
+    )
+  }
+
+  shiftDate(tradeDate, days) {
+    const date = new Date(Date.parse(`${tradeDate}T00:00:00Z`) + days * DAY_MS)
+    return date.toISOString().split("T")[0]
+  }
+
+  // 是否为交易日
+  isTradingDay(date, market = "SH") {
+    const tradeDate = this.toTradeDate(date)
+    const weekday = new Date(`${tradeDate}T00:00:00Z`).getUTCDay()
+
+    if (weekday === 0 || weekday === 6) {
+      return false
+    }
+
+    const calendar = this.getCalendarCode(market)
+    const year = tradeDate.substring(0, 4)
+    if (!HOLIDAYS[calendar] || !HOLIDAYS[calendar][year]) {
+      if (!this.warnedYears.has(`${calendar}-${year}`)) {
+        this.warnedYears.add(`${calendar}-${year}`)
+        logger.warn(`交易日历缺少 ${calendar} ${year} 年休市安排，按工作日处理`)
+      }
+    }
+
+    return !this.holidaySets[calendar].has(tradeDate)
+  }
+
+  // 是否为半日市
+  isHalfDay(date, market = "SH") {
+    const calendar = this.getCalendarCode(market)
+    return this.halfDaySets[calendar].has(this.toTradeDate(date))
+  }
+
+  // 获取某个交易日的交易时段，非交易日返回空数组
+  getSessions(date, market = "SH") {
+    const tradeDate = this.toTradeDate(date)
+    if (!this.isTradingDay(tradeDate, market)) {
+      return []
+    }
+
+    const sessions = SESSIONS[this.getCalendarCode(market)]
+    const ranges =
+      this.isHalfDay(tradeDate, market) && sessions.half
+        ? sessions.half
+        : sessions.full
+
+    return ranges.map(([open, close]) => ({
+      open: this.toDate(tradeDate, open),
+      close: this.toDate(tradeDate, close),
+    }))
+  }
+
+  // 当前是否处于交易时段
+  isMarketOpen(date = new Date(), market = "SH") {
+    const time = new Date(date).getTime()
+    return this.getSessions(date, market).some(
+      (session) =>
+        time >= session.open.getTime() && time <= session.close.getTime()
+    )
+  }
+
+  // 某个交易日的收盘时间，非交易日返回 null
+  getSessionClose(date, market = "SH") {
+    const sessions = this.getSessions(date, market)
+    return sessions.length > 0 ? sessions[sessions.length - 1].close : null
+  }
+
+  // 下一个交易日（不含当日）
+  nextTradingDay(date, market = "SH") {
+    let tradeDate = this.shiftDate(this.toTradeDate(date), 1)
+    while (!this.isTradingDay(tradeDate, market)) {
+      tradeDate = this.shiftDate(tradeDate, 1)
+    }
+    return tradeDate
+  }
+
+  // 上一个交易日（不含当日）
+  previousTradingDay(date, market = "SH") {
+    let tradeDate = this.shiftDate(this.toTradeDate(date), -1)
+    while (!this.isTradingDay(tradeDate, market)) {
+      tradeDate = this.shiftDate(tradeDate, -1)
+    }
+    return tradeDate
+  }
+
+  // 当日或之前最近的交易日
+  lastTradingDayOnOrBefore(date, market = "SH") {
+    const tradeDate = this.toTradeDate(date)
+    return this.isTradingDay(tradeDate, market)
+      ? tradeDate
+      : this.previousTradingDay(tradeDate, market)
+  }
+
+  // 当日或之后最近的交易日
+  firstTradingDayOnOrAfter(date, market = "SH") {
+    const tradeDate = this.toTradeDate(date)
+    return this.isTradingDay(tradeDate, market)
+      ? tradeDate
+      : this.nextTradingDay(tradeDate, market)
+  }
+
+  // 下一次开盘时间（若当前处于午休，返回下午开盘）
+  getNextSessionOpen(date = new Date(), market = "SH") {
+    const time = new Date(date).getTime()
+    const today = this.getSessions(date, market).find(
+      (session) => session.open.getTime() > time
+    )
+    if (today) {
+      return today.open
+    }
+
+    const nextDay = this.nextTradingDay(date, market)
+    return this.getSessions(nextDay, market)[0].open
+  }
+
+  // 根据持有期计算推荐结束时间：顺延到交易日的收盘时间
+  getHoldPeriodEndDate(startDate, holdPeriod, market = "SH") {
+    const period = HOLD_PERIODS[holdPeriod] || HOLD_PERIODS["1week"]
+    const start = this.toTradeDate(startDate)
+
+    let target
+    if (period.months) {
+      const date = new Date(`${start}T00:00:00Z`)
+      const day = date.getUTCDate()
+      date.setUTCDate(1)
+      date.setUTCMonth(date.getUTCMonth() + period.months)
+      // 月末对齐，如 1月31日 + 1个月 = 2月最后一天
+      const lastDay = new Date(
+        Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)
+      ).getUTCDate()
+      date.setUTCDate(Math.min(day, lastDay))
+      target = date.toISOString().split("T")[0]
+    } else {
+      target = this.shiftDate(start, period.days)
+    }
+
+    const endTradeDate = this.firstTradingDayOnOrAfter(target, market)
+    return this.getSessionClose(endTradeDate, market)
+  }
+}
+
+// 导出单例
+module.exports = new TradingCalendar()
@@ -0,0 +1,306 @@
+// utils/trendingService.js
+// 热门推荐和热门股票：按时间窗口内的查看、点赞、评论、跟投和新增推荐计算时间衰减热度，
+// 由定时任务定期计算并缓存
+const { Op } = require("sequelize")
+const cacheManager = require("./cacheManager")
+const tradingCalendar = require("./tradingCalendar")
+const logger = require("./logger")
+
+const CACHE_PREFIX = "trending"
+const CACHE_TTL = 15 * 60
+const TOP_N = 100
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// 时间窗口和热度半衰期（秒）
+const WINDOWS = {
+  "1h": { seconds: 60 * 60, halfLife: 15 * 60 },
+  "24h": { seconds: 24 * 60 * 60, halfLife: 6 * 60 * 60 },
+  "7d": { seconds: 7 * 24 * 60 * 60, halfLife: 2 * 24 * 60 * 60 },
+}
+
+// 每次互动的热度权重
+const RECOMMEND_WEIGHTS = { view: 1, like: 3, comment: 4, follow: 5 }
+const STOCK_WEIGHTS = {
+  recommend: 5,
+  follow: 3,
+  comment: 1,
+  like: 1,
+  view: 0.2,
+}
+
+const round = (value) => parseFloat(value.toFixed(4))
+
+class TrendingService {
+  getWindows() {
+    return Object.keys(WINDOWS)
+  }
+
+  getCacheKey(type, window) {
+    return `${CACHE_PREFIX}:${type}:${window}`
+  }
+
+  // 热门推荐（缓存未命中时即时计算）
+  async getTrendingRecommends(window = "24h", limit = 20) {
+    const cached = await cacheManager.get(this.getCacheKey("recommend", window))
+    const result = cached || (await this.refresh(window)).recommends
+    return result.slice(0, limit)
+  }
+
+  // 热门股票（缓存未命中时即时计算）
+  async getTrendingStocks(window = "24h", limit = 20) {
+    const cached = await cacheManager.get(this.getCacheKey("stock", window))
+    const result = cached || (await this.refresh(window)).stocks
+    return result.slice(0, limit)
+  }
+
+  // 定时任务：刷新所有时间窗口
+  async refreshAll() {
+    for (const window of this.getWindows()) {
+      try {
+        await this.refresh(window)
+      } catch (error) {
+        logger.error(`计算热门榜单失败 [${window}]:`, error)
+      }
+    }
+  }
+
+  // 计算指定时间窗口的热门推荐和热门股票并写入缓存
+  async refresh(window, now = new Date()) {
+    const { seconds, halfLife } = WINDOWS[window]
+    const since = new Date(now.getTime() - seconds * 1000)
+    const events = await this.collectEvents(since, now)
+
+    const recommends = await this.rankRecommends(events, halfLife, now)
+    const stocks = await this.rankStocks(events, halfLife, now)
+
+    await cacheManager.set(
+      this.getCacheKey("recommend", window),
+      recommends,
+      CACHE_TTL
+    )
+    await cacheManager.set(this.getCacheKey("stock", window), stocks, CACHE_TTL)
+
+    return { recommends, stocks }
+  }
+
+  // 时间衰减：距今每经过一个半衰期权重减半
+  decay(at, halfLife, now) {
+    const ageSeconds = Math.max(0, (now - new Date(at)) / 1000)
+    return Math.pow(0.5, ageSeconds / halfLife)
+  }
+
+  // 收集窗口内的互动事件：{ recommendId, type, count, at }
+  async collectEvents(since, now) {
+    const {
+      Recommend,
+      Follow,
+      RecommendLike,
+      RecommendComment,
+      RecommendViewStat,
+    } = require("../models")
+
+    const [created, likes, comments, follows, viewStats] = await Promise.all([
+      Recommend.findAll({
+        where: {
+          created_at: { [Op.gte]: since },
+          status: { [Op.ne]: "cancelled" },
+        },
+        attributes: ["id", "created_at"],
+        raw: true,
+      }),
+      RecommendLike.findAll({
+        where: { created_at: { [Op.gte]: since } },
+        attributes: ["recommend_id", "created_at"],
+        raw: true,
+      }),
+      RecommendComment.findAll({
+        where: { created_at: { [Op.gte]: since }, status: "normal" },
+        attributes: ["recommend_id", "created_at"],
+        raw: true,
+      }),
+      Follow.findAll({
+        where: {
+          follow_type: "recommend",
+          follow_date: { [Op.gte]: since },
+        },
+        attributes: ["recommend_id", "follow_date"],
+        raw: true,
+      }),
+      RecommendViewStat.findAll({
+        where: { stat_date: { [Op.gte]: tradingCalendar.toTradeDate(since) } },
+        attributes: ["recommend_id", "stat_date", "views"],
+        raw: true,
+      }),
+    ])
+
+    const events = [
+      ...created.map((r) => ({
+        recommendId: r.id,
+        type: "recommend",
+        count: 1,
+        at: r.created_at,
+      })),
+      ...likes.map((r) => ({
+        recommendId: r.recommend_id,
+        type: "like",
+        count: 1,
+        at: r.created_at,
+      })),
+      ...comments.map((r) => ({
+        recommendId: r.recommend_id,
+        type: "comment",
+        count: 1,
+        at: r.created_at,
+      })),
+      ...follows.map((r) => ({
+        recommendId: r.recommend_id,
+        type: "follow",
+        count: 1,
+        at: r.follow_date,
+      })),
+    ]
+
+    // 查看次数按北京时间自然日汇总，按当日与窗口重叠的时长折算，
+    // 时间取重叠区间的中点
+    viewStats.forEach((stat) => {
+      const dayStart = new Date(`${stat.stat_date}T00:00:00+08:00`).getTime()
+      const dayEnd = Math.min(dayStart + DAY_MS, now.getTime())
+      const from = Math.max(dayStart, since.getTime())
+      if (dayEnd <= from) return
+
+      const fraction = (dayEnd - from) / (dayEnd - dayStart)
+      events.push({
+        recommendId: stat.recommend_id,
+        type: "view",
+        count: stat.views * fraction,
+        at: new Date((from + dayEnd) / 2),
+      })
+    })
+
+    return events
+  }
+
+  // 热门推荐：按推荐汇总查看、点赞、评论和跟投热度
+  async rankRecommends(events, halfLife, now) {
+    const { Recommend, User, Stock } = require("../models")
+
+    const scores = {}
+    events.forEach((event) => {
+      const weight = RECOMMEND_WEIGHTS[event.type]
+      if (!weight) return
+
+      if (!scores[event.recommendId]) {
+        scores[event.recommendId] = {
+          score: 0,
+          views: 0,
+          likes: 0,
+          comments: 0,
+          follows: 0,
+        }
+      }
+      const entry = scores[event.recommendId]
+      entry.score += weight * event.count * this.decay(event.at, halfLife, now)
+      entry[`${event.type}s`] += event.count
+    })
+
+    const recommends = await Recommend.findAll({
+      where: {
+        id: Object.keys(scores),
+        status: { [Op.ne]: "cancelled" },
+      },
+      include: [
+        {
+          model: User,
+          as: "user",
+          attributes: ["id", "nickname", "avatar", "level"],
+        },
+        {
+          model: Stock,
+          as: "stock",
+          attributes: ["name", "current_price", "change_percent", "market"],
+        },
+      ],
+    })
+
+    return recommends
+      .map((recommend) => {
+        const entry = scores[recommend.id]
+        return {
+          ...recommend.toJSON(),
+          trending_score: round(entry.score),
+          window_stats: {
+            views: Math.round(entry.views),
+            likes: entry.likes,
+            comments: entry.comments,
+            follows: entry.follows,
+          },
+        }
+      })
+      .sort((a, b) => b.trending_score - a.trending_score)
+      .slice(0, TOP_N)
+  }
+
+  // 热门股票：按股票汇总新增推荐和相关推荐的互动热度
+  async rankStocks(events, halfLife, now) {
+    const { Recommend, Stock } = require("../models")
+
+    const recommendIds = [...new Set(events.map((event) => event.recommendId))]
+    const recommends = await Recommend.findAll({
+      where: { id: recommendIds, status: { [Op.ne]: "cancelled" } },
+      attributes: ["id", "stock_code"],
+      raw: true,
+    })
+    const stockOf = {}
+    recommends.forEach((r) => {
+      stockOf[r.id] = r.stock_code
+    })
+
+    const scores = {}
+    events.forEach((event) => {
+      const code = stockOf[event.recommendId]
+      if (!code) return
+
+      if (!scores[code]) {
+        scores[code] = {
+          score: 0,
+          recommends: 0,
+          views: 0,
+          likes: 0,
+          comments: 0,
+          follows: 0,
+        }
+      }
+      const entry = scores[code]
+      entry.score +=
+        STOCK_WEIGHTS[event.type] *
+        event.count *
+        this.decay(event.at, halfLife, now)
+      entry[`${event.type}s`] += event.count
+    })
+
+    const stocks = await Stock.findAll({
+      where: { code: Object.keys(scores), is_index: false },
+    })
+
+    return stocks
+      .map((stock) => {
+        const entry = scores[stock.code]
+        return {
+          ...stock.toJSON(),
+          trending_score: round(entry.score),
+          window_stats: {
+            recommends: entry.recommends,
+            views: Math.round(entry.views),
+            likes: entry.likes,
+            comments: entry.comments,
+            follows: entry.follows,
+          },
+        }
+      })
+      .sort((a, b) => b.trending_score - a.trending_score)
+      .slice(0, TOP_N)
+  }
+}
+
+// 导出单例
+module.exports = new TrendingService()
@@ -0,0 +1,273 @@
+// utils/userAnalytics.js
+// 用户推荐表现分析：收益风险比、权益曲线回撤、持有时间、分组命中率和预测校准
+const { Op } = require("sequelize")
+const cacheManager = require("./cacheManager")
+
+const CACHE_PREFIX = "analytics:user"
+const CACHE_TTL = 600
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// 预测涨跌幅分组（校准使用）
+const CALIBRATION_BUCKETS = [
+  { label: "< -10%", min: -Infinity, max: -10 },
+  { label: "-10% ~ -5%", min: -10, max: -5 },
+  { label: "-5% ~ 0%", min: -5, max: 0 },
+  { label: "0% ~ 5%", min: 0, max: 5 },
+  { label: "5% ~ 10%", min: 5, max: 10 },
+  { label: ">= 10%", min: 10, max: Infinity },
+]
+
+const round = (value, digits = 4) =>
+  value === null || !Number.isFinite(value)
+    ? null
+    : parseFloat(value.toFixed(digits))
+
+const mean = (values) =>
+  values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null
+
+const stdDev = (values) => {
+  if (values.length < 2) return null
+  const avg = mean(values)
+  const variance =
+    values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1)
+  return Math.sqrt(variance)
+}
+
+class UserAnalytics {
+  getCacheKey(userId) {
+    return `${CACHE_PREFIX}:${userId}`
+  }
+
+  // 获取用户的高级统计（带缓存）
+  async getAdvancedStats(userId) {
+    const cacheKey = this.getCacheKey(userId)
+    const cached = await cacheManager.get(cacheKey)
+    if (cached) {
+      return cached
+    }
+
+    const stats = await this.compute(userId)
+    await cacheManager.set(cacheKey, stats, CACHE_TTL)
+    return stats
+  }
+
+  // 推荐结算后清除缓存
+  async invalidate(userId) {
+    await cacheManager.del(this.getCacheKey(userId))
+  }
+
+  async compute(userId) {
+    const { Recommend } = require("../models")
+
+    // 已结算的推荐，按结算时间排序
+    const recommends = await Recommend.findAll({
+      where: {
+        user_id: userId,
+        status: ["success", "failed"],
+        actual_return: { [Op.ne]: null },
+        settled_at: { [Op.ne]: null },
+      },
+      attributes: [
+        "id",
+        "direction",
+        "predict_change",
+        "actual_return",
+        "alpha",
+        "confidence",
+        "hold_period",
+        "status",
+        "start_date",
+        "settled_at",
+      ],
+      order: [["settled_at", "ASC"]],
+      raw: true,
+    })
+
+    // actual 为持仓收益（看空已取反），priceChange 为股价实际涨跌幅
+    const picks = recommends.map((r) => ({
+      id: r.id,
+      predict: parseFloat(r.predict_change),
+      actual: parseFloat(r.actual_return),
+      priceChange:
+        parseFloat(r.actual_return) * (r.direction === "short" ? -1 : 1),
+      alpha: r.alpha !== null ? parseFloat(r.alpha) : null,
+      confidence: r.confidence,
+      holdPeriod: r.hold_period,
+      success: r.status === "success",
+      holdingDays: (new Date(r.settled_at) - new Date(r.start_date)) / DAY_MS,
+      settledAt: r.settled_at,
+    }))
+
+    return {
+      sample_size: picks.length,
+      performance: this.computePerformance(picks),
+      equity_curve: this.computeEquityCurve(picks),
+      holding: this.computeHolding(picks),
+      by_hold_period: this.groupHitRate(picks, (p) => p.holdPeriod),
+      by_confidence: this.groupHitRate(picks, (p) => p.confidence),
+      calibration: this.computeCalibration(picks),
+      generated_at: new Date(),
+    }
+  }
+
+  // 收益风险比（无风险利率按 0 计算），按平均持有天数年化
+  computePerformance(picks) {
+    const returns = picks.map((p) => p.actual)
+    const alphas = picks.filter((p) => p.alpha !== null).map((p) => p.alpha)
+    const avgReturn = mean(returns)
+    const volatility = stdDev(returns)
+    const avgHoldingDays = mean(picks.map((p) => p.holdingDays))
+
+    const sharpe =
+      avgReturn !== null && volatility ? avgReturn / volatility : null
+    const annualization =
+      avgHoldingDays && avgHoldingDays > 0
+        ? Math.sqrt(365 / avgHoldingDays)
+        : null
+
+    const alphaVolatility = stdDev(alphas)
+    const avgAlpha = mean(alphas)
+
+    return {
+      avg_return: round(avgReturn),
+      volatility: round(volatility),
+      sharpe_ratio: round(sharpe),
+      annualized_sharpe_ratio:
+        sharpe !== null && annualization !== null
+          ? round(sharpe * annualization)
+          : null,
+      avg_alpha: round(avgAlpha),
+      information_ratio:
+        avgAlpha !== null && alphaVolatility
+          ? round(avgAlpha / alphaVolatility)
+          : null,
+      hit_rate:
+        picks.length > 0
+          ? round(picks.filter((p) => p.success).length / picks.length)
+          : null,
+    }
+  }
+
+  // 权益曲线：按结算顺序等权复利，计算时间加权收益和最大回撤
+  computeEquityCurve(picks) {
+    let equity = 1
+    let peak = 1
+    let maxDrawdown = 0
+    let drawdownStart = null
+    let maxDrawdownPeriod = null
+    let peakAt = null
+
+    const points = picks.map((p) => {
+      equity *= 1 + p.actual / 100
+
+      if (equity > peak) {
+        peak = equity
+        peakAt = p.settledAt
+      }
+
+      const drawdown = (peak - equity) / peak
+      if (drawdown > maxDrawdown) {
+        maxDrawdown = drawdown
+        drawdownStart = peakAt
+        maxDrawdownPeriod = { from: drawdownStart, to: p.settledAt }
+      }
+
+      return { settled_at: p.settledAt, equity: round(equity, 6) }
+    })
+
+    return {
+      time_weighted_return: round((equity - 1) * 100),
+      max_drawdown: round(maxDrawdown * 100),
+      max_drawdown_period: maxDrawdownPeriod,
+      points,
+    }
+  }
+
+  // 持有时间
+  computeHolding(picks) {
+    const days = picks.map((p) => p.holdingDays)
+    return {
+      avg_days: round(mean(days), 2),
+      min_days: days.length > 0 ? round(Math.min(...days), 2) : null,
+      max_days: days.length > 0 ? round(Math.max(...days), 2) : null,
+    }
+  }
+
+  // 分组命中率
+  groupHitRate(picks, keyFn) {
+    const groups = {}
+    for (const pick of picks) {
+      const key = keyFn(pick)
+      if (!groups[key]) {
+        groups[key] = { total: 0, success: 0, returns: [] }
+      }
+      groups[key].total += 1
+      if (pick.success) groups[key].success += 1
+      groups[key].returns.push(pick.actual)
+    }
+
+    return Object.entries(groups).reduce((acc, [key, group]) => {
+      acc[key] = {
+        total: group.total,
+        success: group.success,
+        hit_rate: round(group.success / group.total),
+        avg_return: round(mean(group.returns)),
+      }
+      return acc
+    }, {})
+  }
+
+  // 预测校准：预期涨跌幅与股价实际涨跌幅的偏差、相关性和回归斜率
+  computeCalibration(picks) {
+    const predicted = picks.map((p) => p.predict)
+    const actual = picks.map((p) => p.priceChange)
+    const avgPredicted = mean(predicted)
+    const avgActual = mean(actual)
+
+    let covariance = 0
+    let predictedVariance = 0
+    let actualVariance = 0
+    picks.forEach((p) => {
+      covariance += (p.predict - avgPredicted) * (p.priceChange - avgActual)
+      predictedVariance += (p.predict - avgPredicted) ** 2
+      actualVariance += (p.priceChange - avgActual) ** 2
+    })
+
+    const buckets = CALIBRATION_BUCKETS.map((bucket) => {
+      const inBucket = picks.filter(
+        (p) => p.predict >= bucket.min && p.predict < bucket.max
+      )
+      return {
+        range: bucket.label,
+        count: inBucket.length,
+        avg_predicted: round(mean(inBucket.map((p) => p.predict))),
+        avg_actual: round(mean(inBucket.map((p) => p.priceChange))),
+        direction_hit_rate:
+          inBucket.length > 0
+            ? round(
+                inBucket.filter((p) => p.predict > 0 === p.priceChange > 0)
+                  .length / inBucket.length
+              )
+            : null,
+      }
+    }).filter((bucket) => bucket.count > 0)
+
+    return {
+      mean_absolute_error: round(
+        mean(picks.map((p) => Math.abs(p.priceChange - p.predict)))
+      ),
+      bias: avgPredicted !== null ? round(avgPredicted - avgActual) : null,
+      correlation:
+        predictedVariance > 0 && actualVariance > 0
+          ? round(covariance / Math.sqrt(predictedVariance * actualVariance))
+          : null,
+      // 实际涨跌幅对预期涨跌幅的回归斜率，1 表示预测幅度与实际一致
+      slope:
+        predictedVariance > 0 ? round(covariance / predictedVariance) : null,
+      buckets,
+    }
+  }
+}
+
+// 导出单例
+module.exports = new UserAnalytics()
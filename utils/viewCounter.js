@@ -0,0 +1,139 @@
+// utils/viewCounter.js
+// 推荐查看计数：按用户/设备在时间窗口内去重，排除作者本人，未登录访客按 IP 限量，
+// 计数先累加在缓存中，由定时任务批量写入数据库
+const crypto = require("crypto")
+const cacheManager = require("./cacheManager")
+const tradingCalendar = require("./tradingCalendar")
+const logger = require("./logger")
+
+const BUFFER_KEY = "views:buffer"
+const SEEN_PREFIX = "views:seen"
+const DAILY_PREFIX = "views:daily"
+const IP_PREFIX = "views:ip"
+const DAY_SECONDS = 24 * 60 * 60
+
+const hash = (value) => crypto.createHash("sha1").update(value).digest("hex")
+
+class ViewCounter {
+  constructor() {
+    // 去重窗口，可通过 VIEW_DEDUP_WINDOW_SECONDS 配置
+    this.windowSeconds =
+      parseInt(process.env.VIEW_DEDUP_WINDOW_SECONDS) || 30 * 60
+    // 同一 IP 在去重窗口内对同一推荐最多计入的未登录访客数，
+    // 防止伪造 X-Device-Id 刷查看数，可通过 VIEW_ANONYMOUS_PER_IP 配置
+    this.anonymousPerIp = parseInt(process.env.VIEW_ANONYMOUS_PER_IP) || 5
+    this.isFlushing = false
+  }
+
+  // 访客标识：登录用户按用户ID；未登录按 IP + 设备ID（X-Device-Id），
+  // 没有设备ID时按 IP + User-Agent
+  getViewerKey(req) {
+    if (req.user) {
+      return `u:${req.user.userId}`
+    }
+
+    const deviceId = req.get("X-Device-Id")
+    const device = deviceId
+      ? `d:${deviceId.slice(0, 64)}`
+      : `ua:${req.get("User-Agent") || ""}`
+    return `a:${hash(`${req.ip}|${device}`)}`
+  }
+
+  // 未登录访客是否超过同一 IP 的计数上限
+  async isOverIpLimit(recommend, req) {
+    const count = await cacheManager.incr(
+      `${IP_PREFIX}:${recommend.id}:${hash(req.ip || "")}`,
+      this.windowSeconds
+    )
+    return count !== null && count > this.anonymousPerIp
+  }
+
+  // 记录一次查看，返回是否计数
+  async record(recommend, req) {
+    if (req.user && req.user.userId === recommend.user_id) {
+      return false
+    }
+
+    const viewerKey = this.getViewerKey(req)
+    const counted = await cacheManager.setIfAbsent(
+      `${SEEN_PREFIX}:${recommend.id}:${viewerKey}`,
+      1,
+      this.windowSeconds
+    )
+    if (!counted) {
+      return false
+    }
+
+    if (!req.user && (await this.isOverIpLimit(recommend, req))) {
+      return false
+    }
+
+    const statDate = tradingCalendar.toTradeDate(new Date())
+    await cacheManager.hIncrBy(BUFFER_KEY, `${recommend.id}|${statDate}|views`)
+
+    const firstToday = await cacheManager.setIfAbsent(
+      `${DAILY_PREFIX}:${statDate}:${recommend.id}:${viewerKey}`,
+      1,
+      DAY_SECONDS
+    )
+    if (firstToday) {
+      await cacheManager.hIncrBy(
+        BUFFER_KEY,
+        `${recommend.id}|${statDate}|unique_viewers`
+      )
+    }
+
+    return true
+  }
+
+  // 将缓冲的计数批量写入数据库，失败时放回缓冲区
+  async flush() {
+    if (this.isFlushing) {
+      return 0
+    }
+
+    this.isFlushing = true
+    let buffered = {}
+
+    try {
+      buffered = await cacheManager.hTakeAll(BUFFER_KEY)
+
+      const rows = {}
+      Object.entries(buffered).forEach(([field, count]) => {
+        const [recommendId, statDate, metric] = field.split("|")
+        const key = `${recommendId}|${statDate}`
+        if (!rows[key]) {
+          rows[key] = {
+            recommend_id: parseInt(recommendId),
+            stat_date: statDate,
+            views: 0,
+            unique_viewers: 0,
+          }
+        }
+        rows[key][metric] += count
+      })
+
+      const batch = Object.values(rows)
+      if (batch.length === 0) {
+        return 0
+      }
+
+      const { RecommendViewStat } = require("../models")
+      await RecommendViewStat.addBatch(batch)
+
+      logger.info(`查看计数已写入: ${batch.length} 条`)
+      return batch.length
+    } catch (error) {
+      logger.error("写入查看计数失败:", error)
+      for (const [field, count] of Object.entries(buffered)) {
+        await cacheManager.hIncrBy(BUFFER_KEY, field, count)
+      }
+      return 0
+    } finally {
+      this.isFlushing = false
+    }
+  }
+}
+
+// 导出单例
+module.exports = new ViewCounter()